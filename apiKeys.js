@@ -0,0 +1,249 @@
+// apiKeys.js
+// API key cho client dùng script: key chỉ được lưu dưới dạng băm SHA-256 (API_KEY_STORE_PATH),
+// mỗi key có hạn mức riêng (request/phút, byte/ngày, số job đồng thời) thay cho giới hạn theo IP.
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { logger } = require('./utils');
+const { ERROR_CODES, AppError } = require('./errors');
+const { JOB_STATUS, listJobs, registerJobGate } = require('./jobQueue');
+const { getRateLimitUsage } = require('./rateLimit');
+const { API_KEY_STORE_PATH, API_KEY_DEFAULT_QUOTAS } = require('./config');
+
+const KEY_PREFIX = 'ytk_';
+const QUOTA_FIELDS = Object.keys(API_KEY_DEFAULT_QUOTAS);
+
+// Bản ghi key theo id: { id, name, hash, prefix, quotas, createdAt, revokedAt, usage }
+let apiKeys = null;
+let writeChain = Promise.resolve();
+
+// Hàm đọc store từ đĩa (chỉ đọc một lần)
+function getKeys() {
+    if (apiKeys) return apiKeys;
+
+    apiKeys = new Map();
+    try {
+        if (fs.existsSync(API_KEY_STORE_PATH)) {
+            for (const record of JSON.parse(fs.readFileSync(API_KEY_STORE_PATH, 'utf8'))) {
+                apiKeys.set(record.id, record);
+            }
+        }
+    } catch (error) {
+        logger.warn(`Bỏ qua store API key không hợp lệ: ${error.message}`);
+    }
+    return apiKeys;
+}
+
+// Hàm ghi store xuống đĩa (các lần ghi được xếp hàng tuần tự)
+function saveKeys() {
+    const content = JSON.stringify([...getKeys().values()], null, 2);
+    writeChain = writeChain
+        .then(() => fsPromises.mkdir(path.dirname(API_KEY_STORE_PATH), { recursive: true }))
+        .then(() => fsPromises.writeFile(API_KEY_STORE_PATH, content, { mode: 0o600 }))
+        .catch(error => logger.error(`Error writing API key store: ${error.message}`));
+    return writeChain;
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Hàm lấy ngày hiện tại (UTC) để reset hạn mức byte/ngày
+function getToday() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Hàm lấy bộ đếm sử dụng của key, reset khi sang ngày mới
+function getUsage(record) {
+    const today = getToday();
+    if (!record.usage || record.usage.day !== today) {
+        record.usage = { day: today, bytes: 0, requests: 0, downloads: 0, totalRequests: record.usage?.totalRequests || 0 };
+    }
+    return record.usage;
+}
+
+// Hàm đọc hạn mức từ body (số nguyên dương), thiếu thì dùng giá trị mặc định
+function parseQuotas(body = {}, defaults = API_KEY_DEFAULT_QUOTAS) {
+    const quotas = {};
+    for (const field of QUOTA_FIELDS) {
+        const value = body[field];
+        if (value === undefined || value === null || value === '') {
+            quotas[field] = defaults[field];
+            continue;
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1) {
+            throw new AppError(ERROR_CODES.INVALID_REQUEST, `Hạn mức ${field} phải là số nguyên dương: ${value}`);
+        }
+        quotas[field] = number;
+    }
+    return quotas;
+}
+
+// Hàm chuyển bản ghi sang dạng trả về (không có hash)
+function toPublicKey(record) {
+    return {
+        id: record.id,
+        name: record.name,
+        prefix: record.prefix,
+        quotas: record.quotas,
+        createdAt: new Date(record.createdAt).toISOString(),
+        revokedAt: record.revokedAt ? new Date(record.revokedAt).toISOString() : null
+    };
+}
+
+// Hàm tạo key mới; key gốc chỉ được trả về một lần
+async function issueApiKey({ name, ...quotaOptions } = {}) {
+    if (!name || typeof name !== 'string') {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Thiếu tên của API key (name)');
+    }
+    const quotas = parseQuotas(quotaOptions);
+    const id = crypto.randomBytes(6).toString('hex');
+    const key = `${KEY_PREFIX}${id}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const record = {
+        id,
+        name: name.slice(0, 100),
+        hash: hashKey(key),
+        prefix: key.slice(0, KEY_PREFIX.length + id.length),
+        quotas,
+        createdAt: Date.now(),
+        revokedAt: null
+    };
+    getKeys().set(id, record);
+    await saveKeys();
+    logger.info(`Đã tạo API key ${id} (${record.name})`);
+    return { ...toPublicKey(record), key };
+}
+
+// Hàm thu hồi key
+async function revokeApiKey(id) {
+    const record = getKeys().get(id);
+    if (!record) {
+        throw new AppError(ERROR_CODES.NOT_FOUND, `Không tìm thấy API key ${id}`);
+    }
+    if (!record.revokedAt) {
+        record.revokedAt = Date.now();
+        await saveKeys();
+        logger.info(`Đã thu hồi API key ${id} (${record.name})`);
+    }
+    return toPublicKey(record);
+}
+
+function listApiKeys() {
+    return [...getKeys().values()].map(toPublicKey);
+}
+
+// Hàm tìm key từ header X-API-Key hoặc Authorization: Bearer; trả về null nếu request không gửi key
+function getRequestKey(req) {
+    const header = req.get('X-API-Key') || (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    return header && header.startsWith(KEY_PREFIX) ? header : null;
+}
+
+// Middleware xác thực API key: request không có key là người dùng ẩn danh (req.apiKey = null)
+function authenticateApiKey(req, res, next) {
+    const key = getRequestKey(req);
+    req.apiKey = null;
+    if (!key) return next();
+
+    const id = key.slice(KEY_PREFIX.length).split('_')[0];
+    const record = getKeys().get(id);
+    const hash = Buffer.from(hashKey(key));
+    if (!record || record.revokedAt || !crypto.timingSafeEqual(hash, Buffer.from(record.hash))) {
+        logger.warn(`API key không hợp lệ hoặc đã bị thu hồi: ${key.slice(0, KEY_PREFIX.length + 12)}..., IP: ${req.ip}`);
+        return next(new AppError(ERROR_CODES.UNAUTHORIZED, 'Invalid or revoked API key'));
+    }
+    req.apiKey = record;
+    const usage = getUsage(record);
+    usage.requests++;
+    usage.totalRequests++;
+    next();
+}
+
+// Hàm lấy id các API key đang yêu cầu một job: người tạo job và những người dùng chung job (payload.requesters)
+function getJobApiKeyIds(payload = {}) {
+    const ids = (payload.requesters || []).map(requester => requester.apiKeyId);
+    if (!payload.requesters) ids.push(payload.apiKeyId);
+    return [...new Set(ids.filter(Boolean))];
+}
+
+// Hàm đếm job tải chưa kết thúc của key (kể cả job dùng chung với request khác)
+function countActiveJobs(id) {
+    return listJobs(job => [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status) &&
+        getJobApiKeyIds(job.payload).includes(id)).length;
+}
+
+// Hàm đếm job tải đang chạy của key
+function countRunningJobs(id) {
+    return listJobs(job => job.status === JOB_STATUS.RUNNING && getJobApiKeyIds(job.payload).includes(id)).length;
+}
+
+// Hàm kiểm tra key còn slot chạy job (key đã thu hồi hoặc không tồn tại không bị giới hạn)
+function hasJobSlot(id) {
+    const record = getKeys().get(id);
+    return !record || record.revokedAt || countRunningJobs(id) < record.quotas.concurrentJobs;
+}
+
+// Hạn mức job đồng thời được áp dụng khi lấy job khỏi hàng đợi: job của key đã đủ số job đang chạy
+// chờ trong hàng đợi; job dùng chung được chạy khi ít nhất một key đã yêu cầu còn slot
+registerJobGate(job => {
+    const ids = getJobApiKeyIds(job.payload);
+    return ids.length === 0 || ids.some(hasJobSlot);
+});
+
+// Hàm kiểm tra hạn mức byte/ngày trước khi nhận yêu cầu tải (số job đồng thời được kiểm tra khi job bắt đầu chạy)
+function assertDownloadQuota(record) {
+    const usage = getUsage(record);
+    if (usage.bytes >= record.quotas.bytesPerDay) {
+        throw new AppError(ERROR_CODES.QUOTA_EXCEEDED,
+            `API key ${record.id} đã dùng ${usage.bytes}/${record.quotas.bytesPerDay} bytes hôm nay`);
+    }
+}
+
+// Hàm ghi nhận dung lượng file đã cấp cho key (file tải mới hoặc file có sẵn trong cache)
+function recordKeyBytes(id, bytes) {
+    const record = getKeys().get(id);
+    if (!record || !bytes) return;
+    const usage = getUsage(record);
+    usage.bytes += bytes;
+    usage.downloads++;
+    saveKeys();
+}
+
+// Hàm lấy hạn mức và mức sử dụng hiện tại của key
+async function getKeyUsage(record) {
+    const usage = getUsage(record);
+    // Hạn mức request/phút được áp dụng bởi quy tắc 'global' của rateLimit.js
+    const requestsThisMinute = await getRateLimitUsage('global', 'sustained', `key:${record.id}`);
+    return {
+        key: toPublicKey(record),
+        quotas: record.quotas,
+        usage: {
+            day: usage.day,
+            requestsThisMinute,
+            requestsToday: usage.requests,
+            totalRequests: usage.totalRequests,
+            downloadsToday: usage.downloads,
+            bytesToday: usage.bytes,
+            activeJobs: countActiveJobs(record.id),
+            runningJobs: countRunningJobs(record.id)
+        },
+        remaining: {
+            requestsThisMinute: Math.max(0, record.quotas.requestsPerMinute - requestsThisMinute),
+            bytesToday: Math.max(0, record.quotas.bytesPerDay - usage.bytes),
+            concurrentJobs: Math.max(0, record.quotas.concurrentJobs - countRunningJobs(record.id))
+        }
+    };
+}
+
+module.exports = {
+    issueApiKey,
+    revokeApiKey,
+    listApiKeys,
+    authenticateApiKey,
+    assertDownloadQuota,
+    getJobApiKeyIds,
+    recordKeyBytes,
+    getKeyUsage
+};
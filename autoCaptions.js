@@ -0,0 +1,90 @@
+// autoCaptions.js
+// Chuẩn hóa phụ đề tự động (ASR) của YouTube: VTT của yt-dlp hiển thị cuộn hai dòng, mỗi cue lặp lại dòng của cue trước
+// (kèm cue chuyển tiếp dài 10ms chỉ có dòng cũ), json3 có các event chồng thời gian lên nhau.
+// Sau khi chuẩn hóa, mỗi câu chỉ xuất hiện một lần trong các cue không chồng nhau với thời lượng hợp lý.
+const { AUTO_CAPTION_MIN_DURATION, AUTO_CAPTION_MAX_DURATION } = require('./config');
+
+// Hàm chuẩn hóa dòng để so sánh (bỏ khác biệt về khoảng trắng và chữ hoa/thường)
+function normalizeLine(line) {
+    return line.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// Hàm nhận dạng nội dung phụ đề tự động: VTT có mốc thời gian từng từ (<00:00:01.234><c>)
+// hoặc json3 có tOffsetMs/aAppend của ASR
+function isAutoCaptionContent(content) {
+    if (!content) return false;
+    return /<(?:\d+:)?\d{2}:\d{2}\.\d{3}>/.test(content) || /"(?:tOffsetMs|aAppend)"/.test(content);
+}
+
+// Hàm gộp các cue cuộn thành cue không lặp: bỏ các dòng đầu đã hiển thị ở cue trước, bỏ cue chỉ lặp lại dòng cũ,
+// cue có văn bản lớn dần (cue sau bắt đầu bằng toàn bộ văn bản của cue trước) được gộp vào cue trước
+function collapseRollingCues(cues) {
+    const collapsed = [];
+    let shownLines = [];
+
+    for (const cue of cues) {
+        const lines = cue.text.split('\n').map(line => line.trim()).filter(Boolean);
+        let firstNewLine = 0;
+        while (firstNewLine < lines.length && shownLines.includes(normalizeLine(lines[firstNewLine]))) {
+            firstNewLine++;
+        }
+        shownLines = lines.map(normalizeLine);
+
+        const text = lines.slice(firstNewLine).join(' ');
+        if (!text) continue;
+        // Từ của các dòng bị bỏ cũng bị bỏ; các dòng còn lại được nối thành một dòng
+        const words = cue.words && cue.words
+            .filter(word => word.line >= firstNewLine)
+            .map(word => ({ ...word, line: 0 }));
+
+        const last = collapsed[collapsed.length - 1];
+        const lastText = last && normalizeLine(last.text);
+        if (last && cue.start <= last.end &&
+            (normalizeLine(text) === lastText || normalizeLine(text).startsWith(`${lastText} `))) {
+            last.text = text;
+            last.words = words;
+            last.end = Math.max(last.end, cue.end);
+            continue;
+        }
+        collapsed.push({ ...cue, text, words, settings: {} });
+    }
+    return collapsed;
+}
+
+// Hàm chỉnh thời lượng: cue kết thúc trước khi cue sau bắt đầu, dài tối đa AUTO_CAPTION_MAX_DURATION
+// và được kéo dài tới AUTO_CAPTION_MIN_DURATION nếu còn chỗ trước cue sau
+function fitCueDurations(cues) {
+    return cues.map((cue, index) => {
+        const nextStart = index + 1 < cues.length ? cues[index + 1].start : Infinity;
+        let end = Math.min(cue.end, cue.start + AUTO_CAPTION_MAX_DURATION, nextStart);
+        if (end - cue.start < AUTO_CAPTION_MIN_DURATION) {
+            end = Math.min(cue.start + AUTO_CAPTION_MIN_DURATION, nextStart);
+        }
+        end = Math.max(end, cue.start);
+        // Từ kết thúc cùng cue được kéo theo thời điểm kết thúc mới của cue
+        const words = cue.words && cue.words.map(word => ({
+            ...word,
+            start: Math.min(word.start, end),
+            end: word.end >= cue.end ? end : Math.min(word.end, end)
+        }));
+        return { ...cue, end, words };
+    });
+}
+
+// Hàm chuẩn hóa danh sách cue của phụ đề tự động
+function normalizeAutoCaptionCues(cues) {
+    const sorted = [...cues].sort((a, b) => a.start - b.start || a.end - b.end);
+    return fitCueDurations(collapseRollingCues(sorted));
+}
+
+// Hàm đọc tùy chọn normalizeAutoCaptions của request: true/false bật/tắt, không gửi thì null (tự động theo loại track)
+function parseNormalizeOption(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return value === true || value === 'true' || value === '1';
+}
+
+module.exports = {
+    isAutoCaptionContent,
+    normalizeAutoCaptionCues,
+    parseNormalizeOption
+};
@@ -9,25 +9,150 @@ const THUMBNAIL_DIR = path.join(__dirname, 'thumbnails');
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 
-// Cấu hình rate limiting
-const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 phút
-const RATE_LIMIT_MAX = 100; // Số request tối đa trong 15 phút
+// Cấu hình rate limiting: mỗi quy tắc áp dụng cho các đường dẫn (tiền tố) và phương thức, tính riêng theo
+// API key hoặc IP, với cửa sổ burst và/hoặc sustained { points: số request, duration: giây }.
+// scope 'anonymous': chỉ áp dụng cho request không có API key (API key dùng hạn mức riêng)
+// apiKeyQuota: với API key, số request của cửa sổ sustained lấy từ hạn mức tương ứng của key
+const RATE_LIMIT_RULES = [
+    { name: 'global', paths: ['/'], burst: { points: 20, duration: 1 }, sustained: { points: 100, duration: 60 }, apiKeyQuota: 'requestsPerMinute' },
+    { name: 'download', paths: ['/api/download', '/api/playlist/download'], methods: ['POST'], scope: 'anonymous', burst: { points: 2, duration: 1 }, sustained: { points: 20, duration: 60 } },
+    { name: 'subtitles', paths: ['/api/download-subtitle', '/api/download-all-subtitles', '/api/subtitles/'], burst: { points: 5, duration: 1 }, sustained: { points: 60, duration: 60 } },
+    { name: 'files', paths: ['/downloads/', '/subtitles/'], sustained: { points: 200, duration: 15 * 60 } }
+];
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory'; // memory | redis
+const RATE_LIMIT_REDIS_URL = process.env.RATE_LIMIT_REDIS_URL || 'redis://127.0.0.1:6379';
 
 // Cấu hình subtitle
 const SUBTITLE_RETRY_DELAY = 1000; // 1 giây
 const SUBTITLE_MAX_RETRIES = 3;
+const DEFAULT_SUBTITLE_FORMATS = ['srt', 'vtt', 'txt']; // Định dạng mặc định khi tải tất cả phụ đề
+const AUTO_CAPTION_MIN_DURATION = 1000; // Thời lượng tối thiểu của cue sau khi chuẩn hóa phụ đề tự động (nếu còn chỗ)
+const AUTO_CAPTION_MAX_DURATION = 7000; // Thời lượng tối đa của cue sau khi chuẩn hóa phụ đề tự động
+const SUBTITLE_UPLOAD_LIMIT = '2mb'; // Dung lượng tối đa của phụ đề gửi lên (body JSON của /api/subtitles/retime)
 const CHUNK_SIZE = 1024 * 1024; // 1MB chunks
 
 // Cấu hình video
+// Chiều cao tối đa (px) tương ứng với các mức chất lượng high/medium/low
 const VIDEO_QUALITY = {
-    high: 'best',
-    medium: 'medium',
-    low: 'worst'
+    high: 1080,
+    medium: 720,
+    low: 360
 };
+const VIDEO_RESOLUTIONS = [2160, 1440, 1080, 720, 480, 360, 240, 144];
+// Codec video: giá trị sắp xếp của yt-dlp (-S vcodec:...), mẫu chuỗi codec của định dạng (avc1.640028, vp09.00...) và tên codec theo ffprobe
+const VIDEO_CODECS = {
+    h264: { ytDlpSort: 'h264', codecPattern: /^avc1/, probeCodec: 'h264' },
+    vp9: { ytDlpSort: 'vp9', codecPattern: /^vp0?9/, probeCodec: 'vp9' },
+    av1: { ytDlpSort: 'av01', codecPattern: /^av01/, probeCodec: 'av1' }
+};
+
+// Cấu hình định dạng âm thanh: phần mở rộng, tên định dạng của yt-dlp, encoder FFmpeg và codec ffprobe mong đợi
+const AUDIO_FORMATS = {
+    mp3: { extension: 'mp3', ytDlpFormat: 'mp3', encoder: 'libmp3lame', codec: 'mp3', lossless: false },
+    m4a: { extension: 'm4a', ytDlpFormat: 'm4a', encoder: 'aac', codec: 'aac', lossless: false },
+    opus: { extension: 'opus', ytDlpFormat: 'opus', encoder: 'libopus', codec: 'opus', lossless: false },
+    flac: { extension: 'flac', ytDlpFormat: 'flac', encoder: 'flac', codec: 'flac', lossless: true },
+    wav: { extension: 'wav', ytDlpFormat: 'wav', encoder: 'pcm_s16le', codec: 'pcm_s16le', lossless: true },
+    ogg: { extension: 'ogg', ytDlpFormat: 'vorbis', encoder: 'libvorbis', codec: 'vorbis', lossless: false }
+};
+const AUDIO_FORMAT_ALIASES = { aac: 'm4a', vorbis: 'ogg' };
+const DEFAULT_AUDIO_FORMAT = 'mp3';
+const DEFAULT_AUDIO_BITRATE = 128; // kbps
+const AUDIO_BITRATE_RANGE = { min: 32, max: 320 }; // kbps
+// Bitrate tương ứng mức VBR 0 (tốt nhất) - 9 cho encoder không hỗ trợ chất lượng VBR trực tiếp
+const AUDIO_VBR_BITRATES = [320, 256, 224, 192, 160, 128, 112, 96, 80, 64];
+
+// Cấu hình playlist/kênh
+const PLAYLIST_MAX_ITEMS = parseInt(process.env.PLAYLIST_MAX_ITEMS, 10) || 200; // Số video tối đa lấy từ một playlist/kênh
+
+// Cấu hình provider (yt-dlp, ytdl-core, ...): thứ tự thử mặc định và các provider bị tắt
+const PROVIDER_ORDER = (process.env.PROVIDER_ORDER || 'youtube-data-api,yt-dlp,ytdl-core,youtube-caption-extractor,youtube-timedtext,node-youtube-subtitles')
+    .split(',').map(name => name.trim()).filter(Boolean);
+const PROVIDER_DISABLED = (process.env.PROVIDER_DISABLED || '')
+    .split(',').map(name => name.trim()).filter(Boolean);
+const PROVIDER_ADAPTIVE_ORDER = process.env.PROVIDER_ADAPTIVE_ORDER !== 'false'; // Ưu tiên provider có tỉ lệ thành công cao hơn
+const PROVIDER_INFO_CACHE_TTL = 5 * 60 * 1000; // Giữ thông tin video (tiêu đề, tính khả dụng) trong 5 phút
+// Chế độ fixture: chỉ dùng provider đọc dữ liệu từ thư mục cục bộ, không truy cập mạng
+const FIXTURE_DIR = process.env.PROVIDER_FIXTURE_DIR ? path.resolve(process.env.PROVIDER_FIXTURE_DIR) : null;
+const FIXTURE_MEDIA_DURATION = parseInt(process.env.FIXTURE_MEDIA_DURATION, 10) || 2; // Độ dài (giây) của media sinh tự động
 
 // Cấu hình logging
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
-const LOG_DIR = path.join(__dirname, 'logs');
+const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, 'logs'); // Nơi ghi error.log và combined.log
+
+// Cấu hình hàng đợi tải xuống
+const DATA_DIR = path.join(__dirname, 'data');
+const JOB_STORE_PATH = process.env.JOB_STORE_PATH || path.join(DATA_DIR, 'jobs.jsonl');
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2; // Số job chạy đồng thời
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 2; // Số lần thử tối đa (kể cả khi khởi động lại)
+const JOB_RETENTION = 24 * 60 * 60 * 1000; // Giữ lịch sử job đã kết thúc trong 24 giờ
+const JOB_COMPACT_INTERVAL = 60 * 60 * 1000; // Chu kỳ xóa job hết hạn khỏi bộ nhớ và ghi gọn store (1 giờ)
+
+// Cấu hình luồng tiến trình (SSE dùng chung cho nhiều job)
+const PROGRESS_RETENTION = 60 * 60 * 1000; // Giữ tiến trình tải phụ đề đã kết thúc trong 1 giờ
+const PROGRESS_SESSION_TTL = 10 * 60 * 1000; // Xóa phiên không còn kết nối sau 10 phút
+const PROGRESS_HEARTBEAT_INTERVAL = 25 * 1000; // Gửi comment giữ kết nối SSE
+const PROGRESS_STREAM_MAX_IDS = 100; // Số job tối đa mỗi phiên theo dõi
+
+// Cấu hình phụ đề song ngữ: cue phụ không giao với cue chính nào được gắn vào cue chính gần nhất trong khoảng này
+const BILINGUAL_MAX_GAP = 1000; // 1 giây
+
+// Content-Type theo phần mở rộng của file tải về và file phụ đề
+const MIME_TYPES = {
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    mkv: 'video/x-matroska',
+    mp3: 'audio/mpeg',
+    m4a: 'audio/mp4',
+    opus: 'audio/ogg; codecs=opus',
+    ogg: 'audio/ogg',
+    flac: 'audio/flac',
+    wav: 'audio/wav',
+    vtt: 'text/vtt; charset=utf-8',
+    srt: 'application/x-subrip; charset=utf-8',
+    txt: 'text/plain; charset=utf-8',
+    ass: 'text/x-ssa; charset=utf-8',
+    ssa: 'text/x-ssa; charset=utf-8',
+    ttml: 'application/ttml+xml; charset=utf-8',
+    dfxp: 'application/ttaf+xml; charset=utf-8',
+    sbv: 'text/plain; charset=utf-8',
+    lrc: 'text/plain; charset=utf-8',
+    json3: 'application/json; charset=utf-8',
+    xml: 'application/xml; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    zip: 'application/zip'
+};
+
+// Cấu hình thư viện file đã tải (/api/downloads)
+const LIBRARY_INDEX_PATH = process.env.LIBRARY_INDEX_PATH || path.join(DATA_DIR, 'library.json');
+const LIBRARY_PAGE_SIZE = 20; // Số file mỗi trang mặc định
+const LIBRARY_MAX_PAGE_SIZE = 100;
+
+// Cấu hình chính sách lưu giữ file trong downloads và subtitles
+const RETENTION_MAX_BYTES = (parseInt(process.env.RETENTION_MAX_MB, 10) || 5120) * 1024 * 1024; // Tổng dung lượng tối đa
+const RETENTION_MAX_AGE = (parseFloat(process.env.RETENTION_MAX_AGE_HOURS) || 72) * 60 * 60 * 1000; // Xóa file cũ hơn 72 giờ
+const RETENTION_MIN_FREE_BYTES = (parseInt(process.env.RETENTION_MIN_FREE_MB, 10) || 1024) * 1024 * 1024; // Dung lượng đĩa trống tối thiểu
+const RETENTION_INTERVAL = (parseFloat(process.env.RETENTION_INTERVAL_MINUTES) || 10) * 60 * 1000; // Chạy định kỳ mỗi 10 phút
+const RETENTION_HISTORY_SIZE = 20; // Số lần chạy gần nhất được giữ lại
+
+// URL tải file có chữ ký: secret HMAC (nên cố định để URL còn hiệu lực sau khi khởi động lại) và thời hạn
+const DOWNLOAD_URL_SECRET = process.env.DOWNLOAD_URL_SECRET || null;
+const DOWNLOAD_URL_TTL = (parseInt(process.env.DOWNLOAD_URL_TTL_MINUTES, 10) || 60) * 60 * 1000; // Hết hạn sau 1 giờ
+// URL dùng một lần vẫn nhận request Range (tải tiếp) trong khoảng này sau lần dùng đầu tiên
+const SINGLE_USE_RESUME_WINDOW = (parseInt(process.env.SINGLE_USE_RESUME_MINUTES, 10) || 10) * 60 * 1000;
+// Mã của các URL dùng một lần đã dùng, giữ tới khi URL hết hạn (còn hiệu lực sau khi khởi động lại)
+const USED_NONCE_STORE_PATH = process.env.USED_NONCE_STORE_PATH || path.join(DATA_DIR, 'used-nonces.json');
+
+// API key cho client dùng script: store (chỉ lưu hash) và hạn mức mặc định của key mới
+const API_KEY_STORE_PATH = process.env.API_KEY_STORE_PATH || path.join(DATA_DIR, 'apikeys.json');
+const API_KEY_DEFAULT_QUOTAS = {
+    requestsPerMinute: 120,
+    bytesPerDay: 10 * 1024 * 1024 * 1024, // 10 GB
+    concurrentJobs: 4
+};
+
+// Token cho các endpoint quản trị (/api/admin/...); không đặt thì các endpoint này bị tắt
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
 
 module.exports = {
     DOWNLOAD_DIR,
@@ -35,12 +160,59 @@ module.exports = {
     THUMBNAIL_DIR,
     PORT,
     HOST,
-    RATE_LIMIT_WINDOW,
-    RATE_LIMIT_MAX,
+    RATE_LIMIT_RULES,
+    RATE_LIMIT_STORE,
+    RATE_LIMIT_REDIS_URL,
     SUBTITLE_RETRY_DELAY,
     SUBTITLE_MAX_RETRIES,
+    DEFAULT_SUBTITLE_FORMATS,
+    AUTO_CAPTION_MIN_DURATION,
+    AUTO_CAPTION_MAX_DURATION,
+    SUBTITLE_UPLOAD_LIMIT,
     CHUNK_SIZE,
     VIDEO_QUALITY,
+    VIDEO_RESOLUTIONS,
+    VIDEO_CODECS,
+    AUDIO_FORMATS,
+    AUDIO_FORMAT_ALIASES,
+    DEFAULT_AUDIO_FORMAT,
+    DEFAULT_AUDIO_BITRATE,
+    AUDIO_BITRATE_RANGE,
+    AUDIO_VBR_BITRATES,
+    PLAYLIST_MAX_ITEMS,
+    PROVIDER_ORDER,
+    PROVIDER_DISABLED,
+    PROVIDER_ADAPTIVE_ORDER,
+    PROVIDER_INFO_CACHE_TTL,
+    FIXTURE_DIR,
+    FIXTURE_MEDIA_DURATION,
     LOG_LEVEL,
-    LOG_DIR
+    LOG_DIR,
+    DATA_DIR,
+    JOB_STORE_PATH,
+    JOB_CONCURRENCY,
+    JOB_MAX_ATTEMPTS,
+    JOB_RETENTION,
+    JOB_COMPACT_INTERVAL,
+    PROGRESS_RETENTION,
+    PROGRESS_SESSION_TTL,
+    PROGRESS_HEARTBEAT_INTERVAL,
+    PROGRESS_STREAM_MAX_IDS,
+    BILINGUAL_MAX_GAP,
+    MIME_TYPES,
+    LIBRARY_INDEX_PATH,
+    LIBRARY_PAGE_SIZE,
+    LIBRARY_MAX_PAGE_SIZE,
+    RETENTION_MAX_BYTES,
+    RETENTION_MAX_AGE,
+    RETENTION_MIN_FREE_BYTES,
+    RETENTION_INTERVAL,
+    RETENTION_HISTORY_SIZE,
+    DOWNLOAD_URL_SECRET,
+    DOWNLOAD_URL_TTL,
+    SINGLE_USE_RESUME_WINDOW,
+    USED_NONCE_STORE_PATH,
+    API_KEY_STORE_PATH,
+    API_KEY_DEFAULT_QUOTAS,
+    ADMIN_TOKEN
 }; 
\ No newline at end of file
@@ -0,0 +1,218 @@
+// errors.js
+const { logger } = require('./utils');
+
+// Mã lỗi cố định trả về cho client (API JSON và SSE)
+const ERROR_CODES = {
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    INVALID_URL: 'INVALID_URL',
+    UNSUPPORTED_PLATFORM: 'UNSUPPORTED_PLATFORM',
+    METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    LINK_INVALID: 'LINK_INVALID',
+    LINK_EXPIRED: 'LINK_EXPIRED',
+    NOT_FOUND: 'NOT_FOUND',
+    FILE_IN_USE: 'FILE_IN_USE',
+    RANGE_NOT_SATISFIABLE: 'RANGE_NOT_SATISFIABLE',
+    VIDEO_UNAVAILABLE: 'VIDEO_UNAVAILABLE',
+    NO_SUBTITLES: 'NO_SUBTITLES',
+    NO_CONTENT: 'NO_CONTENT',
+    JOB_FINISHED: 'JOB_FINISHED',
+    CANCELLED: 'CANCELLED',
+    RATE_LIMITED: 'RATE_LIMITED',
+    QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+    FFMPEG_MISSING: 'FFMPEG_MISSING',
+    DOWNLOAD_INTERRUPTED: 'DOWNLOAD_INTERRUPTED',
+    CONVERSION_FAILED: 'CONVERSION_FAILED',
+    FILE_INVALID: 'FILE_INVALID',
+    FILE_TOO_LARGE: 'FILE_TOO_LARGE',
+    UPSTREAM_FAILED: 'UPSTREAM_FAILED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// HTTP status tương ứng với từng mã lỗi
+const ERROR_STATUS = {
+    INVALID_REQUEST: 400,
+    PAYLOAD_TOO_LARGE: 413,
+    INVALID_URL: 400,
+    UNSUPPORTED_PLATFORM: 400,
+    METHOD_NOT_ALLOWED: 405,
+    UNAUTHORIZED: 401,
+    LINK_INVALID: 403,
+    LINK_EXPIRED: 410,
+    NOT_FOUND: 404,
+    FILE_IN_USE: 409,
+    RANGE_NOT_SATISFIABLE: 416,
+    VIDEO_UNAVAILABLE: 404,
+    NO_SUBTITLES: 404,
+    NO_CONTENT: 409,
+    JOB_FINISHED: 409,
+    CANCELLED: 409,
+    RATE_LIMITED: 429,
+    QUOTA_EXCEEDED: 429,
+    FFMPEG_MISSING: 503,
+    DOWNLOAD_INTERRUPTED: 503,
+    CONVERSION_FAILED: 500,
+    FILE_INVALID: 500,
+    FILE_TOO_LARGE: 422,
+    UPSTREAM_FAILED: 502,
+    INTERNAL_ERROR: 500
+};
+
+// Thông báo lỗi theo ngôn ngữ (ngôn ngữ đầu tiên là mặc định)
+const ERROR_MESSAGES = {
+    vi: {
+        INVALID_REQUEST: 'Yêu cầu không hợp lệ hoặc thiếu thông tin cần thiết.',
+        PAYLOAD_TOO_LARGE: 'Dữ liệu gửi lên quá lớn.',
+        INVALID_URL: 'URL không hợp lệ.',
+        UNSUPPORTED_PLATFORM: 'Nền tảng không được hỗ trợ.',
+        METHOD_NOT_ALLOWED: 'Phương thức không được hỗ trợ cho endpoint này.',
+        UNAUTHORIZED: 'Thiếu hoặc sai thông tin xác thực.',
+        LINK_INVALID: 'Liên kết tải không hợp lệ.',
+        LINK_EXPIRED: 'Liên kết tải đã hết hạn hoặc đã được sử dụng. Vui lòng tải lại.',
+        NOT_FOUND: 'Không tìm thấy tài nguyên yêu cầu.',
+        FILE_IN_USE: 'File đang được tải hoặc đang được sử dụng, vui lòng thử lại sau.',
+        RANGE_NOT_SATISFIABLE: 'Khoảng dữ liệu yêu cầu nằm ngoài kích thước file.',
+        VIDEO_UNAVAILABLE: 'Video không tồn tại, đã bị xóa hoặc chưa được xử lý hoàn tất.',
+        NO_SUBTITLES: 'Video không có phụ đề cho ngôn ngữ yêu cầu.',
+        NO_CONTENT: 'Chưa có nội dung nào sẵn sàng để tải.',
+        JOB_FINISHED: 'Tải xuống đã kết thúc, không thể hủy.',
+        CANCELLED: 'Đã hủy tải xuống.',
+        RATE_LIMITED: 'Quá nhiều yêu cầu. Vui lòng thử lại sau!',
+        QUOTA_EXCEEDED: 'API key đã vượt hạn mức sử dụng.',
+        FFMPEG_MISSING: 'FFmpeg không được cài đặt hoặc không thể truy cập.',
+        DOWNLOAD_INTERRUPTED: 'Tải xuống bị gián đoạn do máy chủ khởi động lại.',
+        CONVERSION_FAILED: 'Không thể chuyển đổi định dạng tệp.',
+        FILE_INVALID: 'File tải về không hợp lệ. Vui lòng thử lại.',
+        FILE_TOO_LARGE: 'Không có định dạng nào nằm trong giới hạn dung lượng yêu cầu.',
+        UPSTREAM_FAILED: 'Không thể tải nội dung từ nguồn. Vui lòng thử lại sau.',
+        INTERNAL_ERROR: 'Lỗi server. Vui lòng thử lại sau!'
+    },
+    en: {
+        INVALID_REQUEST: 'The request is invalid or missing required fields.',
+        PAYLOAD_TOO_LARGE: 'The request body is too large.',
+        INVALID_URL: 'The URL is not valid.',
+        UNSUPPORTED_PLATFORM: 'This platform is not supported.',
+        METHOD_NOT_ALLOWED: 'This method is not supported for this endpoint.',
+        UNAUTHORIZED: 'Missing or invalid credentials.',
+        LINK_INVALID: 'The download link is invalid.',
+        LINK_EXPIRED: 'The download link has expired or was already used. Please request the file again.',
+        NOT_FOUND: 'The requested resource was not found.',
+        FILE_IN_USE: 'The file is still being downloaded or is in use. Please try again later.',
+        RANGE_NOT_SATISFIABLE: 'The requested range is outside the file.',
+        VIDEO_UNAVAILABLE: 'The video does not exist, was removed or has not finished processing.',
+        NO_SUBTITLES: 'The video has no subtitles for the requested language.',
+        NO_CONTENT: 'Nothing is ready to download yet.',
+        JOB_FINISHED: 'The download has already finished and cannot be cancelled.',
+        CANCELLED: 'The download was cancelled.',
+        RATE_LIMITED: 'Too many requests. Please try again later!',
+        QUOTA_EXCEEDED: 'The API key has exceeded its usage quota.',
+        FFMPEG_MISSING: 'FFmpeg is not installed or cannot be accessed.',
+        DOWNLOAD_INTERRUPTED: 'The download was interrupted by a server restart.',
+        CONVERSION_FAILED: 'The file could not be converted.',
+        FILE_INVALID: 'The downloaded file is invalid. Please try again.',
+        FILE_TOO_LARGE: 'No format fits within the requested maximum file size.',
+        UPSTREAM_FAILED: 'The content could not be fetched from the source. Please try again later.',
+        INTERNAL_ERROR: 'Server error. Please try again later!'
+    }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(ERROR_MESSAGES);
+
+// Lỗi có mã cố định; client nhận thông báo theo ngôn ngữ, message được ghi log
+// và trả về kèm (detail) với lỗi 4xx để client biết trường/giá trị nào không hợp lệ
+class AppError extends Error {
+    constructor(code, message, { retryAfter } = {}) {
+        super(message || ERROR_MESSAGES.vi[code] || code);
+        this.name = 'AppError';
+        this.code = ERROR_STATUS[code] ? code : ERROR_CODES.INTERNAL_ERROR;
+        this.status = ERROR_STATUS[this.code];
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Hàm tạo lỗi từ kết quả checkVideoAvailability
+function createAvailabilityError(availability) {
+    const code = availability.checkFailed ? ERROR_CODES.UPSTREAM_FAILED : ERROR_CODES.VIDEO_UNAVAILABLE;
+    return new AppError(code, availability.reason);
+}
+
+// Hàm chuyển mọi lỗi (AppError, lỗi body-parser, Error thường) thành AppError
+function toAppError(error) {
+    if (error instanceof AppError) return error;
+
+    if (error && error.type === 'entity.parse.failed') {
+        return new AppError(ERROR_CODES.INVALID_REQUEST, `Invalid JSON: ${error.message}`);
+    }
+    if (error && error.type === 'entity.too.large') {
+        return new AppError(ERROR_CODES.PAYLOAD_TOO_LARGE, error.message);
+    }
+    return new AppError(ERROR_CODES.INTERNAL_ERROR, error && error.message);
+}
+
+// Hàm chọn ngôn ngữ thông báo từ header Accept-Language
+function getRequestLanguage(req) {
+    return req.acceptsLanguages(...SUPPORTED_LANGUAGES) || SUPPORTED_LANGUAGES[0];
+}
+
+// Hàm lấy thông báo lỗi theo mã và ngôn ngữ
+function getErrorMessage(code, language = SUPPORTED_LANGUAGES[0]) {
+    const messages = ERROR_MESSAGES[language] || ERROR_MESSAGES[SUPPORTED_LANGUAGES[0]];
+    return messages[code] || messages.INTERNAL_ERROR;
+}
+
+// Hàm thay thông báo lỗi trong dữ liệu tiến trình bằng bản dịch theo mã lỗi
+function localizeProgress(progress, language) {
+    if (!progress) return progress;
+
+    const localized = progress.code && progress.error
+        ? { ...progress, error: getErrorMessage(progress.code, language) }
+        : progress;
+    if (Array.isArray(progress.items)) {
+        return { ...localized, items: progress.items.map(item => localizeProgress(item, language)) };
+    }
+    return localized;
+}
+
+// Bọc route async để lỗi được chuyển tới middleware xử lý lỗi
+function asyncHandler(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Middleware xử lý lỗi tập trung (đăng ký sau tất cả các route)
+function errorHandler(error, req, res, next) {
+    const appError = toAppError(error);
+
+    if (appError.status >= 500) {
+        logger.error(`${req.method} ${req.originalUrl} failed [${appError.code}]: ${appError.message}`);
+    } else {
+        logger.warn(`${req.method} ${req.originalUrl} rejected [${appError.code}]: ${appError.message}, IP: ${req.ip}`);
+    }
+
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    if (appError.retryAfter) {
+        res.set('Retry-After', String(appError.retryAfter));
+    }
+    res.status(appError.status).json({
+        success: false,
+        code: appError.code,
+        error: getErrorMessage(appError.code, getRequestLanguage(req)),
+        // Lỗi 5xx có thể chứa thông tin nội bộ (đường dẫn, lỗi của tiến trình con) nên không trả về
+        ...(appError.status < 500 ? { detail: appError.message } : {})
+    });
+}
+
+module.exports = {
+    ERROR_CODES,
+    AppError,
+    createAvailabilityError,
+    toAppError,
+    getRequestLanguage,
+    getErrorMessage,
+    localizeProgress,
+    asyncHandler,
+    errorHandler
+};
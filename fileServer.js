@@ -0,0 +1,175 @@
+// fileServer.js
+// Gửi file tải về/phụ đề với hỗ trợ tải tiếp và tua: Range (206), If-Range, ETag/If-None-Match,
+// Last-Modified/If-Modified-Since, Content-Type theo phần mở rộng và tên file UTF-8 (RFC 5987 filename*).
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./utils');
+const { ERROR_CODES, AppError } = require('./errors');
+const { pinFile } = require('./retention');
+const { MIME_TYPES } = require('./config');
+
+// Hàm lấy Content-Type theo phần mở rộng của file
+function getMimeType(fileName) {
+    return MIME_TYPES[path.extname(fileName).slice(1).toLowerCase()] || 'application/octet-stream';
+}
+
+// Hàm tạo Content-Disposition: filename ASCII cho trình duyệt cũ và filename* (UTF-8) giữ nguyên tiếng Việt
+function getContentDisposition(fileName, type = 'attachment') {
+    const asciiName = fileName
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[đĐ]/g, match => (match === 'đ' ? 'd' : 'D'))
+        .replace(/[^\x20-\x7e]/g, '_')
+        .replace(/["\\]/g, '_');
+    const encodedName = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+}
+
+// Hàm tạo ETag từ dung lượng và thời điểm sửa đổi
+function getETag(stats) {
+    return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+// Hàm so sánh ETag yếu (bỏ tiền tố W/)
+function matchesETag(header, etag) {
+    if (header.trim() === '*') return true;
+    return header.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+}
+
+// Hàm kiểm tra client đã có bản mới nhất (trả 304)
+function isNotModified(req, etag, stats) {
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch) return matchesETag(ifNoneMatch, etag);
+
+    const ifModifiedSince = Date.parse(req.get('If-Modified-Since') || '');
+    return !Number.isNaN(ifModifiedSince) && Math.floor(stats.mtimeMs / 1000) * 1000 <= ifModifiedSince;
+}
+
+// Hàm kiểm tra If-Range: chỉ trả một phần khi bản client đang có vẫn giống bản trên server
+function isRangeFresh(req, etag, lastModified) {
+    const ifRange = req.get('If-Range');
+    if (!ifRange) return true;
+    if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+        return ifRange === etag; // If-Range yêu cầu so sánh ETag mạnh
+    }
+    return Date.parse(ifRange) === Date.parse(lastModified);
+}
+
+// Hàm đọc header Range (một khoảng bytes); trả về null nếu bỏ qua Range (gửi toàn bộ file)
+// Ném RANGE_NOT_SATISFIABLE nếu khoảng nằm ngoài file
+function parseRange(header, size) {
+    const match = header.trim().match(/^bytes=(\d*)-(\d*)$/);
+    // Không hỗ trợ nhiều khoảng hoặc đơn vị khác bytes: gửi toàn bộ file
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // bytes=-N: N byte cuối
+        const suffixLength = parseInt(match[2], 10);
+        start = Math.max(0, size - suffixLength);
+        end = size - 1;
+        if (suffixLength === 0) start = size;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+        if (match[2] !== '' && parseInt(match[2], 10) < start) return null;
+    }
+
+    if (start >= size) {
+        throw new AppError(ERROR_CODES.RANGE_NOT_SATISFIABLE, `Range ${header} nằm ngoài file ${size} bytes`);
+    }
+    return { start, end };
+}
+
+// Hàm gửi file tới client; fileName là tên hiển thị khi lưu (Content-Disposition)
+// beforeSend({ etag, start }) được gọi trước khi gửi nội dung (không gọi với HEAD/304), có thể ném lỗi để từ chối;
+// start là byte đầu của Range (null nếu gửi toàn bộ file). Hàm trả về (nếu có) nhận vị trí đã gửi tới khi kết thúc
+// Trả về Promise hoàn tất khi gửi xong hoặc client ngắt kết nối
+function sendFile(req, res, { filePath, fileName, stats, disposition = 'attachment', beforeSend = null }) {
+    const etag = getETag(stats);
+    const lastModified = stats.mtime.toUTCString();
+
+    res.set({
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Last-Modified': lastModified,
+        'Cache-Control': 'no-cache'
+    });
+
+    if (isNotModified(req, etag, stats)) {
+        res.status(304).end();
+        return Promise.resolve();
+    }
+
+    let range = null;
+    if (req.get('Range') && isRangeFresh(req, etag, lastModified)) {
+        try {
+            range = parseRange(req.get('Range'), stats.size);
+        } catch (error) {
+            res.set('Content-Range', `bytes */${stats.size}`);
+            return Promise.reject(error);
+        }
+    }
+
+    let onSent = null;
+    if (beforeSend && req.method !== 'HEAD') {
+        try {
+            onSent = beforeSend({ etag, start: range ? range.start : null });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    res.set({
+        'Content-Type': getMimeType(fileName),
+        'Content-Disposition': getContentDisposition(fileName, disposition)
+    });
+    if (range) {
+        res.status(206).set({
+            'Content-Range': `bytes ${range.start}-${range.end}/${stats.size}`,
+            'Content-Length': range.end - range.start + 1
+        });
+    } else {
+        res.status(200).set('Content-Length', stats.size);
+    }
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const fileStream = fs.createReadStream(filePath, range || {});
+        let sentUntil = range ? range.start : 0;
+        fileStream.on('data', chunk => { sentUntil += chunk.length; });
+        // Giữ file không bị chính sách lưu giữ xóa trong lúc đọc
+        fileStream.on('close', pinFile(filePath));
+
+        fileStream.on('error', (error) => {
+            if (res.headersSent) {
+                res.destroy(error);
+                return resolve();
+            }
+            reject(new AppError(ERROR_CODES.INTERNAL_ERROR, `Lỗi đọc file ${fileName}: ${error.message}`));
+        });
+
+        // Xử lý khi client ngắt kết nối
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                fileStream.destroy();
+                logger.info(`Client ngắt kết nối khi tải file ${fileName}`);
+            }
+            if (onSent) onSent(sentUntil);
+            resolve();
+        });
+
+        fileStream.pipe(res);
+    });
+}
+
+module.exports = {
+    sendFile,
+    getMimeType,
+    getContentDisposition
+};
@@ -0,0 +1,386 @@
+// jobQueue.js
+const EventEmitter = require('events');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./utils');
+const { ERROR_CODES, toAppError } = require('./errors');
+const { PROGRESS_STAGES, createProgressEvent } = require('./progress');
+const {
+    JOB_STORE_PATH,
+    JOB_CONCURRENCY,
+    JOB_MAX_ATTEMPTS,
+    JOB_RETENTION,
+    JOB_COMPACT_INTERVAL
+} = require('./config');
+
+// Trạng thái của job
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    COMPLETED: 'completed',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const TERMINAL_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Các trường tiến trình (chỉ giữ trong bộ nhớ), được đặt lại mỗi lần job chạy
+const PROGRESS_FIELDS = { progress: 0, bytesDone: null, bytesTotal: null, speed: null, eta: null, provider: null };
+
+// Giai đoạn tiến trình tương ứng với trạng thái kết thúc của job
+const TERMINAL_STAGES = {
+    [JOB_STATUS.COMPLETED]: PROGRESS_STAGES.DONE,
+    [JOB_STATUS.FAILED]: PROGRESS_STAGES.FAILED,
+    [JOB_STATUS.CANCELLED]: PROGRESS_STAGES.FAILED
+};
+
+// Các trường được ghi xuống store (tiến trình chỉ giữ trong bộ nhớ)
+const PERSISTED_FIELDS = ['id', 'type', 'payload', 'status', 'attempts', 'result', 'error', 'errorCode', 'createdAt', 'updatedAt'];
+// Lô job (ví dụ lô tải playlist) được ghi cùng store với kind = 'batch'
+const BATCH_PERSISTED_FIELDS = ['id', 'kind', 'payload', 'jobIds', 'createdAt', 'updatedAt'];
+
+// Phát sự kiện 'update' mỗi khi job thay đổi
+const jobEvents = new EventEmitter();
+
+const jobs = new Map();
+const batches = new Map();
+const handlers = new Map();
+// Điều kiện để job trong hàng đợi được bắt đầu (ví dụ hạn mức job đồng thời của API key)
+const jobGates = [];
+const abortControllers = new Map();
+const pendingJobs = [];
+let runningCount = 0;
+let started = false;
+let compactTimer = null;
+let writeChain = Promise.resolve();
+
+// Hàm lấy các trường được ghi xuống store của một job hoặc lô
+function toRecord(entry) {
+    const record = {};
+    for (const field of entry.kind === 'batch' ? BATCH_PERSISTED_FIELDS : PERSISTED_FIELDS) {
+        if (entry[field] !== undefined) record[field] = entry[field];
+    }
+    return record;
+}
+
+// Hàm ghi nối một bản ghi vào store (append-only JSON lines)
+function appendToStore(entry) {
+    const line = `${JSON.stringify(toRecord(entry))}\n`;
+    writeChain = writeChain
+        .then(() => fsPromises.appendFile(JOB_STORE_PATH, line))
+        .catch(error => logger.error(`Error writing job store: ${error.message}`));
+    return writeChain;
+}
+
+// Hàm đọc store và gộp các bản ghi theo id
+function loadStore() {
+    if (!fs.existsSync(JOB_STORE_PATH)) return;
+
+    const lines = fs.readFileSync(JOB_STORE_PATH, 'utf8').split('\n');
+    for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            const record = JSON.parse(line);
+            const entries = record.kind === 'batch' ? batches : jobs;
+            entries.set(record.id, { ...entries.get(record.id), ...record });
+        } catch (error) {
+            logger.warn(`Bỏ qua bản ghi job không hợp lệ: ${error.message}`);
+        }
+    }
+}
+
+// Hàm xóa khỏi bộ nhớ các job đã kết thúc quá JOB_RETENTION, rồi các lô cũ hơn JOB_RETENTION
+// không còn job nào; trả về số job và lô đã xóa
+function evictExpiredJobs() {
+    const now = Date.now();
+    let evicted = 0;
+    for (const [id, job] of jobs) {
+        if (TERMINAL_STATUSES.includes(job.status) && now - job.updatedAt > JOB_RETENTION) {
+            jobs.delete(id);
+            evicted++;
+        }
+    }
+    for (const [id, batch] of batches) {
+        if (now - batch.updatedAt > JOB_RETENTION && batch.jobIds.every(jobId => !jobs.has(jobId))) {
+            batches.delete(id);
+            evicted++;
+        }
+    }
+    return evicted;
+}
+
+// Hàm tạo nội dung store chỉ với trạng thái hiện tại của các job và lô còn giữ
+function serializeStore() {
+    const lines = [...jobs.values(), ...batches.values()].map(entry => JSON.stringify(toRecord(entry)));
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+// Hàm ghi lại store khi khởi động (đồng bộ, trước khi có lần ghi nào khác)
+function compactStore() {
+    evictExpiredJobs();
+    fs.writeFileSync(JOB_STORE_PATH, serializeStore());
+}
+
+// Hàm xóa job hết hạn và ghi gọn store trong lúc server chạy; lần ghi được xếp sau các lần ghi nối
+// đang chờ nên không mất bản ghi nào
+function compactStoreInBackground() {
+    const evicted = evictExpiredJobs();
+    writeChain = writeChain
+        .then(() => fsPromises.writeFile(JOB_STORE_PATH, serializeStore()))
+        .then(() => {
+            if (evicted > 0) logger.info(`Đã xóa ${evicted} job/lô hết hạn và ghi gọn store`);
+        })
+        .catch(error => logger.error(`Error compacting job store: ${error.message}`));
+    return writeChain;
+}
+
+// Hàm cập nhật job và thông báo cho các listener
+function updateJob(id, patch, { persist = true } = {}) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    Object.assign(job, patch, { updatedAt: Date.now() });
+    if (persist) {
+        appendToStore(job);
+    }
+    jobEvents.emit('update', job);
+    return job;
+}
+
+// Hàm cập nhật một phần payload của job (ghi xuống store), ví dụ danh sách người yêu cầu dùng chung job
+function updateJobPayload(id, patch) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    return updateJob(id, { payload: { ...job.payload, ...patch } });
+}
+
+// Hàm tạo lô job (payload tùy loại lô, jobIds: các job thuộc lô), ghi xuống store
+function createBatch(payload, jobIds = []) {
+    const now = Date.now();
+    const batch = { id: uuidv4(), kind: 'batch', payload, jobIds, createdAt: now, updatedAt: now };
+    batches.set(batch.id, batch);
+    appendToStore(batch);
+    return batch;
+}
+
+// Hàm cập nhật lô job (ghi xuống store)
+function updateBatch(id, patch) {
+    const batch = batches.get(id);
+    if (!batch) return null;
+
+    Object.assign(batch, patch, { updatedAt: Date.now() });
+    appendToStore(batch);
+    return batch;
+}
+
+// Hàm lấy lô job theo id
+function getBatch(id) {
+    return batches.get(id) || null;
+}
+
+// Hàm đăng ký hàm xử lý cho một loại job
+function registerJobHandler(type, handler) {
+    handlers.set(type, handler);
+}
+
+// Hàm đăng ký điều kiện bắt đầu job: gate(job) trả về false thì job được giữ lại trong hàng đợi
+// và xét lại mỗi khi có job kết thúc
+function registerJobGate(gate) {
+    jobGates.push(gate);
+}
+
+// Hàm thêm job mới vào hàng đợi
+function enqueueJob(type, payload) {
+    if (!handlers.has(type)) {
+        throw new Error(`Không có hàm xử lý cho loại job: ${type}`);
+    }
+
+    const now = Date.now();
+    const job = {
+        id: uuidv4(),
+        type,
+        payload,
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        stage: PROGRESS_STAGES.QUEUED,
+        ...PROGRESS_FIELDS,
+        result: null,
+        error: null,
+        errorCode: null,
+        createdAt: now,
+        updatedAt: now
+    };
+    jobs.set(job.id, job);
+    appendToStore(job);
+    jobEvents.emit('update', job);
+
+    pendingJobs.push(job.id);
+    processQueue();
+    return job;
+}
+
+// Hàm lấy job theo id
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+// Hàm lấy danh sách job (có thể lọc)
+function listJobs(filter = () => true) {
+    return [...jobs.values()].filter(filter);
+}
+
+// Hàm hủy job: bỏ khỏi hàng đợi hoặc dừng hàm xử lý đang chạy
+function cancelJob(id) {
+    const job = jobs.get(id);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) return false;
+
+    if (job.status === JOB_STATUS.QUEUED) {
+        updateJob(id, { status: JOB_STATUS.CANCELLED, stage: PROGRESS_STAGES.FAILED });
+        logger.info(`Job ${id} (${job.type}) đã bị hủy trước khi chạy`);
+        return true;
+    }
+
+    // Job đang chạy: trạng thái cancelled được ghi khi hàm xử lý dừng hẳn
+    const controller = abortControllers.get(id);
+    if (controller) {
+        controller.abort();
+    }
+    return true;
+}
+
+// Hàm chuyển job thành sự kiện tiến trình (schema của progress.js)
+function getJobProgress(job) {
+    return createProgressEvent({
+        ...job,
+        stage: TERMINAL_STAGES[job.status] || job.stage,
+        downloadUrl: job.result?.downloadUrl,
+        media: job.result?.media,
+        error: job.status === JOB_STATUS.FAILED ? job.error : null,
+        code: job.status === JOB_STATUS.FAILED ? job.errorCode : (job.status === JOB_STATUS.CANCELLED ? ERROR_CODES.CANCELLED : null),
+        cancelled: job.status === JOB_STATUS.CANCELLED
+    });
+}
+
+// Hàm chạy một job với hàm xử lý đã đăng ký
+async function runJob(job) {
+    runningCount++;
+    const controller = new AbortController();
+    abortControllers.set(job.id, controller);
+    updateJob(job.id, {
+        status: JOB_STATUS.RUNNING,
+        attempts: (job.attempts || 0) + 1,
+        stage: PROGRESS_STAGES.QUEUED,
+        ...PROGRESS_FIELDS,
+        error: null,
+        errorCode: null
+    });
+
+    try {
+        const handler = handlers.get(job.type);
+        if (!handler) {
+            throw new Error(`Không có hàm xử lý cho loại job: ${job.type}`);
+        }
+
+        const reportProgress = (progress) => updateJob(job.id, progress, { persist: false });
+        const result = await handler(job, reportProgress, controller.signal);
+        if (controller.signal.aborted) {
+            throw new Error('Đã hủy tải xuống');
+        }
+        updateJob(job.id, { status: JOB_STATUS.COMPLETED, stage: PROGRESS_STAGES.DONE, progress: 100, result: result || null });
+        logger.info(`Job ${job.id} (${job.type}) hoàn tất`);
+    } catch (error) {
+        if (controller.signal.aborted) {
+            logger.info(`Job ${job.id} (${job.type}) đã bị hủy`);
+            updateJob(job.id, { status: JOB_STATUS.CANCELLED, stage: PROGRESS_STAGES.FAILED, error: null, errorCode: null });
+        } else {
+            const appError = toAppError(error);
+            logger.error(`Job ${job.id} (${job.type}) thất bại [${appError.code}]: ${error.message}`);
+            updateJob(job.id, { status: JOB_STATUS.FAILED, stage: PROGRESS_STAGES.FAILED, error: error.message, errorCode: appError.code });
+        }
+    } finally {
+        abortControllers.delete(job.id);
+        runningCount--;
+        processQueue();
+    }
+}
+
+// Hàm lấy job từ hàng đợi khi còn slot trống
+function processQueue() {
+    if (!started) return;
+
+    let index = 0;
+    while (runningCount < JOB_CONCURRENCY && index < pendingJobs.length) {
+        const job = jobs.get(pendingJobs[index]);
+        if (!job || job.status !== JOB_STATUS.QUEUED) {
+            pendingJobs.splice(index, 1);
+        } else if (!jobGates.every(gate => gate(job))) {
+            // Chưa được chạy: giữ nguyên vị trí, xét job phía sau
+            index++;
+        } else {
+            pendingJobs.splice(index, 1);
+            runJob(job);
+        }
+    }
+}
+
+// Hàm khởi động hàng đợi: nạp store, khôi phục job dang dở và bắt đầu xử lý
+function startJobQueue() {
+    if (started) return;
+
+    fs.mkdirSync(path.dirname(JOB_STORE_PATH), { recursive: true });
+    loadStore();
+
+    const restored = [...jobs.values()].sort((a, b) => a.createdAt - b.createdAt);
+    for (const job of restored) {
+        Object.assign(job, PROGRESS_FIELDS);
+        if (job.status === JOB_STATUS.RUNNING) {
+            // Job đang chạy khi server dừng: chạy lại nếu còn lượt, ngược lại đánh dấu thất bại
+            if ((job.attempts || 0) < JOB_MAX_ATTEMPTS) {
+                logger.info(`Khôi phục job ${job.id} (${job.type}) sau khi khởi động lại`);
+                job.status = JOB_STATUS.QUEUED;
+            } else {
+                logger.warn(`Job ${job.id} (${job.type}) bị gián đoạn quá số lần cho phép`);
+                job.status = JOB_STATUS.FAILED;
+                job.error = 'Tải xuống bị gián đoạn do máy chủ khởi động lại.';
+                job.errorCode = ERROR_CODES.DOWNLOAD_INTERRUPTED;
+            }
+            job.updatedAt = Date.now();
+        }
+        job.stage = TERMINAL_STAGES[job.status] || PROGRESS_STAGES.QUEUED;
+        if (job.status === JOB_STATUS.QUEUED) {
+            pendingJobs.push(job.id);
+        }
+    }
+
+    compactStore();
+    started = true;
+    // Dọn định kỳ để bộ nhớ và store không tăng mãi khi server chạy lâu (không giữ process sống)
+    compactTimer = setInterval(compactStoreInBackground, JOB_COMPACT_INTERVAL);
+    compactTimer.unref();
+
+    for (const job of jobs.values()) {
+        jobEvents.emit('update', job);
+    }
+
+    logger.info(`Hàng đợi job đã khởi động: ${pendingJobs.length} job chờ xử lý, tối đa ${JOB_CONCURRENCY} job đồng thời`);
+    processQueue();
+}
+
+module.exports = {
+    JOB_STATUS,
+    jobEvents,
+    registerJobHandler,
+    registerJobGate,
+    enqueueJob,
+    updateJobPayload,
+    getJob,
+    listJobs,
+    cancelJob,
+    getJobProgress,
+    createBatch,
+    updateBatch,
+    getBatch,
+    startJobQueue
+};
@@ -0,0 +1,292 @@
+// library.js
+// Thư viện file đã tải: liệt kê file trong thư mục downloads và subtitles kèm loại, dung lượng,
+// độ dài (ffprobe), video nguồn và thời điểm tạo; hỗ trợ lọc, sắp xếp, phân trang và xóa.
+// File trong downloads thuộc cache media: tên hiển thị và video nguồn lấy từ metadata của cache.
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { logger, probeMedia } = require('./utils');
+const { ERROR_CODES, AppError } = require('./errors');
+const { readCacheMetadata, removeCacheEntry } = require('./mediaCache');
+const { isFileInUse } = require('./retention');
+const { createSignedUrl } = require('./signedUrls');
+const {
+    DOWNLOAD_DIR,
+    SUBTITLE_DIR,
+    AUDIO_FORMATS,
+    LIBRARY_INDEX_PATH,
+    LIBRARY_PAGE_SIZE,
+    LIBRARY_MAX_PAGE_SIZE
+} = require('./config');
+
+// Thư mục được liệt kê, theo tên dùng trong URL (/downloads/..., /subtitles/...)
+const LIBRARY_LOCATIONS = {
+    downloads: DOWNLOAD_DIR,
+    subtitles: SUBTITLE_DIR
+};
+
+const FILE_TYPES = ['video', 'audio', 'subtitle'];
+const SORT_FIELDS = ['createdAt', 'size', 'name', 'duration'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'mkv'];
+const AUDIO_EXTENSIONS = Object.values(AUDIO_FORMATS).map(format => format.extension);
+
+// Chỉ mục bổ sung thông tin không suy ra được từ file: key `${location}/${fileName}` -> { videoId, createdAt }
+let libraryIndex = null;
+let writeChain = Promise.resolve();
+// Cache độ dài media theo file: key -> { mtimeMs, size, duration }
+const durationCache = new Map();
+
+// Hàm đọc chỉ mục từ đĩa (chỉ đọc một lần)
+function getIndex() {
+    if (libraryIndex) return libraryIndex;
+
+    libraryIndex = new Map();
+    try {
+        if (fs.existsSync(LIBRARY_INDEX_PATH)) {
+            const records = JSON.parse(fs.readFileSync(LIBRARY_INDEX_PATH, 'utf8'));
+            for (const [key, record] of Object.entries(records)) {
+                libraryIndex.set(key, record);
+            }
+        }
+    } catch (error) {
+        logger.warn(`Bỏ qua chỉ mục thư viện không hợp lệ: ${error.message}`);
+    }
+    return libraryIndex;
+}
+
+// Hàm ghi chỉ mục xuống đĩa (các lần ghi được xếp hàng tuần tự)
+function saveIndex() {
+    const content = JSON.stringify(Object.fromEntries(getIndex()));
+    writeChain = writeChain
+        .then(() => fsPromises.mkdir(path.dirname(LIBRARY_INDEX_PATH), { recursive: true }))
+        .then(() => fsPromises.writeFile(LIBRARY_INDEX_PATH, content))
+        .catch(error => logger.error(`Error writing library index: ${error.message}`));
+    return writeChain;
+}
+
+// Hàm tìm location của một đường dẫn file; trả về null nếu file không nằm trong thư viện
+function getLocation(filePath) {
+    const dir = path.dirname(path.resolve(filePath));
+    return Object.keys(LIBRARY_LOCATIONS).find(location => path.resolve(LIBRARY_LOCATIONS[location]) === dir) || null;
+}
+
+// Hàm ghi nhận file mới vào thư viện (video nguồn, thời điểm tạo)
+function recordLibraryEntry(filePath, { videoId = null } = {}) {
+    const location = getLocation(filePath);
+    if (!location) return Promise.resolve();
+
+    getIndex().set(`${location}/${path.basename(filePath)}`, { videoId, createdAt: Date.now() });
+    return saveIndex();
+}
+
+// Hàm xác định loại file theo thư mục và phần mở rộng
+function getFileType(location, fileName) {
+    if (location === 'subtitles') return 'subtitle';
+    const extension = path.extname(fileName).slice(1).toLowerCase();
+    if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+    if (AUDIO_EXTENSIONS.includes(extension)) return 'audio';
+    return null;
+}
+
+// Hàm lấy độ dài media (giây), có cache theo mtime và dung lượng
+async function getDuration(entry) {
+    if (entry.type === 'subtitle') return null;
+
+    const cached = durationCache.get(entry.id);
+    if (cached && cached.mtimeMs === entry.mtimeMs && cached.size === entry.size) {
+        return cached.duration;
+    }
+    const media = await probeMedia(entry.filePath);
+    const duration = media ? media.duration : null;
+    durationCache.set(entry.id, { mtimeMs: entry.mtimeMs, size: entry.size, duration });
+    return duration;
+}
+
+// Hàm đọc danh sách file của một thư mục trong thư viện
+async function readLocation(location) {
+    const dir = LIBRARY_LOCATIONS[location];
+    const fileNames = await fsPromises.readdir(dir).catch(() => []);
+    const index = getIndex();
+    const entries = [];
+
+    for (const fileName of fileNames) {
+        const type = getFileType(location, fileName);
+        if (!type) continue;
+
+        const filePath = path.join(dir, fileName);
+        const stats = await fsPromises.stat(filePath).catch(() => null);
+        if (!stats || !stats.isFile()) continue;
+
+        const id = `${location}/${fileName}`;
+        const record = (location === 'downloads' && await readCacheMetadata(filePath)) || index.get(id) || {};
+        const name = record.key ? record.fileName : fileName;
+        entries.push({
+            id,
+            name,
+            location,
+            type,
+            size: stats.size,
+            videoId: record.videoId || null,
+            createdAt: record.createdAt || stats.birthtimeMs || stats.mtimeMs,
+            mtimeMs: stats.mtimeMs,
+            cacheKey: record.key || null,
+            filePath
+        });
+    }
+    return entries;
+}
+
+// Hàm đọc mốc thời gian (ISO hoặc milliseconds) từ query
+function parseDateParam(name, value) {
+    if (value === undefined || value === '') return null;
+    const timestamp = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+    if (Number.isNaN(timestamp)) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Tham số ${name} không phải thời điểm hợp lệ: ${value}`);
+    }
+    return timestamp;
+}
+
+// Hàm đọc số nguyên dương từ query
+function parsePositiveInt(name, value, defaultValue) {
+    if (value === undefined || value === '') return defaultValue;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Tham số ${name} phải là số nguyên dương: ${value}`);
+    }
+    return number;
+}
+
+// Hàm đọc và kiểm tra tham số lọc/sắp xếp/phân trang
+function parseLibraryQuery(query = {}) {
+    const types = query.type ? String(query.type).split(',').map(type => type.trim()) : FILE_TYPES;
+    const invalidType = types.find(type => !FILE_TYPES.includes(type));
+    if (invalidType) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Loại file không hợp lệ (${FILE_TYPES.join('/')}): ${invalidType}`);
+    }
+
+    const sort = query.sort || 'createdAt';
+    if (!SORT_FIELDS.includes(sort)) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Trường sắp xếp không hợp lệ (${SORT_FIELDS.join('/')}): ${sort}`);
+    }
+    const order = query.order || (sort === 'name' ? 'asc' : 'desc');
+    if (!['asc', 'desc'].includes(order)) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Thứ tự sắp xếp không hợp lệ (asc/desc): ${order}`);
+    }
+
+    return {
+        types,
+        videoId: query.videoId || null,
+        from: parseDateParam('from', query.from),
+        to: parseDateParam('to', query.to),
+        sort,
+        order,
+        page: parsePositiveInt('page', query.page, 1),
+        pageSize: Math.min(parsePositiveInt('pageSize', query.pageSize, LIBRARY_PAGE_SIZE), LIBRARY_MAX_PAGE_SIZE)
+    };
+}
+
+// Hàm chuyển entry nội bộ sang dạng trả về cho client
+function toLibraryItem(entry, duration) {
+    const createdAt = new Date(entry.createdAt).toISOString();
+    return {
+        id: entry.id,
+        name: entry.name,
+        location: entry.location,
+        type: entry.type,
+        size: entry.size,
+        duration,
+        videoId: entry.videoId,
+        createdAt,
+        date: createdAt,
+        url: entry.cacheKey
+            ? createSignedUrl({ location: entry.location, cacheKey: entry.cacheKey, fileName: entry.name })
+            : createSignedUrl({ location: entry.location, file: path.basename(entry.filePath), fileName: entry.name })
+    };
+}
+
+// Hàm liệt kê thư viện theo query { type, videoId, from, to, sort, order, page, pageSize }
+async function listLibrary(query) {
+    const options = parseLibraryQuery(query);
+
+    let entries = [];
+    for (const location of Object.keys(LIBRARY_LOCATIONS)) {
+        entries.push(...await readLocation(location));
+    }
+    entries = entries.filter(entry =>
+        options.types.includes(entry.type) &&
+        (!options.videoId || entry.videoId === options.videoId) &&
+        (options.from === null || entry.createdAt >= options.from) &&
+        (options.to === null || entry.createdAt <= options.to));
+
+    // Chỉ đọc độ dài của mọi file khi cần sắp xếp theo độ dài, còn lại chỉ đọc cho trang hiện tại
+    const durations = new Map();
+    if (options.sort === 'duration') {
+        for (const entry of entries) {
+            durations.set(entry.id, await getDuration(entry));
+        }
+    }
+
+    const direction = options.order === 'asc' ? 1 : -1;
+    const sortValue = entry => (options.sort === 'duration' ? durations.get(entry.id) || 0 : entry[options.sort]);
+    entries.sort((a, b) => {
+        const valueA = sortValue(a);
+        const valueB = sortValue(b);
+        const comparison = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+        return comparison * direction;
+    });
+
+    const start = (options.page - 1) * options.pageSize;
+    const pageEntries = entries.slice(start, start + options.pageSize);
+    const items = [];
+    for (const entry of pageEntries) {
+        const duration = durations.has(entry.id) ? durations.get(entry.id) : await getDuration(entry);
+        items.push(toLibraryItem(entry, duration));
+    }
+
+    return {
+        items,
+        total: entries.length,
+        page: options.page,
+        pageSize: options.pageSize,
+        totalPages: Math.ceil(entries.length / options.pageSize)
+    };
+}
+
+// Hàm xóa một file khỏi thư viện
+async function deleteLibraryEntry(location, fileName) {
+    const dir = LIBRARY_LOCATIONS[location];
+    // Chỉ chấp nhận tên file trực tiếp trong thư mục thư viện
+    if (!dir || !fileName || path.basename(fileName) !== fileName || !getFileType(location, fileName)) {
+        throw new AppError(ERROR_CODES.NOT_FOUND, `Không tìm thấy file trong thư viện: ${location}/${fileName}`);
+    }
+
+    const filePath = path.join(dir, fileName);
+    const cacheMetadata = location === 'downloads' ? await readCacheMetadata(filePath) : null;
+    // File đang được đọc (retention đang giữ) hoặc job tải chưa kết thúc vẫn đang ghi thì không xóa
+    if (isFileInUse(filePath, cacheMetadata?.key)) {
+        throw new AppError(ERROR_CODES.FILE_IN_USE, `File đang được sử dụng: ${location}/${fileName}`);
+    }
+    try {
+        await fsPromises.unlink(filePath);
+    } catch (error) {
+        throw new AppError(ERROR_CODES.NOT_FOUND, `Không tìm thấy file trong thư viện: ${location}/${fileName}`);
+    }
+
+    if (cacheMetadata) {
+        await removeCacheEntry(cacheMetadata.key);
+    }
+
+    const id = `${location}/${fileName}`;
+    durationCache.delete(id);
+    if (getIndex().delete(id)) {
+        await saveIndex();
+    }
+    logger.info(`Đã xóa file khỏi thư viện: ${filePath}`);
+    return { id };
+}
+
+module.exports = {
+    recordLibraryEntry,
+    listLibrary,
+    deleteLibraryEntry
+};
@@ -0,0 +1,175 @@
+// mediaCache.js
+// Cache media theo nội dung: mỗi file trong downloads được đặt tên theo khóa băm của
+// (videoId, loại, độ phân giải, codec, dung lượng tối đa, định dạng âm thanh, đoạn cắt),
+// kèm file metadata <khóa>.json bên cạnh (tiêu đề, tên hiển thị, tùy chọn, lượt dùng).
+// Tên hiển thị không ảnh hưởng tới khóa nên đổi tiêu đề không làm tải lại, hai video trùng tiêu đề không ghi đè nhau.
+const crypto = require('crypto');
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { logger, validateFile } = require('./utils');
+const { DOWNLOAD_DIR } = require('./config');
+
+const CACHE_KEY_PATTERN = /^[0-9a-f]{32}$/;
+
+// Số lần tìm thấy/không thấy trong cache kể từ khi khởi động
+const cacheStats = { hits: 0, misses: 0 };
+
+// Hàm tạo khóa cache từ video và các tùy chọn ảnh hưởng tới nội dung file
+function getCacheKey({ videoId, type, clip = null, audio = null, video = null }) {
+    const descriptor = {
+        videoId,
+        type,
+        video: video ? { height: video.height, codec: video.codec || null, maxFilesize: video.maxFilesize || null } : null,
+        audio: audio ? { format: audio.format, bitrate: audio.bitrate, vbr: audio.vbr } : null,
+        clip: clip ? { start: clip.start, end: clip.end } : null
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(descriptor)).digest('hex').slice(0, 32);
+}
+
+// Hàm kiểm tra chuỗi có phải khóa cache hợp lệ không (chặn truy cập file ngoài cache)
+function isCacheKey(value) {
+    return CACHE_KEY_PATTERN.test(value);
+}
+
+function getMetadataPath(key) {
+    return path.join(DOWNLOAD_DIR, `${key}.json`);
+}
+
+// Hàm lấy đường dẫn file media của khóa theo phần mở rộng
+function getCacheFilePath(key, extension) {
+    return path.join(DOWNLOAD_DIR, `${key}.${extension}`);
+}
+
+// Hàm đọc metadata của khóa; trả về null nếu không có hoặc không hợp lệ
+async function readMetadata(key) {
+    if (!isCacheKey(key)) return null;
+    try {
+        return JSON.parse(await fsPromises.readFile(getMetadataPath(key), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            logger.warn(`Bỏ qua metadata cache không hợp lệ ${key}: ${error.message}`);
+        }
+        return null;
+    }
+}
+
+function writeMetadata(metadata) {
+    return fsPromises.writeFile(getMetadataPath(metadata.key), JSON.stringify(metadata, null, 2));
+}
+
+// Hàm đọc metadata của một file media trong downloads (dùng cho thư viện); null nếu file không thuộc cache
+function readCacheMetadata(filePath) {
+    if (path.resolve(path.dirname(filePath)) !== path.resolve(DOWNLOAD_DIR)) return Promise.resolve(null);
+    const key = path.basename(filePath, path.extname(filePath));
+    return readMetadata(key);
+}
+
+// Hàm xóa file media và metadata của một khóa
+async function removeCacheEntry(key) {
+    const metadata = await readMetadata(key);
+    if (metadata) {
+        await fsPromises.unlink(getCacheFilePath(key, metadata.extension)).catch(() => {});
+    }
+    await fsPromises.unlink(getMetadataPath(key)).catch(() => {});
+}
+
+// Hàm lấy entry cache để phục vụ tải file (không tính vào hit/miss); null nếu file không còn
+async function getCacheEntry(key) {
+    const metadata = await readMetadata(key);
+    if (!metadata) return null;
+
+    const filePath = getCacheFilePath(key, metadata.extension);
+    const stats = await fsPromises.stat(filePath).catch(() => null);
+    if (!stats || stats.size === 0) return null;
+    return { ...metadata, filePath, size: stats.size };
+}
+
+// Hàm ghi nhận một lần dùng lại entry (thời điểm truy cập gần nhất quyết định thứ tự dọn dẹp)
+async function touchCacheEntry(key) {
+    const metadata = await readMetadata(key);
+    if (!metadata) return;
+    metadata.lastAccessAt = Date.now();
+    await writeMetadata(metadata).catch(error => logger.warn(`Không thể cập nhật metadata cache ${key}: ${error.message}`));
+}
+
+// Hàm tra cứu cache trước khi tải: kiểm tra file còn hợp lệ, tính hit/miss
+// Trả về entry (kèm filePath, size) hoặc null nếu cần tải mới
+async function lookupCacheEntry(key, { type, audioCodec = null } = {}) {
+    const entry = await getCacheEntry(key);
+    if (entry && await validateFile(entry.filePath, type, audioCodec)) {
+        cacheStats.hits++;
+        const { filePath, ...metadata } = entry;
+        await writeMetadata({ ...metadata, hits: (entry.hits || 0) + 1, lastAccessAt: Date.now() })
+            .catch(error => logger.warn(`Không thể cập nhật metadata cache ${key}: ${error.message}`));
+        logger.info(`Cache hit ${key}: ${entry.fileName}`);
+        return entry;
+    }
+
+    if (entry) {
+        logger.error(`File cache không hợp lệ, xóa: ${entry.filePath}`);
+        await removeCacheEntry(key);
+    }
+    cacheStats.misses++;
+    return null;
+}
+
+// Hàm đưa file đã tải xong (trong temp) vào cache và ghi metadata bên cạnh
+// metadata: { videoId, type, title, fileName, options, media }
+async function storeCacheEntry(key, sourcePath, metadata) {
+    const extension = path.extname(metadata.fileName).slice(1);
+    const filePath = getCacheFilePath(key, extension);
+
+    await fsPromises.rename(sourcePath, filePath);
+    await fsPromises.chmod(filePath, 0o644);
+    const stats = await fsPromises.stat(filePath);
+
+    const now = Date.now();
+    await writeMetadata({
+        key,
+        extension,
+        ...metadata,
+        size: stats.size,
+        hits: 0,
+        createdAt: now,
+        lastAccessAt: now
+    });
+    return { filePath, size: stats.size };
+}
+
+// Hàm liệt kê metadata của mọi entry trong cache
+async function listCacheEntries() {
+    const fileNames = await fsPromises.readdir(DOWNLOAD_DIR).catch(() => []);
+    const entries = [];
+    for (const fileName of fileNames) {
+        if (path.extname(fileName) !== '.json') continue;
+        const metadata = await readMetadata(path.basename(fileName, '.json'));
+        if (metadata) entries.push(metadata);
+    }
+    return entries;
+}
+
+// Hàm lấy thống kê cache: hit/miss, tỉ lệ hit, số entry và tổng dung lượng
+async function getCacheStats() {
+    const entries = await listCacheEntries();
+    const lookups = cacheStats.hits + cacheStats.misses;
+    return {
+        hits: cacheStats.hits,
+        misses: cacheStats.misses,
+        hitRate: lookups === 0 ? null : cacheStats.hits / lookups,
+        entries: entries.length,
+        size: entries.reduce((sum, entry) => sum + (entry.size || 0), 0)
+    };
+}
+
+module.exports = {
+    getCacheKey,
+    isCacheKey,
+    getCacheFilePath,
+    readCacheMetadata,
+    getCacheEntry,
+    touchCacheEntry,
+    lookupCacheEntry,
+    storeCacheEntry,
+    removeCacheEntry,
+    getCacheStats
+};
@@ -0,0 +1,306 @@
+// playlistDownloader.js
+const path = require('path');
+const {
+    logger,
+    checkFFmpeg,
+    getYouTubePlaylistId,
+    isYouTubeChannelUrl
+} = require('./utils');
+const {
+    enqueueYouTubeDownload,
+    parseDownloadType,
+    parseAudioOptions,
+    parseVideoOptions,
+    getRequester,
+    cancelDownloadJob
+} = require('./videoDownloader');
+const { JOB_STATUS, getJob, getJobProgress, createBatch, updateBatch, getBatch } = require('./jobQueue');
+const { runWithProviders } = require('./providers');
+const { getCacheEntry } = require('./mediaCache');
+const { assertDownloadQuota } = require('./apiKeys');
+const { PROGRESS_STAGES, createProgressEvent } = require('./progress');
+const { PLAYLIST_MAX_ITEMS } = require('./config');
+const { ERROR_CODES, AppError, toAppError } = require('./errors');
+
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// Hàm chuẩn hóa URL kênh về tab video (yt-dlp trả về các tab nếu không chỉ rõ)
+function normalizeChannelUrl(url) {
+    if (/\/(videos|shorts|streams|playlists)\/?(?:[?#]|$)/.test(url)) {
+        return url;
+    }
+    const [base, query] = url.split('?');
+    return `${base.replace(/\/+$/, '')}/videos${query ? `?${query}` : ''}`;
+}
+
+// Hàm lấy danh sách video của playlist/kênh qua các provider (yt-dlp flat-playlist, hoặc fixture)
+async function expandPlaylist(url) {
+    const playlistId = getYouTubePlaylistId(url);
+    const isChannel = !playlistId && isYouTubeChannelUrl(url);
+    if (!playlistId && !isChannel) {
+        throw new AppError(ERROR_CODES.INVALID_URL, 'URL playlist hoặc kênh YouTube không hợp lệ');
+    }
+
+    const sourceUrl = playlistId
+        ? `https://www.youtube.com/playlist?list=${playlistId}`
+        : normalizeChannelUrl(url);
+
+    const { provider, result: info } = await runWithProviders('expandPlaylist', sourceUrl, { maxItems: PLAYLIST_MAX_ITEMS });
+    if (!info) {
+        throw new AppError(ERROR_CODES.UPSTREAM_FAILED, `Không thể đọc danh sách video của ${sourceUrl}`);
+    }
+
+    const entries = info.entries.map((entry, index) => ({
+        index: index + 1,
+        videoId: entry.videoId,
+        title: entry.title || `Video_YouTube_${entry.videoId}`,
+        duration: entry.duration || null,
+        url: `https://www.youtube.com/watch?v=${entry.videoId}`
+    }));
+
+    logger.info(`Expanded ${isChannel ? 'channel' : 'playlist'} ${sourceUrl} (${provider}): ${entries.length} entries`);
+
+    return {
+        playlistId: playlistId || info.id || null,
+        kind: isChannel ? 'channel' : 'playlist',
+        title: info.title || '',
+        uploader: info.uploader || '',
+        entries
+    };
+}
+
+// Hàm tính tiến trình tổng hợp và tiến trình từng video của một lô
+// Mỗi video và cả lô đều theo schema tiến trình chung (progress.js)
+function getBatchProgress(batchId) {
+    const batch = getBatch(batchId)?.payload;
+    if (!batch) return null;
+
+    const items = batch.items.map(item => {
+        if (!item.downloadId) {
+            // Video không thể đưa vào hàng đợi
+            return {
+                ...item,
+                ...createProgressEvent({
+                    ...item,
+                    status: item.error ? JOB_STATUS.FAILED : JOB_STATUS.COMPLETED,
+                    stage: item.error ? PROGRESS_STAGES.FAILED : PROGRESS_STAGES.DONE
+                })
+            };
+        }
+
+        const job = getJob(item.downloadId);
+        if (!job) {
+            return {
+                ...item,
+                ...createProgressEvent({
+                    status: JOB_STATUS.FAILED,
+                    stage: PROGRESS_STAGES.FAILED,
+                    error: 'Không tìm thấy job tải xuống',
+                    code: ERROR_CODES.NOT_FOUND
+                })
+            };
+        }
+
+        const jobProgress = getJobProgress(job);
+        return {
+            ...item,
+            ...jobProgress,
+            // Tiêu đề và tên file được xác định trong job (enqueueYouTubeDownload)
+            title: job.payload.title || item.title,
+            fileName: job.result?.fileName || job.payload.fileName || item.fileName,
+            downloadUrl: jobProgress.downloadUrl || item.downloadUrl || null,
+            error: jobProgress.error || item.error || null,
+            code: jobProgress.code || item.code || null
+        };
+    });
+
+    const countByStatus = (status) => items.filter(item => item.status === status).length;
+    const activeItems = items.filter(item => !FINISHED_STATUSES.includes(item.status));
+    const progress = items.length === 0 ? 100 : Math.round(
+        items.reduce((sum, item) => sum + (FINISHED_STATUSES.includes(item.status) ? 100 : item.progress), 0) / items.length
+    );
+    const sumOf = (field) => activeItems.some(item => item[field] !== null)
+        ? activeItems.reduce((sum, item) => sum + (item[field] || 0), 0)
+        : null;
+    // Giai đoạn của lô: giai đoạn của video đang tải đầu tiên (các video khác đang chờ)
+    const runningItem = activeItems.find(item => item.status === JOB_STATUS.RUNNING);
+
+    return {
+        batchId,
+        title: batch.title,
+        ...createProgressEvent({
+            status: activeItems.length === 0 ? JOB_STATUS.COMPLETED : JOB_STATUS.RUNNING,
+            stage: activeItems.length === 0 ? PROGRESS_STAGES.DONE : (runningItem ? runningItem.stage : PROGRESS_STAGES.QUEUED),
+            progress,
+            bytesDone: sumOf('bytesDone'),
+            bytesTotal: sumOf('bytesTotal'),
+            speed: sumOf('speed'),
+            eta: activeItems.some(item => item.eta !== null) ? Math.max(...activeItems.map(item => item.eta || 0)) : null,
+            cancelled: batch.cancelled
+        }),
+        total: items.length,
+        completed: countByStatus(JOB_STATUS.COMPLETED),
+        failed: countByStatus(JOB_STATUS.FAILED),
+        cancelledCount: countByStatus(JOB_STATUS.CANCELLED),
+        items
+    };
+}
+
+// Hàm hủy tất cả video chưa hoàn tất trong một lô; chỉ người tạo lô được hủy,
+// video dùng chung job của người khác chỉ được rời khỏi job (job vẫn chạy cho người kia)
+function cancelPlaylistBatch(batchId, requester) {
+    const stored = getBatch(batchId);
+    if (!stored) return false;
+    const batch = stored.payload;
+    if (batch.requester && batch.requester.client !== requester.client) {
+        throw new AppError(ERROR_CODES.UNAUTHORIZED, `${requester.client} không phải người tạo lô ${batchId}`);
+    }
+
+    updateBatch(batchId, { payload: { ...batch, cancelled: true } });
+    for (const item of batch.items) {
+        const job = item.downloadId && getJob(item.downloadId);
+        if (!job) continue;
+        try {
+            cancelDownloadJob(job, batch.requester || requester);
+        } catch (error) {
+            logger.info(`Bỏ qua video ${item.videoId} khi hủy lô ${batchId}: ${error.message}`);
+        }
+    }
+    return true;
+}
+
+// Hàm lấy danh sách file đã tải xong của một lô để đóng gói ZIP
+async function getBatchArchiveEntries(batchId) {
+    const batchProgress = getBatchProgress(batchId);
+    if (!batchProgress) return null;
+
+    const entries = [];
+    for (const item of batchProgress.items) {
+        if (item.status !== JOB_STATUS.COMPLETED || !item.cacheKey) continue;
+
+        const cached = await getCacheEntry(item.cacheKey);
+        if (!cached) {
+            logger.warn(`File của video ${item.videoId} không còn trong cache: ${item.cacheKey}`);
+            continue;
+        }
+
+        entries.push({
+            filePath: cached.filePath,
+            name: `${String(item.index).padStart(3, '0')}_${item.fileName}`,
+            manifest: {
+                videoId: item.videoId,
+                title: item.title,
+                language: null,
+                isAuto: null,
+                format: path.extname(item.fileName).slice(1)
+            }
+        });
+    }
+    return entries;
+}
+
+// Hàm xử lý lấy danh sách video của playlist/kênh
+async function handlePlaylistInfo(req, res) {
+    const { url } = req.body;
+
+    if (!url) {
+        logger.warn(`Missing required field (url) from IP: ${req.ip}`);
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Thiếu thông tin cần thiết (url)');
+    }
+
+    logger.info(`Playlist info request: URL: ${url}, IP: ${req.ip}`);
+    const playlist = await expandPlaylist(url);
+    res.status(200).json({ success: true, ...playlist });
+}
+
+// Hàm xử lý tải các video được chọn trong playlist/kênh
+async function handlePlaylistDownload(req, res) {
+    const { url, type, quality, videoIds, videoCodec, maxFilesize, audioFormat, audioBitrate, audioQuality } = req.body;
+
+    if (!url || !type) {
+        logger.warn(`Missing required fields (url, type) from IP: ${req.ip}`);
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Thiếu thông tin cần thiết (url, type)');
+    }
+    parseDownloadType(type);
+    const video = type === 'video' ? parseVideoOptions(quality, videoCodec, maxFilesize) : null;
+    const audio = type === 'audio' ? parseAudioOptions(audioFormat, audioBitrate, audioQuality) : null;
+    // Hạn mức byte/ngày được kiểm tra một lần cho cả lô; số job đồng thời của key được áp dụng
+    // khi từng job được lấy khỏi hàng đợi (jobQueue.js) nên mọi video đều được đưa vào hàng đợi
+    if (req.apiKey) {
+        assertDownloadQuota(req.apiKey);
+    }
+
+    // Kiểm tra FFmpeg
+    const ffmpegAvailable = await checkFFmpeg();
+    if (!ffmpegAvailable) {
+        logger.error('FFmpeg is not installed or accessible');
+        throw new AppError(ERROR_CODES.FFMPEG_MISSING, 'FFmpeg không được cài đặt hoặc không thể truy cập');
+    }
+
+    const playlist = await expandPlaylist(url);
+
+    // Chỉ tải các video client đã chọn (nếu có)
+    let entries = playlist.entries;
+    if (Array.isArray(videoIds) && videoIds.length > 0) {
+        const selectedIds = new Set(videoIds);
+        entries = entries.filter(entry => selectedIds.has(entry.videoId));
+    }
+
+    if (entries.length === 0) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Không có video nào được chọn để tải');
+    }
+
+    // Lô được lưu cùng store với job (jobQueue.js) nên còn sau khi khởi động lại và hết hạn cùng các job
+    const batch = {
+        title: playlist.title,
+        type,
+        quality,
+        requester: getRequester(req),
+        cancelled: false,
+        items: []
+    };
+    const batchId = createBatch(batch).id;
+    logger.info(`Playlist download request: ${entries.length} ${type} item(s) from ${url}, batch: ${batchId}, IP: ${req.ip}`);
+
+    for (const entry of entries) {
+        const item = {
+            index: entry.index,
+            videoId: entry.videoId,
+            title: entry.title,
+            downloadId: null,
+            downloadUrl: null,
+            fileName: null,
+            cacheKey: null,
+            error: null,
+            code: null
+        };
+
+        try {
+            // Đưa vào hàng đợi ngay; kiểm tra video, tiêu đề và cache được làm trong job
+            const result = enqueueYouTubeDownload({ url: entry.url, type, quality, audio, video }, {
+                batchId,
+                requester: batch.requester
+            });
+            item.downloadId = result.downloadId;
+            item.cacheKey = result.cacheKey;
+        } catch (error) {
+            logger.warn(`Không thể đưa video ${entry.videoId} vào hàng đợi: ${error.message}`);
+            item.error = error.message;
+            item.code = toAppError(error).code;
+        }
+
+        batch.items.push(item);
+    }
+    updateBatch(batchId, { payload: batch, jobIds: batch.items.map(item => item.downloadId).filter(Boolean) });
+
+    res.status(200).json({ success: true, ...getBatchProgress(batchId) });
+}
+
+module.exports = {
+    expandPlaylist,
+    getBatchProgress,
+    getBatchArchiveEntries,
+    cancelPlaylistBatch,
+    handlePlaylistInfo,
+    handlePlaylistDownload
+};
@@ -0,0 +1,209 @@
+// progress.js
+// Mô hình tiến trình chung cho job tải, phụ đề và lô playlist. SSE (/api/download-progress/:id)
+// và endpoint polling (/api/progress/:id) trả về cùng một schema:
+// { status, stage, progress (0-100), bytesDone, bytesTotal, speed (byte/giây), eta (giây), provider,
+//   downloadUrl, media, error, code, cancelled }
+const { parseTimestamp } = require('./utils');
+
+// Các giai đoạn của một lần tải
+const PROGRESS_STAGES = {
+    QUEUED: 'queued',
+    FETCHING_INFO: 'fetching_info',
+    DOWNLOADING_VIDEO: 'downloading_video',
+    DOWNLOADING_AUDIO: 'downloading_audio',
+    MERGING: 'merging',
+    TRANSCODING: 'transcoding',
+    VALIDATING: 'validating',
+    DONE: 'done',
+    FAILED: 'failed'
+};
+
+// Khoảng phần trăm tổng của từng giai đoạn theo loại nội dung ([từ, tới])
+const STAGE_RANGES = {
+    video: {
+        [PROGRESS_STAGES.QUEUED]: [0, 0],
+        [PROGRESS_STAGES.FETCHING_INFO]: [0, 3],
+        [PROGRESS_STAGES.DOWNLOADING_VIDEO]: [3, 70],
+        [PROGRESS_STAGES.DOWNLOADING_AUDIO]: [70, 88],
+        [PROGRESS_STAGES.MERGING]: [88, 93],
+        [PROGRESS_STAGES.TRANSCODING]: [93, 97],
+        [PROGRESS_STAGES.VALIDATING]: [97, 99]
+    },
+    audio: {
+        [PROGRESS_STAGES.QUEUED]: [0, 0],
+        [PROGRESS_STAGES.FETCHING_INFO]: [0, 3],
+        [PROGRESS_STAGES.DOWNLOADING_AUDIO]: [3, 85],
+        [PROGRESS_STAGES.MERGING]: [85, 88],
+        [PROGRESS_STAGES.TRANSCODING]: [88, 97],
+        [PROGRESS_STAGES.VALIDATING]: [97, 99]
+    }
+};
+
+// Khoảng thời gian tối thiểu giữa hai lần báo tiến trình trong cùng giai đoạn
+const REPORT_INTERVAL = 250;
+
+// Tên postprocessor của yt-dlp -> giai đoạn (các postprocessor khác như MoveFiles bị bỏ qua)
+const YTDLP_POSTPROCESSOR_STAGES = {
+    Merger: PROGRESS_STAGES.MERGING,
+    ExtractAudio: PROGRESS_STAGES.TRANSCODING,
+    VideoConvertor: PROGRESS_STAGES.TRANSCODING,
+    VideoRemuxer: PROGRESS_STAGES.TRANSCODING
+};
+
+const YTDLP_PROGRESS_PREFIX = 'ytdlp-progress:';
+const YTDLP_POSTPROCESS_PREFIX = 'ytdlp-postprocess:';
+
+// Template cho --progress-template: mỗi dòng là các trường cách nhau bởi '|' (NA nếu không biết)
+const YTDLP_PROGRESS_TEMPLATE = [
+    `download:${YTDLP_PROGRESS_PREFIX}%(progress.status)s|%(progress.downloaded_bytes)s|` +
+        '%(progress.total_bytes,progress.total_bytes_estimate)s|%(progress.speed)s|%(progress.eta)s|%(info.vcodec)s',
+    `postprocess:${YTDLP_POSTPROCESS_PREFIX}%(progress.status)s|%(progress.postprocessor)s`
+];
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// Hàm đọc số từ trường của template yt-dlp; 'NA'/'None' -> null
+function parseTemplateNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Hàm đọc một dòng stdout của yt-dlp chạy với YTDLP_PROGRESS_TEMPLATE
+// Trả về { stage, bytesDone, bytesTotal, speed, eta } hoặc { stage, stageProgress }; null nếu không phải dòng tiến trình
+function parseYtDlpProgress(line) {
+    const text = line.trim();
+    if (text.startsWith(YTDLP_PROGRESS_PREFIX)) {
+        const [status, downloaded, total, speed, eta, vcodec] = text.slice(YTDLP_PROGRESS_PREFIX.length).split('|');
+        const bytesDone = parseTemplateNumber(downloaded);
+        const bytesTotal = parseTemplateNumber(total);
+        return {
+            // Định dạng không có luồng video (vcodec = none) là luồng âm thanh
+            stage: vcodec && vcodec !== 'none' && vcodec !== 'NA' ? PROGRESS_STAGES.DOWNLOADING_VIDEO : PROGRESS_STAGES.DOWNLOADING_AUDIO,
+            bytesDone,
+            bytesTotal: status === 'finished' ? (bytesTotal || bytesDone) : bytesTotal,
+            speed: parseTemplateNumber(speed),
+            eta: parseTemplateNumber(eta)
+        };
+    }
+    if (text.startsWith(YTDLP_POSTPROCESS_PREFIX)) {
+        const [status, postprocessor] = text.slice(YTDLP_POSTPROCESS_PREFIX.length).split('|');
+        const stage = YTDLP_POSTPROCESSOR_STAGES[postprocessor];
+        if (!stage) return null;
+        return { stage, stageProgress: status === 'finished' ? 100 : 0 };
+    }
+    return null;
+}
+
+// Hàm chuyển sự kiện 'progress' của fluent-ffmpeg thành { stageProgress, bytesDone }
+// duration (giây): độ dài đầu ra nếu biết trước, dùng thay cho percent của FFmpeg (tính theo đầu vào)
+function parseFfmpegProgress(progress, duration = null) {
+    const seconds = parseTimestamp(progress.timemark || '');
+    let stageProgress = null;
+    if (duration && seconds !== null) {
+        stageProgress = (seconds / duration) * 100;
+    } else if (Number.isFinite(progress.percent)) {
+        stageProgress = progress.percent;
+    }
+    return {
+        stageProgress: stageProgress === null ? null : Math.min(100, Math.max(0, stageProgress)),
+        bytesDone: Number.isFinite(progress.targetSize) ? progress.targetSize * 1024 : null
+    };
+}
+
+// Hàm tạo hàm báo tiến trình cho provider: nhận { stage, bytesDone, bytesTotal, speed, eta, stageProgress, provider },
+// tự tính phần trăm tổng theo STAGE_RANGES, tốc độ và thời gian còn lại nếu provider không báo,
+// rồi gọi reportProgress với các trường của schema (giới hạn tần suất trong cùng một giai đoạn)
+function createProgressTracker(type, reportProgress) {
+    const ranges = STAGE_RANGES[type] || STAGE_RANGES.video;
+    let state = { stage: PROGRESS_STAGES.QUEUED, progress: 0, bytesDone: null, bytesTotal: null, speed: null, eta: null, provider: null };
+    let stageStartedAt = Date.now();
+    let lastSample = null;
+    let lastReportAt = 0;
+
+    return (patch = {}) => {
+        const now = Date.now();
+        const stage = patch.stage || state.stage;
+        const provider = patch.provider || state.provider;
+        // Provider khác bắt đầu lại từ đầu (provider trước thất bại)
+        const floor = provider !== state.provider ? 0 : state.progress;
+        if (stage !== state.stage || provider !== state.provider) {
+            stageStartedAt = now;
+            lastSample = null;
+        }
+
+        const bytesDone = patch.bytesDone ?? null;
+        const bytesTotal = patch.bytesTotal ?? null;
+        let speed = patch.speed ?? null;
+        if (speed === null && bytesDone !== null && lastSample && now > lastSample.time) {
+            const instantSpeed = ((bytesDone - lastSample.bytes) * 1000) / (now - lastSample.time);
+            speed = state.speed === null ? instantSpeed : state.speed * 0.7 + instantSpeed * 0.3;
+        }
+        if (bytesDone !== null && (!lastSample || now - lastSample.time >= REPORT_INTERVAL)) {
+            lastSample = { time: now, bytes: bytesDone };
+        }
+
+        let fraction = 0;
+        if (patch.stageProgress !== undefined && patch.stageProgress !== null) {
+            fraction = patch.stageProgress / 100;
+        } else if (bytesDone !== null && bytesTotal) {
+            fraction = bytesDone / bytesTotal;
+        }
+        fraction = Math.min(1, Math.max(0, fraction));
+
+        let eta = patch.eta ?? null;
+        if (eta === null && speed > 0 && bytesTotal && bytesDone !== null) {
+            eta = Math.max(0, (bytesTotal - bytesDone) / speed);
+        } else if (eta === null && fraction > 0 && fraction < 1 && now - stageStartedAt >= REPORT_INTERVAL) {
+            eta = ((now - stageStartedAt) / 1000) * (1 - fraction) / fraction;
+        }
+
+        const [from, to] = ranges[stage] || [state.progress, state.progress];
+        const isNewStage = stage !== state.stage || provider !== state.provider;
+        state = {
+            stage,
+            progress: round(Math.max(floor, from + (to - from) * fraction)),
+            bytesDone,
+            bytesTotal,
+            speed: speed === null ? null : Math.max(0, Math.round(speed)),
+            eta: eta === null ? null : Math.round(eta),
+            provider
+        };
+
+        if (isNewStage || fraction === 1 || now - lastReportAt >= REPORT_INTERVAL) {
+            lastReportAt = now;
+            reportProgress({ ...state });
+        }
+    };
+}
+
+// Hàm tạo sự kiện tiến trình theo schema chung (trường thiếu nhận giá trị mặc định)
+function createProgressEvent(fields = {}) {
+    const stage = fields.stage || PROGRESS_STAGES.QUEUED;
+    return {
+        status: fields.status || null,
+        stage,
+        progress: stage === PROGRESS_STAGES.DONE ? 100 : (fields.progress || 0),
+        bytesDone: fields.bytesDone ?? null,
+        bytesTotal: fields.bytesTotal ?? null,
+        speed: fields.speed ?? null,
+        eta: fields.eta ?? null,
+        provider: fields.provider || null,
+        downloadUrl: fields.downloadUrl || null,
+        media: fields.media || null,
+        error: fields.error || null,
+        code: fields.code || null,
+        cancelled: Boolean(fields.cancelled)
+    };
+}
+
+module.exports = {
+    PROGRESS_STAGES,
+    YTDLP_PROGRESS_TEMPLATE,
+    parseYtDlpProgress,
+    parseFfmpegProgress,
+    createProgressTracker,
+    createProgressEvent
+};
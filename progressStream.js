@@ -0,0 +1,305 @@
+// progressStream.js
+// Luồng tiến trình SSE dùng chung: mỗi client mở một kết nối (GET /api/progress-stream) cho một phiên,
+// đăng ký nhiều downloadId (job tải, lô playlist, lần tải phụ đề) và nhận sự kiện khi tiến trình thay đổi.
+// Phiên được giữ lại khi mất kết nối: kết nối lại với ?session=<id> (hoặc header Last-Event-ID)
+// sẽ nhận ngay trạng thái cuối cùng của mọi downloadId đã đăng ký.
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { logger } = require('./utils');
+const { ERROR_CODES, AppError, getRequestLanguage, localizeProgress } = require('./errors');
+const { JOB_STATUS, jobEvents, getJob, getBatch, getJobProgress } = require('./jobQueue');
+const { getRequester } = require('./videoDownloader');
+const { getBatchProgress } = require('./playlistDownloader');
+const { PROGRESS_STAGES, createProgressEvent } = require('./progress');
+const {
+    PROGRESS_RETENTION,
+    PROGRESS_SESSION_TTL,
+    PROGRESS_HEARTBEAT_INTERVAL,
+    PROGRESS_STREAM_MAX_IDS
+} = require('./config');
+
+// Phát sự kiện 'change' (downloadId) mỗi khi tiến trình thay đổi
+const progressEvents = new EventEmitter();
+progressEvents.setMaxListeners(0);
+
+// Tiến trình không thuộc hàng đợi job (tải phụ đề): downloadId -> { progress, requester, updatedAt }
+const progressStore = new Map();
+// Phiên theo dõi: sessionId -> { id, requester, ids: Set, clients: Set<res>, language, sequence, lastSent: Map, lastSeenAt }
+const sessions = new Map();
+
+// Hàm ghi tiến trình của một lần tải phụ đề (bỏ qua cập nhật sau khi đã bị hủy);
+// requester ({ client, apiKeyId }) được truyền ở lần ghi đầu tiên và giữ nguyên cho các lần sau
+function setProgress(downloadId, progress, requester = null) {
+    const current = progressStore.get(downloadId);
+    if (current && current.progress.cancelled) return;
+
+    progressStore.set(downloadId, { progress, requester: current ? current.requester : requester, updatedAt: Date.now() });
+    progressEvents.emit('change', downloadId);
+}
+
+// Hàm đánh dấu lần tải phụ đề là đã hủy; trả về false nếu không có tiến trình
+function cancelProgress(downloadId) {
+    if (!progressStore.has(downloadId)) return false;
+    setProgress(downloadId, createProgressEvent({
+        status: JOB_STATUS.CANCELLED,
+        stage: PROGRESS_STAGES.FAILED,
+        code: ERROR_CODES.CANCELLED,
+        cancelled: true
+    }));
+    return true;
+}
+
+// Hàm lấy tiến trình (schema của progress.js) của job tải, lô playlist hoặc lần tải phụ đề
+function getProgress(downloadId) {
+    const job = getJob(downloadId);
+    if (job) return getJobProgress(job);
+    return getBatchProgress(downloadId) || progressStore.get(downloadId)?.progress || null;
+}
+
+// Hàm kiểm tra client được xem tiến trình của downloadId, cùng cách với cancelDownloadJob/cancelPlaylistBatch:
+// job tải thuộc mọi requester của job, lô playlist và lần tải phụ đề thuộc người tạo
+function canViewProgress(downloadId, requester) {
+    const job = getJob(downloadId);
+    if (job) {
+        const requesters = job.payload?.requesters;
+        return !requesters || requesters.length === 0 || requesters.some(item => item.client === requester.client);
+    }
+    const owner = getBatch(downloadId)?.payload.requester || progressStore.get(downloadId)?.requester;
+    return !owner || owner.client === requester.client;
+}
+
+// Hàm ném UNAUTHORIZED nếu client không được xem tiến trình của downloadId
+function assertCanViewProgress(downloadId, requester) {
+    if (!canViewProgress(downloadId, requester)) {
+        throw new AppError(ERROR_CODES.UNAUTHORIZED, `${requester.client} không phải người yêu cầu ${downloadId}`);
+    }
+}
+
+// Hàm kiểm tra tiến trình đã kết thúc (hoàn tất, thất bại hoặc bị hủy)
+function isProgressFinished(progress) {
+    return [PROGRESS_STAGES.DONE, PROGRESS_STAGES.FAILED].includes(progress.stage) || progress.cancelled;
+}
+
+// Thay đổi của job cũng là thay đổi của lô playlist chứa job
+jobEvents.on('update', (job) => {
+    progressEvents.emit('change', job.id);
+    if (job.payload?.batchId) {
+        progressEvents.emit('change', job.payload.batchId);
+    }
+});
+
+// Hàm thiết lập header SSE
+function startEventStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.flushHeaders();
+}
+
+// Hàm đọc danh sách downloadId từ query (?ids=a,b) hoặc body ({ ids: [...] })
+function parseIds(value) {
+    const ids = Array.isArray(value) ? value : String(value || '').split(',');
+    return [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+}
+
+// Hàm gửi tiến trình của một downloadId tới mọi kết nối của phiên (bỏ qua nếu không đổi so với lần gửi trước)
+function sendToSession(session, downloadId, { force = false } = {}) {
+    const progress = getProgress(downloadId);
+    if (!progress || session.clients.size === 0 || !canViewProgress(downloadId, session.requester)) return;
+
+    const data = JSON.stringify({ id: downloadId, ...localizeProgress(progress, session.language) });
+    if (!force && session.lastSent.get(downloadId) === data) return;
+    session.lastSent.set(downloadId, data);
+
+    session.sequence++;
+    const message = `id: ${session.id}.${session.sequence}\nevent: progress\ndata: ${data}\n\n`;
+    for (const client of session.clients) {
+        client.write(message);
+    }
+}
+
+// Hàm gửi thông tin phiên (id phiên và các downloadId đang theo dõi)
+function sendSessionInfo(session, res) {
+    res.write(`event: session\ndata: ${JSON.stringify({ session: session.id, ids: [...session.ids] })}\n\n`);
+}
+
+// Hàm tạo phiên mới hoặc lấy lại phiên cũ (khi kết nối lại); phiên của client khác không được dùng lại
+function getOrCreateSession(sessionId, language, requester) {
+    const existing = sessionId && sessions.get(sessionId);
+    if (existing && existing.requester.client === requester.client) {
+        existing.language = language;
+        return existing;
+    }
+
+    const session = {
+        id: crypto.randomBytes(16).toString('base64url'),
+        requester,
+        ids: new Set(),
+        clients: new Set(),
+        language,
+        sequence: 0,
+        lastSent: new Map(),
+        lastSeenAt: Date.now()
+    };
+    sessions.set(session.id, session);
+    return session;
+}
+
+// Hàm thêm downloadId vào phiên; trả về các id chưa có tiến trình
+function addSubscriptions(session, ids) {
+    if (session.ids.size + ids.filter(id => !session.ids.has(id)).length > PROGRESS_STREAM_MAX_IDS) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Mỗi phiên chỉ theo dõi tối đa ${PROGRESS_STREAM_MAX_IDS} downloadId`);
+    }
+    for (const id of ids) {
+        assertCanViewProgress(id, session.requester);
+    }
+    const missing = [];
+    for (const id of ids) {
+        session.ids.add(id);
+        if (getProgress(id)) {
+            sendToSession(session, id, { force: true });
+        } else {
+            missing.push(id);
+        }
+    }
+    return missing;
+}
+
+// Hàm lấy phiên theo id, ném NOT_FOUND nếu phiên đã hết hạn và UNAUTHORIZED nếu phiên thuộc client khác
+function getSession(sessionId, requester) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+        throw new AppError(ERROR_CODES.NOT_FOUND, `Phiên theo dõi tiến trình không tồn tại hoặc đã hết hạn: ${sessionId}`);
+    }
+    if (session.requester.client !== requester.client) {
+        throw new AppError(ERROR_CODES.UNAUTHORIZED, `${requester.client} không phải người tạo phiên ${sessionId}`);
+    }
+    session.lastSeenAt = Date.now();
+    return session;
+}
+
+// Endpoint SSE dùng chung: GET /api/progress-stream?ids=a,b&session=<id>
+function handleProgressStream(req, res) {
+    // EventSource tự kết nối lại kèm Last-Event-ID = '<phiên>.<số thứ tự>'
+    const lastEventSession = (req.get('Last-Event-ID') || '').split('.')[0];
+    const session = getOrCreateSession(req.query.session || lastEventSession, getRequestLanguage(req), getRequester(req));
+    const ids = parseIds(req.query.ids);
+
+    startEventStream(res);
+    session.clients.add(res);
+    session.lastSeenAt = Date.now();
+    sendSessionInfo(session, res);
+
+    // Kết nối mới nhận trạng thái cuối cùng của mọi downloadId đã đăng ký
+    session.lastSent.clear();
+    try {
+        addSubscriptions(session, ids);
+    } catch (error) {
+        logger.warn(`Progress stream ${session.id}: ${error.message}`);
+    }
+    for (const id of session.ids) {
+        if (!ids.includes(id)) sendToSession(session, id, { force: true });
+    }
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), PROGRESS_HEARTBEAT_INTERVAL);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        session.clients.delete(res);
+        session.lastSeenAt = Date.now();
+    });
+}
+
+// Endpoint thêm downloadId vào phiên: POST /api/progress-stream/:sessionId/subscriptions { ids }
+function handleSubscribe(req, res) {
+    const session = getSession(req.params.sessionId, getRequester(req));
+    const ids = parseIds(req.body?.ids);
+    if (ids.length === 0) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Thiếu danh sách downloadId (ids)');
+    }
+    const missing = addSubscriptions(session, ids);
+    res.json({ success: true, session: session.id, ids: [...session.ids], missing });
+}
+
+// Endpoint bỏ theo dõi một downloadId: DELETE /api/progress-stream/:sessionId/subscriptions/:downloadId
+function handleUnsubscribe(req, res) {
+    const session = getSession(req.params.sessionId, getRequester(req));
+    session.ids.delete(req.params.downloadId);
+    session.lastSent.delete(req.params.downloadId);
+    res.json({ success: true, session: session.id, ids: [...session.ids] });
+}
+
+// Endpoint SSE cho một downloadId (GET /api/download-progress/:downloadId): gửi khi có thay đổi,
+// kết thúc khi tải xong; tiến trình không bị xóa khi client ngắt kết nối nên có thể mở lại sau khi tải lại trang
+function handleSingleProgressStream(req, res) {
+    const { downloadId } = req.params;
+    const language = getRequestLanguage(req);
+    assertCanViewProgress(downloadId, getRequester(req));
+    startEventStream(res);
+
+    let lastData = null;
+    const sendProgress = () => {
+        const progress = getProgress(downloadId);
+        if (!progress) {
+            res.end();
+            return;
+        }
+        // Thông báo lỗi được dịch theo Accept-Language, mã lỗi giữ nguyên trong trường code
+        const data = JSON.stringify({ id: downloadId, ...localizeProgress(progress, language) });
+        if (data !== lastData) {
+            lastData = data;
+            res.write(`data: ${data}\n\n`);
+        }
+        if (isProgressFinished(progress)) {
+            res.end();
+        }
+    };
+
+    const onChange = (changedId) => {
+        if (changedId === downloadId && !res.writableEnded) sendProgress();
+    };
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), PROGRESS_HEARTBEAT_INTERVAL);
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        progressEvents.removeListener('change', onChange);
+    };
+    progressEvents.on('change', onChange);
+    res.on('finish', cleanup);
+    req.on('close', cleanup);
+
+    sendProgress();
+}
+
+// Gửi thay đổi tới các phiên đang theo dõi downloadId
+progressEvents.on('change', (downloadId) => {
+    for (const session of sessions.values()) {
+        if (session.ids.has(downloadId)) sendToSession(session, downloadId);
+    }
+});
+
+// Dọn tiến trình phụ đề đã kết thúc và phiên không còn kết nối (không giữ process sống)
+const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [downloadId, entry] of progressStore) {
+        if (isProgressFinished(entry.progress) && now - entry.updatedAt > PROGRESS_RETENTION) {
+            progressStore.delete(downloadId);
+        }
+    }
+    for (const [sessionId, session] of sessions) {
+        if (session.clients.size === 0 && now - session.lastSeenAt > PROGRESS_SESSION_TTL) {
+            sessions.delete(sessionId);
+        }
+    }
+}, 60 * 1000);
+sweepTimer.unref();
+
+module.exports = {
+    setProgress,
+    cancelProgress,
+    getProgress,
+    assertCanViewProgress,
+    handleProgressStream,
+    handleSubscribe,
+    handleUnsubscribe,
+    handleSingleProgressStream
+};
@@ -0,0 +1,26 @@
+// providers/captionExtractorProvider.js
+const { getSubtitles } = require('@treeee/youtube-caption-extractor');
+const { getYouTubeVideoId } = require('../utils');
+const { USER_AGENT, captionsToVtt } = require('./helpers');
+
+function canHandle(url) {
+    return Boolean(getYouTubeVideoId(url));
+}
+
+// Hàm tải phụ đề; nếu không có phụ đề gốc thì thử bản dịch tự động
+async function fetchSubtitle(url, { language, isAuto }) {
+    const videoId = getYouTubeVideoId(url);
+    const headers = { 'User-Agent': USER_AGENT };
+
+    let captions = isAuto === true ? [] : await getSubtitles({ videoId, lang: language, headers });
+    if ((!captions || captions.length === 0) && isAuto !== false) {
+        captions = await getSubtitles({ videoId, lang: language, tlang: language, headers });
+    }
+    return captionsToVtt(captions);
+}
+
+module.exports = {
+    name: 'youtube-caption-extractor',
+    canHandle,
+    fetchSubtitle
+};
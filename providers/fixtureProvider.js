@@ -0,0 +1,202 @@
+// providers/fixtureProvider.js
+// Provider đọc dữ liệu từ thư mục cục bộ (PROVIDER_FIXTURE_DIR) để chạy toàn bộ ứng dụng không cần mạng.
+// Cấu trúc thư mục fixture:
+//   <videoId>/info.json                          { title, duration, uploader, thumbnail, available, reason, formats, errors }
+//   <videoId>/subtitles/<lang>.<vtt|xml|json3>       phụ đề thủ công
+//   <videoId>/subtitles/<lang>.auto.<vtt|xml|json3>  phụ đề tự động
+//   <videoId>/video.mp4, <videoId>/audio.<ext>   media có sẵn (tùy chọn, nếu thiếu thì sinh bằng FFmpeg)
+//   playlists/<list id | tên kênh>.json           { title, uploader, entries: [videoId], errors }
+// errors = { <thao tác>: <thông báo> } giả lập provider thất bại ở thao tác tương ứng.
+const fsPromises = require('fs').promises;
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { getYouTubeVideoId, getYouTubePlaylistId } = require('../utils');
+const { FIXTURE_DIR, FIXTURE_MEDIA_DURATION, AUDIO_FORMATS } = require('../config');
+const { PROGRESS_STAGES, parseFfmpegProgress } = require('../progress');
+const { createCancelledError, runFfmpeg, applyAudioOutput } = require('./helpers');
+
+const SUBTITLE_EXTENSIONS = ['vtt', 'xml', 'json3'];
+const MAX_GENERATED_HEIGHT = 360; // Giữ media sinh tự động nhỏ
+
+// Định dạng mặc định khi info.json không khai báo formats
+const DEFAULT_FORMATS = [
+    { id: 'fixture-360p', quality: '360p', container: 'mp4', type: 'video', height: 360, vcodec: 'avc1.4d401e', filesize: null },
+    { id: 'fixture-audio', quality: '128k', container: 'mp3', type: 'audio', height: null, vcodec: null, filesize: null }
+];
+
+// Hàm lấy thư mục fixture của video (chỉ chấp nhận ID an toàn để tránh truy cập ngoài FIXTURE_DIR)
+function getFixturePath(url, ...segments) {
+    const videoId = getYouTubeVideoId(url);
+    if (!videoId || !/^[\w-]+$/.test(videoId)) return null;
+    return path.join(FIXTURE_DIR, videoId, ...segments);
+}
+
+// Hàm lấy file fixture của playlist (theo list id) hoặc kênh (theo tên/id kênh trong URL)
+function getPlaylistFixturePath(url) {
+    const channelMatch = (url || '').match(/youtube\.com\/(?:channel\/|c\/|user\/|@)([^/?#]+)/);
+    const id = getYouTubePlaylistId(url) || (channelMatch && channelMatch[1]);
+    if (!id || !/^[\w-]+$/.test(id)) return null;
+    return path.join(FIXTURE_DIR, 'playlists', `${id}.json`);
+}
+
+function canHandle(url) {
+    return Boolean(FIXTURE_DIR && (getFixturePath(url) || getPlaylistFixturePath(url)));
+}
+
+// Hàm kiểm tra file có tồn tại không
+function fileExists(filePath) {
+    return fsPromises.access(filePath).then(() => true).catch(() => false);
+}
+
+// Hàm đọc info.json; trả về null nếu video không có trong fixture
+async function readInfo(url) {
+    const content = await fsPromises.readFile(getFixturePath(url, 'info.json'), 'utf8').catch(() => null);
+    return content ? JSON.parse(content) : null;
+}
+
+// Hàm ném lỗi giả lập nếu info.json yêu cầu thao tác thất bại
+function throwIfFailing(info, operation) {
+    if (info && info.errors && info.errors[operation]) {
+        throw new Error(info.errors[operation]);
+    }
+}
+
+// Hàm lấy thông tin cơ bản của video
+async function getInfo(url) {
+    const info = await readInfo(url);
+    if (!info) return null;
+    throwIfFailing(info, 'getInfo');
+
+    return {
+        videoId: getYouTubeVideoId(url),
+        title: info.title || '',
+        duration: info.duration || null,
+        uploader: info.uploader || '',
+        thumbnail: info.thumbnail || '',
+        available: info.available !== false,
+        reason: info.reason
+    };
+}
+
+// Hàm lấy danh sách định dạng khả dụng
+async function listFormats(url) {
+    const info = await readInfo(url);
+    if (!info) return null;
+    throwIfFailing(info, 'listFormats');
+    return info.formats || DEFAULT_FORMATS;
+}
+
+// Hàm đọc danh sách file phụ đề dạng { language, isAuto, fileName }
+async function readSubtitleFiles(url) {
+    const files = await fsPromises.readdir(getFixturePath(url, 'subtitles')).catch(() => []);
+    return files
+        .map(fileName => {
+            const match = fileName.match(/^(.+?)(\.auto)?\.([a-z0-9]+)$/);
+            if (!match || !SUBTITLE_EXTENSIONS.includes(match[3])) return null;
+            return { language: match[1], isAuto: Boolean(match[2]), fileName };
+        })
+        .filter(Boolean);
+}
+
+// Hàm lấy danh sách ngôn ngữ phụ đề từ tên file trong thư mục subtitles
+async function listSubtitles(url) {
+    const info = await readInfo(url);
+    if (!info) return null;
+    throwIfFailing(info, 'listSubtitles');
+
+    const tracks = await readSubtitleFiles(url);
+    return {
+        manual: [...new Set(tracks.filter(track => !track.isAuto).map(track => track.language))],
+        auto: [...new Set(tracks.filter(track => track.isAuto).map(track => track.language))]
+    };
+}
+
+// Hàm đọc phụ đề (nội dung gốc VTT, XML timedtext hoặc json3); ưu tiên phụ đề thủ công
+async function fetchSubtitle(url, { language, isAuto }) {
+    const info = await readInfo(url);
+    if (!info) return null;
+    throwIfFailing(info, 'fetchSubtitle');
+
+    const tracks = (await readSubtitleFiles(url))
+        .filter(track => track.language === language)
+        .filter(track => isAuto === undefined || track.isAuto === isAuto)
+        .sort((a, b) => a.isAuto - b.isAuto);
+    if (tracks.length === 0) return null;
+
+    return fsPromises.readFile(getFixturePath(url, 'subtitles', tracks[0].fileName), 'utf8');
+}
+
+// Hàm lấy danh sách video của playlist/kênh; tiêu đề lấy từ info.json của từng video (nếu có)
+async function expandPlaylist(url, { maxItems } = {}) {
+    const playlistPath = getPlaylistFixturePath(url);
+    const content = playlistPath && await fsPromises.readFile(playlistPath, 'utf8').catch(() => null);
+    if (!content) return null;
+    const playlist = JSON.parse(content);
+    throwIfFailing(playlist, 'expandPlaylist');
+
+    const videoIds = (playlist.entries || []).slice(0, maxItems || undefined);
+    const entries = await Promise.all(videoIds.map(async (videoId) => {
+        const info = await readInfo(`https://www.youtube.com/watch?v=${videoId}`);
+        return { videoId, title: info?.title || '', duration: info?.duration || null };
+    }));
+    return {
+        id: path.basename(playlistPath, '.json'),
+        title: playlist.title || '',
+        uploader: playlist.uploader || '',
+        entries
+    };
+}
+
+// Hàm sinh media thử nghiệm (hình test và âm sin) bằng FFmpeg; video H.264 theo độ phân giải yêu cầu (tối đa 360p)
+function generateMedia(type, { audio, video }, duration, outputPath, signal, onProgress) {
+    const command = ffmpeg()
+        .input(`sine=frequency=440:duration=${duration}`)
+        .inputFormat('lavfi');
+
+    if (type === 'video') {
+        const height = Math.min(video.height, MAX_GENERATED_HEIGHT);
+        const width = Math.round(height * 16 / 9 / 2) * 2;
+        command
+            .input(`testsrc=size=${width}x${height}:rate=15:duration=${duration}`)
+            .inputFormat('lavfi')
+            .outputOptions(['-c:v libx264', '-pix_fmt yuv420p', '-c:a aac', '-shortest']);
+    } else {
+        applyAudioOutput(command, audio);
+    }
+    return runFfmpeg(command, outputPath, signal, onProgress);
+}
+
+// Hàm tải video/âm thanh: sao chép media có sẵn trong fixture hoặc sinh media mới
+async function download(url, { type, audio, video, outputPath, reportProgress, signal }) {
+    const info = await readInfo(url);
+    if (!info) {
+        throw new Error(`Không có fixture cho URL: ${url}`);
+    }
+    throwIfFailing(info, 'download');
+    if (signal.aborted) throw createCancelledError();
+
+    reportProgress({ stage: PROGRESS_STAGES.FETCHING_INFO, stageProgress: 100 });
+    const stage = type === 'video' ? PROGRESS_STAGES.DOWNLOADING_VIDEO : PROGRESS_STAGES.DOWNLOADING_AUDIO;
+    const sourcePath = getFixturePath(url, type === 'video' ? 'video.mp4' : `audio.${AUDIO_FORMATS[audio.format].extension}`);
+    if (await fileExists(sourcePath)) {
+        const { size } = await fsPromises.stat(sourcePath);
+        reportProgress({ stage, bytesDone: 0, bytesTotal: size });
+        await fsPromises.copyFile(sourcePath, outputPath);
+        reportProgress({ stage, bytesDone: size, bytesTotal: size });
+    } else {
+        const duration = Math.min(info.duration || FIXTURE_MEDIA_DURATION, FIXTURE_MEDIA_DURATION);
+        await generateMedia(type, { audio, video }, duration, outputPath, signal,
+            (progress) => reportProgress({ stage, ...parseFfmpegProgress(progress, duration) }));
+    }
+}
+
+module.exports = {
+    name: 'fixture',
+    canHandle,
+    getInfo,
+    listFormats,
+    listSubtitles,
+    fetchSubtitle,
+    download,
+    expandPlaylist
+};
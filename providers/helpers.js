@@ -0,0 +1,117 @@
+// providers/helpers.js
+const { subtitlesToCues } = require('../utils');
+const { serializeCues } = require('../subtitleCues');
+const { ERROR_CODES, AppError } = require('../errors');
+const { AUDIO_FORMATS, AUDIO_VBR_BITRATES } = require('../config');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Header gửi kèm mọi lệnh yt-dlp
+const YTDLP_HEADERS = [
+    'referer:youtube.com',
+    `user-agent:${USER_AGENT}`
+];
+
+// Hàm tạo lỗi khi job bị hủy
+function createCancelledError() {
+    return new AppError(ERROR_CODES.CANCELLED, 'Đã hủy tải xuống');
+}
+
+// Hàm chờ stream ytdl ghi xong, dừng cả hai stream khi job bị hủy
+function waitForStream(stream, fileStream, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            stream.unpipe(fileStream);
+            stream.destroy();
+            fileStream.destroy();
+            reject(createCancelledError());
+        };
+        if (signal.aborted) {
+            onAbort();
+            return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        fileStream.on('finish', () => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        });
+        stream.on('error', (error) => {
+            signal.removeEventListener('abort', onAbort);
+            fileStream.destroy();
+            reject(error);
+        });
+        fileStream.on('error', (error) => {
+            signal.removeEventListener('abort', onAbort);
+            stream.destroy();
+            reject(error);
+        });
+    });
+}
+
+// Hàm chạy lệnh FFmpeg, dừng tiến trình FFmpeg khi job bị hủy
+// onProgress (tùy chọn) nhận sự kiện 'progress' của fluent-ffmpeg (đọc bằng parseFfmpegProgress)
+function runFfmpeg(command, outputPath, signal, onProgress = null) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => command.kill('SIGKILL');
+        if (signal.aborted) {
+            reject(createCancelledError());
+            return;
+        }
+        signal.addEventListener('abort', onAbort, { once: true });
+        if (onProgress) {
+            command.on('progress', onProgress);
+        }
+
+        command
+            .on('end', () => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            })
+            .on('error', (err) => {
+                signal.removeEventListener('abort', onAbort);
+                reject(signal.aborted ? createCancelledError() : err);
+            })
+            .save(outputPath);
+    });
+}
+
+// Hàm thiết lập encoder và bitrate/VBR cho lệnh FFmpeg xuất âm thanh
+// audio = { format, bitrate (kbps), vbr (0 tốt nhất - 9) }; định dạng lossless bỏ qua bitrate
+function applyAudioOutput(command, audio) {
+    const audioFormat = AUDIO_FORMATS[audio.format];
+    command.noVideo().audioCodec(audioFormat.encoder);
+    if (audioFormat.lossless) return command;
+
+    if (audio.vbr === null) {
+        return command.audioBitrate(audio.bitrate);
+    }
+    if (audioFormat.encoder === 'libmp3lame') {
+        return command.outputOptions(`-q:a ${audio.vbr}`);
+    }
+    if (audioFormat.encoder === 'libvorbis') {
+        // Thang chất lượng của Vorbis ngược lại: 10 là tốt nhất
+        return command.outputOptions(`-q:a ${10 - audio.vbr}`);
+    }
+    return command.audioBitrate(AUDIO_VBR_BITRATES[audio.vbr]);
+}
+
+// Hàm chuyển danh sách caption dạng { start, dur, text } (giây) sang VTT
+function captionsToVtt(captions) {
+    const cues = subtitlesToCues((captions || []).map(caption => ({
+        startMs: Math.round(parseFloat(caption.start) * 1000),
+        durationMs: Math.round(parseFloat(caption.dur) * 1000),
+        subtitle: caption.text
+    })));
+    return serializeCues(cues, 'vtt');
+}
+
+module.exports = {
+    USER_AGENT,
+    YTDLP_HEADERS,
+    createCancelledError,
+    waitForStream,
+    runFfmpeg,
+    applyAudioOutput,
+    captionsToVtt
+};
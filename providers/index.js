@@ -0,0 +1,207 @@
+// providers/index.js
+// Registry các provider (backend tải nội dung). Mỗi provider là một object:
+// { name, canHandle(url), getInfo(url), listFormats(url), listSubtitles(url),
+//   fetchSubtitle(url, options), download(url, options), expandPlaylist(url, options) }
+// download trả về { clipped: true } nếu provider đã tự cắt đoạn options.clip và báo tiến trình qua
+// options.reportProgress({ stage, bytesDone, bytesTotal, speed, eta, stageProgress }) (xem progress.js).
+// expandPlaylist trả về { id, title, uploader, entries: [{ videoId, title, duration }] } (tối đa options.maxItems video).
+// Provider không hỗ trợ thao tác nào thì bỏ qua hàm tương ứng.
+const { logger, sanitizeFileName } = require('../utils');
+const { ERROR_CODES, AppError } = require('../errors');
+const {
+    PROVIDER_ORDER,
+    PROVIDER_DISABLED,
+    PROVIDER_ADAPTIVE_ORDER,
+    PROVIDER_INFO_CACHE_TTL,
+    FIXTURE_DIR
+} = require('../config');
+const { createCancelledError } = require('./helpers');
+
+const PROVIDER_OPERATIONS = ['getInfo', 'listFormats', 'listSubtitles', 'fetchSubtitle', 'download', 'expandPlaylist'];
+
+const providers = new Map();
+// Thống kê theo provider và thao tác: { success, failure, empty, lastError, lastUsedAt }
+const providerStats = new Map();
+// Cache thông tin video theo URL: { info, expiresAt }
+const infoCache = new Map();
+
+// Hàm đăng ký provider
+function registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.canHandle !== 'function') {
+        throw new Error('Provider phải có name và canHandle(url)');
+    }
+    providers.set(provider.name, provider);
+}
+
+// Hàm lấy thống kê của một provider cho một thao tác
+function getStats(name, operation) {
+    const key = `${name}:${operation}`;
+    if (!providerStats.has(key)) {
+        providerStats.set(key, { success: 0, failure: 0, empty: 0, lastError: null, lastUsedAt: null });
+    }
+    return providerStats.get(key);
+}
+
+// Hàm tính điểm ưu tiên từ tỉ lệ thành công (làm trơn Laplace để provider mới có điểm 0.5)
+function getScore(name, operation) {
+    const stats = getStats(name, operation);
+    return (stats.success + 1) / (stats.success + stats.failure + 2);
+}
+
+// Hàm lấy danh sách provider đang bật theo thứ tự cấu hình
+function getEnabledProviders() {
+    const ordered = [
+        ...PROVIDER_ORDER.filter(name => providers.has(name)),
+        ...[...providers.keys()].filter(name => !PROVIDER_ORDER.includes(name))
+    ];
+    return ordered
+        .filter(name => !PROVIDER_DISABLED.includes(name))
+        .map(name => providers.get(name));
+}
+
+// Hàm lấy các provider hỗ trợ thao tác cho URL, sắp xếp theo tỉ lệ thành công
+function getProviders(operation, url) {
+    const candidates = getEnabledProviders()
+        .filter(provider => typeof provider[operation] === 'function' && provider.canHandle(url));
+
+    if (!PROVIDER_ADAPTIVE_ORDER) return candidates;
+
+    // Array.prototype.sort ổn định nên thứ tự cấu hình được giữ khi điểm bằng nhau
+    return candidates.sort((a, b) => getScore(b.name, operation) - getScore(a.name, operation));
+}
+
+// Hàm kiểm tra kết quả rỗng (không tính là lỗi của provider)
+function isEmptyResult(operation, result) {
+    if (operation === 'download') return false;
+    if (result === null || result === undefined) return true;
+    if (typeof result === 'string') return result.trim() === '';
+    if (Array.isArray(result)) return result.length === 0;
+    if (operation === 'listSubtitles') return result.manual.length === 0 && result.auto.length === 0;
+    return false;
+}
+
+// Hàm chạy một thao tác lần lượt qua các provider cho tới khi có kết quả
+// Trả về { provider, result }; result = null nếu mọi provider đều không có dữ liệu
+async function runWithProviders(operation, url, options = {}) {
+    if (!PROVIDER_OPERATIONS.includes(operation)) {
+        throw new Error(`Thao tác provider không hợp lệ: ${operation}`);
+    }
+
+    const candidates = getProviders(operation, url);
+    if (candidates.length === 0) {
+        throw new AppError(ERROR_CODES.UNSUPPORTED_PLATFORM, `Không có provider nào hỗ trợ ${operation} cho URL: ${url}`);
+    }
+
+    let lastError = null;
+    for (const provider of candidates) {
+        if (options.signal?.aborted) break;
+
+        const stats = getStats(provider.name, operation);
+        stats.lastUsedAt = Date.now();
+        // Tiến trình luôn kèm tên provider đang chạy
+        const providerOptions = options.reportProgress
+            ? { ...options, reportProgress: (progress) => options.reportProgress({ ...progress, provider: provider.name }) }
+            : options;
+        try {
+            const result = await provider[operation](url, providerOptions);
+            if (isEmptyResult(operation, result)) {
+                stats.empty++;
+                logger.info(`Provider ${provider.name} không có dữ liệu cho ${operation}: ${url}`);
+                continue;
+            }
+            stats.success++;
+            return { provider: provider.name, result };
+        } catch (error) {
+            // Lỗi do người dùng hủy không tính vào thống kê của provider
+            if (options.signal?.aborted) throw error;
+
+            stats.failure++;
+            stats.lastError = error.message;
+            lastError = error;
+            logger.warn(`Provider ${provider.name} thất bại khi ${operation}: ${error.message}`);
+        }
+    }
+
+    if (options.signal?.aborted) throw createCancelledError();
+    if (lastError) {
+        if (lastError instanceof AppError) throw lastError;
+        throw new AppError(ERROR_CODES.UPSTREAM_FAILED, `Mọi provider đều thất bại khi ${operation}: ${lastError.message}`);
+    }
+    return { provider: null, result: null };
+}
+
+// Hàm lấy thống kê của tất cả provider (dùng cho endpoint quản trị)
+function getProviderStats() {
+    const enabled = getEnabledProviders().map(provider => provider.name);
+    return [...providers.values()].map(provider => ({
+        name: provider.name,
+        enabled: enabled.includes(provider.name),
+        operations: Object.fromEntries(PROVIDER_OPERATIONS
+            .filter(operation => typeof provider[operation] === 'function')
+            .map(operation => [operation, { ...getStats(provider.name, operation), score: getScore(provider.name, operation) }]))
+    }));
+}
+
+// Hàm lấy thông tin video (tiêu đề, thumbnail, tính khả dụng) qua các provider, có cache ngắn hạn
+async function getVideoInfo(url) {
+    const cached = infoCache.get(url);
+    if (cached && cached.expiresAt > Date.now()) return cached.info;
+
+    const { result } = await runWithProviders('getInfo', url);
+    infoCache.set(url, { info: result, expiresAt: Date.now() + PROVIDER_INFO_CACHE_TTL });
+    return result;
+}
+
+// Hàm kiểm tra tính khả dụng của video YouTube
+async function checkVideoAvailability(videoId) {
+    try {
+        const info = await getVideoInfo(`https://www.youtube.com/watch?v=${videoId}`);
+        if (!info) {
+            return { isAvailable: false, reason: 'Video không tồn tại hoặc đã bị xóa.' };
+        }
+        if (info.available === false) {
+            return { isAvailable: false, reason: info.reason || 'Video không khả dụng.' };
+        }
+        return { isAvailable: true };
+    } catch (error) {
+        logger.error(`Error checking video availability: ${error.message}`);
+        return { isAvailable: false, reason: 'Không thể kiểm tra tính khả dụng của video.', checkFailed: true };
+    }
+}
+
+// Hàm lấy tiêu đề video (đã chuẩn hóa thành tên file)
+async function getVideoTitle(videoId) {
+    try {
+        const info = await getVideoInfo(`https://www.youtube.com/watch?v=${videoId}`);
+        if (info && info.title) {
+            return sanitizeFileName(info.title);
+        }
+        return `Video_YouTube_${videoId}`;
+    } catch (error) {
+        logger.error(`Error fetching video title: ${error.message}`);
+        return `Video_YouTube_${videoId}`;
+    }
+}
+
+// Chế độ fixture chỉ đăng ký provider cục bộ để không provider nào truy cập mạng
+if (FIXTURE_DIR) {
+    logger.info(`Provider fixture đang bật, đọc dữ liệu từ ${FIXTURE_DIR}`);
+    registerProvider(require('./fixtureProvider'));
+} else {
+    registerProvider(require('./youtubeDataApiProvider'));
+    registerProvider(require('./ytDlpProvider'));
+    registerProvider(require('./ytdlCoreProvider'));
+    registerProvider(require('./captionExtractorProvider'));
+    registerProvider(require('./timedTextProvider'));
+    registerProvider(require('./nodeSubtitlesProvider'));
+}
+
+module.exports = {
+    registerProvider,
+    getProviders,
+    runWithProviders,
+    getProviderStats,
+    getVideoInfo,
+    checkVideoAvailability,
+    getVideoTitle
+};
@@ -0,0 +1,34 @@
+// providers/nodeSubtitlesProvider.js
+// Thư viện node-youtube-subtitles là tùy chọn: chỉ được nạp khi provider được gọi
+const { getYouTubeVideoId } = require('../utils');
+const { captionsToVtt } = require('./helpers');
+
+function canHandle(url) {
+    return Boolean(getYouTubeVideoId(url));
+}
+
+// Hàm lấy danh sách ngôn ngữ (thư viện chỉ cho biết video có phụ đề tiếng Anh hay không)
+async function listSubtitles(url) {
+    const { getSubtitles } = require('node-youtube-subtitles');
+    const subtitles = await getSubtitles({ videoID: getYouTubeVideoId(url) });
+    return subtitles && subtitles.length > 0 ? { manual: ['en'], auto: [] } : null;
+}
+
+// Hàm tải phụ đề: phụ đề thủ công trước, sau đó phụ đề tự động
+async function fetchSubtitle(url, { language, isAuto }) {
+    const { getSubtitles } = require('node-youtube-subtitles');
+    const videoID = getYouTubeVideoId(url);
+
+    let subtitles = isAuto === true ? [] : await getSubtitles({ videoID, lang: language });
+    if ((!subtitles || subtitles.length === 0) && isAuto !== false) {
+        subtitles = await getSubtitles({ videoID, lang: `${language}.auto` });
+    }
+    return captionsToVtt(subtitles);
+}
+
+module.exports = {
+    name: 'node-youtube-subtitles',
+    canHandle,
+    listSubtitles,
+    fetchSubtitle
+};
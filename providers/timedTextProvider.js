@@ -0,0 +1,57 @@
+// providers/timedTextProvider.js
+// Phụ đề qua endpoint timedtext của YouTube và danh sách phụ đề qua YouTube Data API
+const { fetchWithRetry, getYouTubeVideoId } = require('../utils');
+
+function canHandle(url) {
+    return Boolean(getYouTubeVideoId(url));
+}
+
+// Hàm lấy danh sách ngôn ngữ phụ đề từ YouTube Data API (cần YOUTUBE_API_KEY)
+async function listSubtitles(url) {
+    if (!process.env.YOUTUBE_API_KEY) return null;
+
+    const response = await fetchWithRetry('https://www.googleapis.com/youtube/v3/captions', {
+        params: {
+            part: 'snippet',
+            videoId: getYouTubeVideoId(url),
+            key: process.env.YOUTUBE_API_KEY
+        }
+    });
+    const languages = { manual: [], auto: [] };
+    for (const item of response.data.items || []) {
+        const langCode = item.snippet.language;
+        if (item.snippet.trackKind === 'ASR') {
+            languages.auto.push(langCode);
+        } else {
+            languages.manual.push(langCode);
+        }
+    }
+    return languages;
+}
+
+// Hàm tải phụ đề (XML timedtext): phụ đề thủ công trước, sau đó phụ đề tự động
+async function fetchSubtitle(url, { language, isAuto }) {
+    const videoId = getYouTubeVideoId(url);
+    const candidates = [];
+    if (isAuto !== true) {
+        candidates.push(`https://www.youtube.com/api/timedtext?lang=${language}&v=${videoId}`);
+    }
+    if (isAuto !== false) {
+        candidates.push(`https://www.youtube.com/api/timedtext?lang=${language}&tlang=${language}&v=${videoId}`);
+    }
+
+    for (const timedTextUrl of candidates) {
+        const response = await fetchWithRetry(timedTextUrl, { responseType: 'text' }, 3, 1000);
+        if (response.data && response.data.trim() !== '') {
+            return response.data;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    name: 'youtube-timedtext',
+    canHandle,
+    listSubtitles,
+    fetchSubtitle
+};
@@ -0,0 +1,44 @@
+// providers/youtubeDataApiProvider.js
+// Thông tin video (tiêu đề, trạng thái) qua YouTube Data API (cần YOUTUBE_API_KEY)
+const { fetchWithRetry, getYouTubeVideoId } = require('../utils');
+
+function canHandle(url) {
+    return Boolean(getYouTubeVideoId(url));
+}
+
+// Hàm lấy thông tin video; video không tồn tại hoặc chưa xử lý xong trả về available = false
+async function getInfo(url) {
+    if (!process.env.YOUTUBE_API_KEY) return null;
+
+    const videoId = getYouTubeVideoId(url);
+    const response = await fetchWithRetry('https://www.googleapis.com/youtube/v3/videos', {
+        params: {
+            part: 'snippet,status',
+            id: videoId,
+            key: process.env.YOUTUBE_API_KEY
+        }
+    });
+    const item = response.data.items[0];
+    if (!item) {
+        return { videoId, available: false, reason: 'Video không tồn tại hoặc đã bị xóa.' };
+    }
+    if (item.status.uploadStatus !== 'processed') {
+        return { videoId, available: false, reason: 'Video chưa được xử lý hoàn tất.' };
+    }
+
+    const thumbnails = item.snippet.thumbnails || {};
+    return {
+        videoId,
+        title: item.snippet.title || '',
+        duration: null,
+        uploader: item.snippet.channelTitle || '',
+        thumbnail: thumbnails.high?.url || thumbnails.default?.url || '',
+        available: true
+    };
+}
+
+module.exports = {
+    name: 'youtube-data-api',
+    canHandle,
+    getInfo
+};
@@ -0,0 +1,231 @@
+// providers/ytDlpProvider.js
+const fsPromises = require('fs').promises;
+const path = require('path');
+const ytDlp = require('yt-dlp-exec');
+const { AUDIO_FORMATS, VIDEO_CODECS } = require('../config');
+const { ERROR_CODES, AppError } = require('../errors');
+const { PROGRESS_STAGES, YTDLP_PROGRESS_TEMPLATE, parseYtDlpProgress } = require('../progress');
+const { YTDLP_HEADERS, createCancelledError } = require('./helpers');
+
+const TEMP_DIR = path.join(__dirname, '..', 'temp');
+
+// Tùy chọn chung cho mọi lệnh yt-dlp
+const BASE_OPTIONS = {
+    noCheckCertificates: true,
+    noWarnings: true,
+    preferFreeFormats: true,
+    addHeader: YTDLP_HEADERS
+};
+
+// yt-dlp tải được chạy trong nhóm tiến trình riêng (detached) để khi hủy dừng được cả FFmpeg do yt-dlp gọi
+// (ghép video/âm thanh, --download-sections); Windows không có nhóm tiến trình nên chỉ dừng yt-dlp
+const USE_PROCESS_GROUP = process.platform !== 'win32';
+
+// Hàm dừng yt-dlp cùng các tiến trình con của nó
+function killProcessTree(child, killSignal = 'SIGTERM') {
+    if (USE_PROCESS_GROUP && child.pid) {
+        try {
+            process.kill(-child.pid, killSignal);
+            return;
+        } catch (error) {
+            // Nhóm tiến trình đã kết thúc
+        }
+    }
+    child.kill(killSignal);
+}
+
+// yt-dlp hỗ trợ hầu hết các trang video qua http(s)
+function canHandle(url) {
+    return /^https?:\/\//i.test(url || '');
+}
+
+// Hàm đọc toàn bộ metadata của video dưới dạng JSON
+function dumpInfo(url) {
+    return ytDlp(url, { ...BASE_OPTIONS, dumpSingleJson: true, skipDownload: true });
+}
+
+// Hàm lấy thông tin cơ bản của video
+async function getInfo(url) {
+    const info = await dumpInfo(url);
+    return {
+        videoId: info.id,
+        title: info.title || '',
+        duration: info.duration || null,
+        uploader: info.uploader || info.channel || '',
+        thumbnail: info.thumbnail || ''
+    };
+}
+
+// Hàm lấy danh sách định dạng khả dụng
+async function listFormats(url) {
+    const info = await dumpInfo(url);
+    return (info.formats || []).map(format => ({
+        id: format.format_id,
+        quality: format.height ? `${format.height}p` : (format.abr ? `${Math.round(format.abr)}k` : format.format_note),
+        container: format.ext,
+        type: format.vcodec && format.vcodec !== 'none' ? 'video' : 'audio',
+        height: format.height || null,
+        vcodec: format.vcodec && format.vcodec !== 'none' ? format.vcodec : null,
+        filesize: format.filesize || format.filesize_approx || null
+    }));
+}
+
+// Hàm lấy danh sách ngôn ngữ phụ đề (thủ công và tự động)
+async function listSubtitles(url) {
+    const info = await dumpInfo(url);
+    return {
+        manual: Object.keys(info.subtitles || {}).filter(lang => lang !== 'live_chat'),
+        auto: Object.keys(info.automatic_captions || {})
+    };
+}
+
+// Hàm tải phụ đề VTT; isAuto = undefined thì ưu tiên phụ đề thủ công rồi tới tự động
+async function fetchSubtitle(url, { language, isAuto, tempDir = TEMP_DIR }) {
+    await fsPromises.mkdir(tempDir, { recursive: true });
+    const outputBase = `ytdlp_${language}_${Date.now()}`;
+
+    await ytDlp(url, {
+        ...BASE_OPTIONS,
+        skipDownload: true,
+        writeSub: isAuto !== true,
+        writeAutoSub: isAuto !== false,
+        subLang: language,
+        subFormat: 'vtt',
+        output: path.join(tempDir, `${outputBase}.%(ext)s`)
+    });
+
+    // yt-dlp đặt tên file theo dạng <output>.<lang>.vtt
+    const fileName = (await fsPromises.readdir(tempDir))
+        .find(file => file.startsWith(outputBase) && file.endsWith('.vtt'));
+    if (!fileName) return null;
+
+    const filePath = path.join(tempDir, fileName);
+    const content = await fsPromises.readFile(filePath, 'utf8');
+    await fsPromises.unlink(filePath).catch(() => {});
+    return content;
+}
+
+// Hàm lấy danh sách video của playlist/kênh bằng chế độ flat-playlist (không đọc metadata từng video)
+async function expandPlaylist(url, { maxItems } = {}) {
+    const info = await ytDlp(url, {
+        ...BASE_OPTIONS,
+        flatPlaylist: true,
+        dumpSingleJson: true,
+        ...(maxItems ? { playlistEnd: maxItems } : {})
+    });
+    if (!info || typeof info !== 'object') return null;
+
+    return {
+        id: info.id || null,
+        title: info.title || '',
+        uploader: info.uploader || info.channel || '',
+        entries: (info.entries || [])
+            .filter(entry => entry && entry.id)
+            .map(entry => ({ videoId: entry.id, title: entry.title || '', duration: entry.duration || null }))
+    };
+}
+
+// Hàm tạo thứ tự ưu tiên định dạng (-S): độ phân giải tối đa, codec ưu tiên, dung lượng tối đa
+function buildFormatSort(video) {
+    return [
+        `res:${video.height}`,
+        video.codec && `vcodec:${VIDEO_CODECS[video.codec].ytDlpSort}`,
+        video.maxFilesize && `size:${Math.floor(video.maxFilesize / (1024 * 1024))}M`
+    ].filter(Boolean).join(',');
+}
+
+// Hàm tải video/âm thanh vào outputPath, báo tiến trình (theo --progress-template) và dừng khi bị hủy
+// clip = { start, end } (giây) thì chỉ tải đoạn đó qua --download-sections
+// audio = { format, bitrate, vbr } quyết định --audio-format và --audio-quality
+// video = { height, codec, maxFilesize } quyết định --format-sort và --max-filesize
+async function download(url, { type, clip, audio, video, outputPath, reportProgress, signal }) {
+    const outputBase = outputPath.replace(/\.[^.]+$/, '');
+    const progressOptions = { newline: true, progressTemplate: YTDLP_PROGRESS_TEMPLATE };
+    const options = type === 'video' ? {
+        ...BASE_OPTIONS,
+        ...progressOptions,
+        format: 'bv*+ba/b',
+        formatSort: buildFormatSort(video),
+        output: `${outputBase}.%(ext)s`,
+        mergeOutputFormat: 'mp4'
+    } : {
+        ...BASE_OPTIONS,
+        ...progressOptions,
+        format: 'bestaudio',
+        extractAudio: true,
+        audioFormat: AUDIO_FORMATS[audio.format].ytDlpFormat,
+        output: `${outputBase}.%(ext)s`
+    };
+    if (type === 'video' && video.maxFilesize) {
+        options.maxFilesize = video.maxFilesize;
+    }
+    if (type !== 'video' && !AUDIO_FORMATS[audio.format].lossless) {
+        options.audioQuality = audio.vbr === null ? `${audio.bitrate}K` : audio.vbr;
+    }
+    if (clip) {
+        options.downloadSections = `*${clip.start}-${clip.end === null ? 'inf' : clip.end}`;
+        options.forceKeyframesAtCuts = true;
+    }
+
+    if (signal.aborted) throw createCancelledError();
+    reportProgress({ stage: PROGRESS_STAGES.FETCHING_INFO });
+
+    const child = ytDlp.exec(url, options, { stdio: ['pipe', 'pipe', 'pipe'], detached: USE_PROCESS_GROUP });
+    // Lỗi của tiến trình được xử lý qua sự kiện 'close' bên dưới
+    child.catch(() => {});
+    const killChild = () => killProcessTree(child);
+    signal.addEventListener('abort', killChild, { once: true });
+    // Tiến trình detached không tự dừng theo server: dừng cả nhóm khi server thoát
+    process.once('exit', killChild);
+
+    // yt-dlp bỏ qua (không báo lỗi) định dạng vượt --max-filesize
+    let exceededMaxFilesize = false;
+    let pendingOutput = '';
+    child.stdout.on('data', (data) => {
+        // Dữ liệu có thể bị cắt giữa dòng: chỉ đọc các dòng đã đủ
+        const lines = (pendingOutput + data.toString()).split(/\r?\n/);
+        pendingOutput = lines.pop();
+        for (const line of lines) {
+            if (line.includes('larger than max-filesize')) {
+                exceededMaxFilesize = true;
+            }
+            const progress = parseYtDlpProgress(line);
+            if (progress) {
+                reportProgress(progress);
+            }
+        }
+    });
+
+    let errorOutput = '';
+    child.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+    });
+
+    await new Promise((resolve, reject) => {
+        child.on('close', (code) => {
+            signal.removeEventListener('abort', killChild);
+            process.removeListener('exit', killChild);
+            if (signal.aborted) {
+                reject(createCancelledError());
+            } else if (exceededMaxFilesize) {
+                reject(new AppError(ERROR_CODES.FILE_TOO_LARGE, `yt-dlp: file vượt quá ${video.maxFilesize} bytes`));
+            } else if (code !== 0) {
+                reject(new Error(`yt-dlp failed with code ${code}: ${errorOutput}`));
+            } else {
+                resolve();
+            }
+        });
+    });
+    return { clipped: Boolean(clip) };
+}
+
+module.exports = {
+    name: 'yt-dlp',
+    canHandle,
+    getInfo,
+    listFormats,
+    listSubtitles,
+    fetchSubtitle,
+    download,
+    expandPlaylist
+};
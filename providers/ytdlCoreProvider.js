@@ -0,0 +1,247 @@
+// providers/ytdlCoreProvider.js
+const fs = require('fs');
+const ytdl = require('@distube/ytdl-core');
+const ffmpeg = require('fluent-ffmpeg');
+const { logger, fetchWithRetry } = require('../utils');
+const { VIDEO_CODECS } = require('../config');
+const { ERROR_CODES, AppError } = require('../errors');
+const { PROGRESS_STAGES, parseFfmpegProgress } = require('../progress');
+const { USER_AGENT, createCancelledError, waitForStream, runFfmpeg, applyAudioOutput } = require('./helpers');
+
+// Tùy chọn chung cho ytdl.getInfo
+const INFO_OPTIONS = {
+    timeout: 30000,
+    requestOptions: {
+        headers: {
+            'User-Agent': USER_AGENT,
+            'Accept': '*/*',
+            'Accept-Language': 'en-US,en;q=0.9',
+            'Range': 'bytes=0-'
+        }
+    }
+};
+
+function canHandle(url) {
+    return ytdl.validateURL(url || '');
+}
+
+// Hàm lấy danh sách track phụ đề từ player_response
+async function getCaptionTracks(url) {
+    const info = await ytdl.getInfo(url, INFO_OPTIONS);
+    const renderer = info.player_response.captions?.playerCaptionsTracklistRenderer;
+    return {
+        captionTracks: renderer?.captionTracks || [],
+        translationLanguages: renderer?.translationLanguages || []
+    };
+}
+
+// Hàm lấy thông tin cơ bản của video
+async function getInfo(url) {
+    const { videoDetails } = await ytdl.getInfo(url, INFO_OPTIONS);
+    const thumbnails = videoDetails.thumbnails || [];
+    return {
+        videoId: videoDetails.videoId,
+        title: videoDetails.title || '',
+        duration: parseInt(videoDetails.lengthSeconds, 10) || null,
+        uploader: videoDetails.author?.name || '',
+        thumbnail: thumbnails[thumbnails.length - 1]?.url || ''
+    };
+}
+
+// Hàm lấy danh sách định dạng khả dụng
+async function listFormats(url) {
+    logger.info(`Fetching formats for URL: ${url}`);
+    const info = await ytdl.getInfo(url, { timeout: 30000 });
+    return info.formats.map(format => ({
+        id: format.itag,
+        quality: format.qualityLabel || format.audioBitrate,
+        container: format.container,
+        type: format.mimeType.includes('video') ? 'video' : 'audio',
+        height: format.height || null,
+        vcodec: format.videoCodec || null,
+        filesize: parseInt(format.contentLength, 10) || null
+    }));
+}
+
+// Hàm chọn định dạng khả dụng dựa trên loại nội dung và yêu cầu video { height, codec, maxFilesize }:
+// độ phân giải cao nhất không vượt quá height, ưu tiên codec yêu cầu, bỏ các định dạng vượt maxFilesize
+async function selectAvailableFormat(url, type, video) {
+    const formats = await listFormats(url);
+    if (formats.length === 0) return null;
+
+    if (type !== 'video') {
+        const audioFormat = formats.find(f => f.type.includes('audio'));
+        return audioFormat ? audioFormat.id : formats[0].id;
+    }
+
+    let videoFormats = formats.filter(f => f.type.includes('video'));
+    if (videoFormats.length === 0) return null;
+
+    if (video.maxFilesize) {
+        // Định dạng không biết trước dung lượng vẫn được giữ lại
+        videoFormats = videoFormats.filter(f => !f.filesize || f.filesize <= video.maxFilesize);
+        if (videoFormats.length === 0) {
+            throw new AppError(ERROR_CODES.FILE_TOO_LARGE, `ytdl-core: không có định dạng nào nhỏ hơn ${video.maxFilesize} bytes`);
+        }
+    }
+
+    const withinHeight = videoFormats.filter(f => f.height && f.height <= video.height);
+    const candidates = withinHeight.length > 0 ? withinHeight : videoFormats;
+    const codecPattern = video.codec ? VIDEO_CODECS[video.codec].codecPattern : null;
+    const matchesCodec = f => Boolean(codecPattern && f.vcodec && codecPattern.test(f.vcodec));
+
+    candidates.sort((a, b) => {
+        // Không tìm được định dạng trong giới hạn thì lấy định dạng thấp nhất
+        const heightOrder = withinHeight.length > 0 ? (b.height || 0) - (a.height || 0) : (a.height || 0) - (b.height || 0);
+        return heightOrder || matchesCodec(b) - matchesCodec(a);
+    });
+    return candidates[0].id;
+}
+
+// Hàm lấy danh sách ngôn ngữ phụ đề (thủ công và ngôn ngữ dịch tự động)
+async function listSubtitles(url) {
+    const { captionTracks, translationLanguages } = await getCaptionTracks(url);
+    return {
+        manual: captionTracks.map(track => track.languageCode),
+        auto: translationLanguages.map(lang => lang.languageCode)
+    };
+}
+
+// Hàm tải phụ đề (trả về nội dung gốc: XML timedtext hoặc VTT)
+async function fetchSubtitle(url, { language, isAuto }) {
+    const { captionTracks } = await getCaptionTracks(url);
+    if (captionTracks.length === 0) {
+        throw new Error('Video không có phụ đề nào');
+    }
+
+    // Thử phụ đề thủ công trước; nếu không có thì dịch từ track tự động, rồi tới track thủ công đầu tiên
+    const manualTrack = isAuto !== true && captionTracks.find(track => track.languageCode === language);
+    const candidates = manualTrack
+        ? [manualTrack.baseUrl]
+        : [captionTracks.find(track => track.kind === 'asr'), captionTracks.find(track => track.kind !== 'asr')]
+            .filter(Boolean)
+            .map(track => `${track.baseUrl}&tlang=${language}`);
+
+    for (const subtitleUrl of candidates) {
+        logger.info(`Downloading subtitle from URL: ${subtitleUrl}`, { language });
+        const response = await fetchWithRetry(subtitleUrl, {
+            responseType: 'text',
+            headers: {
+                'User-Agent': USER_AGENT,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+                'Accept-Language': 'en-US,en;q=0.5'
+            }
+        }, 3, 2000);
+
+        if (response.data && response.data.trim() !== '') {
+            return response.data;
+        }
+    }
+    return null;
+}
+
+// Hàm tải video (ghép luồng video và âm thanh) hoặc âm thanh (định dạng theo audio) vào outputPath
+async function download(url, { type, audio, video, tempPrefix, outputPath, reportProgress, signal }) {
+    reportProgress({ stage: PROGRESS_STAGES.FETCHING_INFO });
+    const selectedItag = await selectAvailableFormat(url, type, video);
+    if (!selectedItag) {
+        throw new Error('Không tìm thấy định dạng khả dụng cho video/âm thanh.');
+    }
+    if (signal.aborted) throw createCancelledError();
+
+    logger.info(`Downloading ${type} with @distube/ytdl-core from URL: ${url}`);
+
+    if (type === 'video') {
+        // Tải luồng video
+        const videoStream = ytdl(url, { quality: selectedItag });
+        const videoPath = `${tempPrefix}video.mp4`;
+        const videoFileStream = fs.createWriteStream(videoPath);
+        videoStream.pipe(videoFileStream);
+
+        let videoDownloadedBytes = 0;
+        videoStream.on('progress', (chunkLength, downloaded, total) => {
+            videoDownloadedBytes = downloaded;
+            reportProgress({ stage: PROGRESS_STAGES.DOWNLOADING_VIDEO, bytesDone: downloaded, bytesTotal: total });
+        });
+
+        await waitForStream(videoStream, videoFileStream, signal);
+
+        if (videoDownloadedBytes === 0) {
+            throw new Error('No video data downloaded from stream.');
+        }
+
+        // Tải luồng âm thanh
+        const audioStream = ytdl(url, { quality: 'highestaudio', filter: 'audioonly' });
+        const audioPath = `${tempPrefix}audio.mp4`;
+        const audioFileStream = fs.createWriteStream(audioPath);
+        audioStream.pipe(audioFileStream);
+
+        let audioDownloadedBytes = 0;
+        audioStream.on('progress', (chunkLength, downloaded, total) => {
+            audioDownloadedBytes = downloaded;
+            reportProgress({ stage: PROGRESS_STAGES.DOWNLOADING_AUDIO, bytesDone: downloaded, bytesTotal: total });
+        });
+
+        await waitForStream(audioStream, audioFileStream, signal);
+
+        if (audioDownloadedBytes === 0) {
+            throw new Error('No audio data downloaded from stream.');
+        }
+
+        // Hợp nhất video và âm thanh bằng FFmpeg
+        reportProgress({ stage: PROGRESS_STAGES.MERGING });
+        try {
+            await runFfmpeg(
+                ffmpeg()
+                    .input(videoPath)
+                    .input(audioPath)
+                    .outputOptions('-c:v copy')
+                    .outputOptions('-c:a aac'),
+                outputPath,
+                signal,
+                (progress) => reportProgress({ stage: PROGRESS_STAGES.MERGING, ...parseFfmpegProgress(progress) })
+            );
+        } catch (ffmpegError) {
+            if (signal.aborted) throw ffmpegError;
+            throw new Error(`FFmpeg merge failed: ${ffmpegError.message}`);
+        }
+    } else {
+        // Tải âm thanh
+        const stream = ytdl(url, { quality: selectedItag, filter: 'audioonly' });
+        const sourcePath = `${tempPrefix}audio_source.mp4`;
+        const fileStream = fs.createWriteStream(sourcePath);
+        stream.pipe(fileStream);
+
+        let downloadedBytes = 0;
+        stream.on('progress', (chunkLength, downloaded, total) => {
+            downloadedBytes = downloaded;
+            reportProgress({ stage: PROGRESS_STAGES.DOWNLOADING_AUDIO, bytesDone: downloaded, bytesTotal: total });
+        });
+
+        await waitForStream(stream, fileStream, signal);
+
+        if (downloadedBytes === 0) {
+            throw new Error('No audio data downloaded from stream.');
+        }
+
+        reportProgress({ stage: PROGRESS_STAGES.TRANSCODING });
+        try {
+            await runFfmpeg(applyAudioOutput(ffmpeg(sourcePath), audio), outputPath, signal,
+                (progress) => reportProgress({ stage: PROGRESS_STAGES.TRANSCODING, ...parseFfmpegProgress(progress) }));
+        } catch (ffmpegError) {
+            if (signal.aborted) throw ffmpegError;
+            throw new Error(`FFmpeg conversion failed: ${ffmpegError.message}`);
+        }
+    }
+}
+
+module.exports = {
+    name: 'ytdl-core',
+    canHandle,
+    getInfo,
+    listFormats,
+    listSubtitles,
+    fetchSubtitle,
+    download,
+    selectAvailableFormat
+};
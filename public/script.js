@@ -23,6 +23,104 @@ document.addEventListener('DOMContentLoaded', () => {
     let currentVideoId = null;
     let isInfoHidden = false;
 
+    // Tên hiển thị của các giai đoạn tiến trình (trường stage của server)
+    const PROGRESS_STAGE_LABELS = {
+        queued: 'Đang chờ trong hàng đợi...',
+        fetching_info: 'Đang lấy thông tin...',
+        downloading_video: 'Đang tải video...',
+        downloading_audio: 'Đang tải âm thanh...',
+        merging: 'Đang ghép video và âm thanh...',
+        transcoding: 'Đang chuyển đổi...',
+        validating: 'Đang kiểm tra file...',
+        done: 'Hoàn tất',
+        failed: 'Thất bại'
+    };
+
+    // Luồng tiến trình dùng chung: một kết nối SSE cho mọi lần tải trong trang.
+    // Phiên được lưu trong sessionStorage nên tải lại trang vẫn theo dõi tiếp được các lần tải cũ.
+    const progressStream = (() => {
+        const subscriptions = new Map();
+        let source = null;
+        let sessionId = sessionStorage.getItem('progressSession');
+
+        function addRemoteSubscriptions(ids) {
+            if (!sessionId || ids.length === 0) return;
+            fetch(`/api/progress-stream/${sessionId}/subscriptions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids })
+            }).catch(error => console.error('Lỗi khi đăng ký theo dõi tiến trình:', error));
+        }
+
+        function connect() {
+            const params = new URLSearchParams({ ids: [...subscriptions.keys()].join(',') });
+            if (sessionId) params.set('session', sessionId);
+            source = new EventSource(`/api/progress-stream?${params}`);
+
+            source.addEventListener('session', (event) => {
+                const info = JSON.parse(event.data);
+                sessionId = info.session;
+                sessionStorage.setItem('progressSession', sessionId);
+                // Phiên mới (phiên cũ đã hết hạn): đăng ký lại các lần tải đang theo dõi
+                addRemoteSubscriptions([...subscriptions.keys()].filter(id => !info.ids.includes(id)));
+            });
+            source.addEventListener('progress', (event) => {
+                const subscription = subscriptions.get(JSON.parse(event.data).id);
+                if (subscription && subscription.onmessage) subscription.onmessage(event);
+            });
+            source.onerror = () => {
+                // EventSource tự kết nối lại; chỉ báo lỗi khi kết nối bị đóng hẳn
+                if (source.readyState !== EventSource.CLOSED) return;
+                source = null;
+                for (const subscription of [...subscriptions.values()]) {
+                    if (subscription.onerror) subscription.onerror();
+                }
+            };
+        }
+
+        // Hàm theo dõi một downloadId; trả về đối tượng giống EventSource (onmessage, onerror, close)
+        function subscribe(downloadId) {
+            const subscription = {
+                onmessage: null,
+                onerror: null,
+                close: () => {
+                    if (subscriptions.get(downloadId) !== subscription) return;
+                    subscriptions.delete(downloadId);
+                    if (sessionId) {
+                        fetch(`/api/progress-stream/${sessionId}/subscriptions/${downloadId}`, { method: 'DELETE' }).catch(() => {});
+                    }
+                }
+            };
+            subscriptions.set(downloadId, subscription);
+            if (!source) {
+                connect();
+            } else {
+                addRemoteSubscriptions([downloadId]);
+            }
+            return subscription;
+        }
+
+        return { subscribe };
+    })();
+
+    // Hàm định dạng dung lượng (byte -> KB/MB/GB)
+    function formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+            value /= 1024;
+            unit++;
+        }
+        return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+    }
+
+    // Hàm định dạng thời gian còn lại (giây -> m:ss)
+    function formatDuration(seconds) {
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    }
+
     // Hàm chuẩn hóa tên file
     function sanitizeFileName(filename) {
         return filename
@@ -262,6 +360,11 @@ document.addEventListener('DOMContentLoaded', () => {
             btn.parentNode.appendChild(progressBar);
 
             const quality = document.querySelector('input[name="quality"]:checked')?.value || 'high';
+            const audioFormat = document.querySelector('input[name="audioFormat"]:checked')?.value || 'mp3';
+            // Giá trị dạng v0-v9 là mức VBR, còn lại là bitrate cố định (ví dụ 192k)
+            const audioBitrateChoice = document.querySelector('input[name="audioBitrate"]:checked')?.value || '128k';
+            const audioQuality = /^v\d$/.test(audioBitrateChoice) ? parseInt(audioBitrateChoice.slice(1), 10) : undefined;
+            const audioBitrate = audioQuality === undefined ? audioBitrateChoice : undefined;
             const language = type === 'subtitle' ? subtitleLanguage.value : null;
             const format = type === 'subtitle' ? subtitleFormat.value : null;
 
@@ -396,6 +499,9 @@ document.addEventListener('DOMContentLoaded', () => {
                     platform, 
                     type, 
                     quality, 
+                    audioFormat: type === 'audio' ? audioFormat : undefined,
+                    audioBitrate: type === 'audio' ? audioBitrate : undefined,
+                    audioQuality: type === 'audio' ? audioQuality : undefined,
                     targetLanguage: language, 
                     formatPreference: format
                 })
@@ -408,7 +514,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
             if (data.message === 'Đang tải, vui lòng chờ...') {
                 downloadId = data.downloadId;
-                eventSource = new EventSource(`/api/download-progress/${downloadId}`);
+                eventSource = progressStream.subscribe(downloadId);
                 let lastProgress = 0;
                 let downloadAttempts = 0;
                 const maxAttempts = 3;
@@ -423,9 +529,13 @@ document.addEventListener('DOMContentLoaded', () => {
                     const progressText = document.getElementById('progressText');
                     const progressStatus = document.getElementById('progressStatus');
                     
-                    // Cập nhật trạng thái chi tiết hơn
-                    if (progressData.stage) {
-                        progressStatus.textContent = `Đang ${progressData.stage}...`;
+                    // Cập nhật trạng thái chi tiết hơn (giai đoạn, tốc độ, thời gian còn lại)
+                    if (progressData.stage && PROGRESS_STAGE_LABELS[progressData.stage]) {
+                        const details = [
+                            progressData.speed ? `${formatBytes(progressData.speed)}/s` : null,
+                            progressData.eta !== null && progressData.eta !== undefined ? `còn ${formatDuration(progressData.eta)}` : null
+                        ].filter(Boolean).join(' · ');
+                        progressStatus.textContent = `${PROGRESS_STAGE_LABELS[progressData.stage]}${details ? ` (${details})` : ''}`;
                     } else {
                         progressStatus.textContent = status;
                     }
@@ -444,7 +554,7 @@ document.addEventListener('DOMContentLoaded', () => {
                             }
                         };
                         updateProgress();
-                    } else if (progress === 0 && progressData.stage) {
+                    } else if (progress === 0 && progressData.stage && progressData.stage !== 'done') {
                         // Hiển thị trạng thái khi đang xử lý nhưng chưa có tiến trình
                         progressFill.style.width = '5%';
                         progressText.textContent = 'Đang xử lý...';
@@ -457,6 +567,12 @@ document.addEventListener('DOMContentLoaded', () => {
                         showDownloadCompletePopup(type, downloadUrl, downloadLabel, language, format);
                     }
 
+                    if (progressData.cancelled) {
+                        eventSource.close();
+                        Swal.close();
+                        return;
+                    }
+
                     if (progressData.error) {
                         eventSource.close();
                         Swal.close();
@@ -528,7 +644,7 @@ document.addEventListener('DOMContentLoaded', () => {
                         
                         // Đặt tên file
                         const sanitizedTitle = sanitizeFileName(title.textContent || 'content');
-                        const extension = type === 'video' ? 'mp4' : type === 'audio' ? 'mp3' : `${language}.${format}`;
+                        const extension = type === 'video' ? 'mp4' : type === 'audio' ? audioFormat : `${language}.${format}`;
                         link.download = `${sanitizedTitle}.${extension}`;
                         
                         // Thêm link vào DOM và click
@@ -879,6 +995,16 @@ document.addEventListener('DOMContentLoaded', () => {
         updatePlatformIcon(platform);
     });
 
+    // FLAC/WAV là định dạng lossless nên không chọn bitrate
+    document.querySelectorAll('input[name="audioFormat"]').forEach(input => {
+        input.addEventListener('change', () => {
+            const lossless = ['flac', 'wav'].includes(input.value);
+            document.querySelectorAll('input[name="audioBitrate"]').forEach(bitrateInput => {
+                bitrateInput.disabled = lossless;
+            });
+        });
+    });
+
     downloadVideoBtn.addEventListener('click', () => downloadContent('video', downloadVideoBtn, '/api/download', 'Đã tải video thành công!', 'Video'));
     downloadAudioBtn.addEventListener('click', () => downloadContent('audio', downloadAudioBtn, '/api/download', 'Đã tải âm thanh thành công!', 'Âm Thanh'));
     downloadSubtitleBtn.addEventListener('click', () => downloadContent('subtitle', downloadSubtitleBtn, '/api/download-subtitle', 'Đã tải phụ đề thành công!', 'Phụ Đề'));
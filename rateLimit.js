@@ -0,0 +1,243 @@
+// rateLimit.js
+// Chính sách giới hạn tốc độ duy nhất cho mọi route, đọc từ RATE_LIMIT_RULES trong config.
+// Mỗi quy tắc áp dụng theo client (API key nếu có, ngược lại IP) với cửa sổ burst và/hoặc sustained
+// (bộ đếm cửa sổ cố định). Bộ đếm nằm trong store: bộ nhớ (mặc định) hoặc Redis qua RATE_LIMIT_REDIS_URL.
+// Response có header RateLimit-Limit/Remaining/Reset/Policy; vượt giới hạn trả 429 kèm Retry-After.
+const net = require('net');
+const { logger } = require('./utils');
+const { ERROR_CODES, AppError } = require('./errors');
+const { RATE_LIMIT_RULES, RATE_LIMIT_STORE, RATE_LIMIT_REDIS_URL } = require('./config');
+
+const WINDOW_NAMES = ['burst', 'sustained'];
+
+// Store trong bộ nhớ: key -> { count, resetAt }
+function createMemoryStore() {
+    const counters = new Map();
+
+    // Dọn các bộ đếm đã hết cửa sổ (không giữ process sống)
+    const sweepTimer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, counter] of counters) {
+            if (counter.resetAt <= now) counters.delete(key);
+        }
+    }, 60 * 1000);
+    sweepTimer.unref();
+
+    return {
+        name: 'memory',
+        async increment(key, durationMs) {
+            const now = Date.now();
+            let counter = counters.get(key);
+            if (!counter || counter.resetAt <= now) {
+                counter = { count: 0, resetAt: now + durationMs };
+                counters.set(key, counter);
+            }
+            counter.count++;
+            return { count: counter.count, resetAt: counter.resetAt };
+        },
+        async get(key) {
+            const counter = counters.get(key);
+            return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+        }
+    };
+}
+
+// Hàm mã hóa lệnh theo giao thức RESP của Redis
+function encodeCommand(args) {
+    return `*${args.length}\r\n${args.map(arg => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join('')}`;
+}
+
+// Hàm đọc một reply RESP từ buffer; trả về null nếu chưa nhận đủ dữ liệu
+// (chỉ cần các kiểu simple string, error, integer và bulk string)
+function parseReply(buffer) {
+    const lineEnd = buffer.indexOf('\r\n');
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[0]);
+    const line = buffer.toString('utf8', 1, lineEnd);
+    const rest = lineEnd + 2;
+    if (type === '+') return { value: line, length: rest };
+    if (type === '-') return { value: new Error(line), length: rest };
+    if (type === ':') return { value: parseInt(line, 10), length: rest };
+    if (type === '$') {
+        const size = parseInt(line, 10);
+        if (size === -1) return { value: null, length: rest };
+        if (buffer.length < rest + size + 2) return null;
+        return { value: buffer.toString('utf8', rest, rest + size), length: rest + size + 2 };
+    }
+    throw new Error(`Reply Redis không được hỗ trợ: ${type}`);
+}
+
+// Store Redis (hoặc server tương thích Redis chạy cục bộ) qua một kết nối TCP dùng giao thức RESP
+function createRedisStore(redisUrl) {
+    const url = new URL(redisUrl);
+    const pending = [];
+    let socket = null;
+    let buffer = Buffer.alloc(0);
+
+    function failPending(error) {
+        while (pending.length > 0) pending.shift().reject(error);
+    }
+
+    function connect() {
+        socket = net.createConnection({ host: url.hostname, port: parseInt(url.port, 10) || 6379 });
+        socket.setNoDelay(true);
+        socket.unref();
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let reply;
+            while (pending.length > 0 && (reply = parseReply(buffer))) {
+                buffer = buffer.subarray(reply.length);
+                const { resolve, reject } = pending.shift();
+                if (reply.value instanceof Error) reject(reply.value);
+                else resolve(reply.value);
+            }
+        });
+        socket.on('error', (error) => {
+            logger.warn(`Rate limit Redis store error: ${error.message}`);
+            failPending(error);
+        });
+        socket.on('close', () => {
+            socket = null;
+            buffer = Buffer.alloc(0);
+            failPending(new Error('Kết nối Redis đã đóng'));
+        });
+
+        if (url.password) {
+            send(url.username ? ['AUTH', decodeURIComponent(url.username), decodeURIComponent(url.password)] : ['AUTH', decodeURIComponent(url.password)])
+                .catch(() => {});
+        }
+        const db = url.pathname.slice(1);
+        if (db) send(['SELECT', db]).catch(() => {});
+    }
+
+    function send(args) {
+        return new Promise((resolve, reject) => {
+            pending.push({ resolve, reject });
+            socket.write(encodeCommand(args));
+        });
+    }
+
+    function command(...args) {
+        if (!socket) connect();
+        return send(args);
+    }
+
+    return {
+        name: 'redis',
+        async increment(key, durationMs) {
+            // SET NX tạo bộ đếm kèm thời hạn cửa sổ, INCR giữ nguyên thời hạn; các lệnh được gửi liên tiếp trên cùng kết nối
+            const [, count, ttl] = await Promise.all([
+                command('SET', key, 0, 'PX', durationMs, 'NX'),
+                command('INCR', key),
+                command('PTTL', key)
+            ]);
+            return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+        },
+        async get(key) {
+            const [count, ttl] = await Promise.all([command('GET', key), command('PTTL', key)]);
+            return count === null ? null : { count: parseInt(count, 10), resetAt: Date.now() + Math.max(ttl, 0) };
+        }
+    };
+}
+
+let store = RATE_LIMIT_STORE === 'redis' && RATE_LIMIT_REDIS_URL
+    ? createRedisStore(RATE_LIMIT_REDIS_URL)
+    : createMemoryStore();
+
+// Hàm thay store (ví dụ dùng store khác khi chạy nhiều instance)
+// store: { increment(key, durationMs) -> { count, resetAt }, get(key) -> { count, resetAt } | null }
+function setRateLimitStore(customStore) {
+    store = customStore;
+}
+
+// Hàm kiểm tra quy tắc có áp dụng cho đường dẫn/phương thức của request không
+function matchesRule(rule, req) {
+    if (rule.methods && !rule.methods.includes(req.method)) return false;
+    if (rule.scope === 'anonymous' && req.apiKey) return false;
+    return rule.paths.some(rulePath => rulePath === '/' || req.path === rulePath ||
+        req.path.startsWith(rulePath.endsWith('/') ? rulePath : `${rulePath}/`));
+}
+
+// Hàm xác định client: API key nếu có, ngược lại IP
+function getClientId(req) {
+    return req.apiKey ? `key:${req.apiKey.id}` : `ip:${req.ip}`;
+}
+
+// Hàm lấy các cửa sổ của quy tắc; API key có thể thay số request của cửa sổ sustained bằng hạn mức riêng
+function getRuleWindows(rule, req) {
+    return WINDOW_NAMES
+        .filter(windowName => rule[windowName])
+        .map(windowName => {
+            const window = rule[windowName];
+            const points = windowName === 'sustained' && rule.apiKeyQuota && req.apiKey
+                ? req.apiKey.quotas[rule.apiKeyQuota]
+                : window.points;
+            return { windowName, points, duration: window.duration };
+        });
+}
+
+function getCounterKey(ruleName, windowName, clientId) {
+    return `rl:${ruleName}:${windowName}:${clientId}`;
+}
+
+// Middleware áp dụng mọi quy tắc khớp với request
+async function rateLimitMiddleware(req, res, next) {
+    const clientId = getClientId(req);
+    const now = Date.now();
+    let tightest = null;
+    let exceeded = null;
+    const policies = [];
+
+    try {
+        for (const rule of RATE_LIMIT_RULES.filter(rule => matchesRule(rule, req))) {
+            for (const window of getRuleWindows(rule, req)) {
+                const counter = await store.increment(getCounterKey(rule.name, window.windowName, clientId), window.duration * 1000);
+                const state = {
+                    rule: rule.name,
+                    limit: window.points,
+                    remaining: Math.max(0, window.points - counter.count),
+                    reset: Math.max(0, Math.ceil((counter.resetAt - now) / 1000))
+                };
+                policies.push(`${window.points};w=${window.duration}`);
+                if (!tightest || state.remaining < tightest.remaining) tightest = state;
+                if (counter.count > window.points && (!exceeded || state.reset > exceeded.reset)) exceeded = state;
+            }
+        }
+    } catch (error) {
+        // Store không khả dụng: cho request đi qua thay vì chặn toàn bộ dịch vụ
+        logger.error(`Rate limit store (${store.name}) failed: ${error.message}`);
+        return next();
+    }
+
+    if (tightest) {
+        res.set({
+            'RateLimit-Limit': String(tightest.limit),
+            'RateLimit-Remaining': String(tightest.remaining),
+            'RateLimit-Reset': String(tightest.reset),
+            'RateLimit-Policy': policies.join(', ')
+        });
+    }
+    if (exceeded) {
+        logger.warn(`Rate limit exceeded [${exceeded.rule}] for ${clientId}: ${req.method} ${req.originalUrl}`);
+        return next(new AppError(ERROR_CODES.RATE_LIMITED, `Rate limit ${exceeded.rule} exceeded for ${clientId}`, {
+            retryAfter: Math.max(1, exceeded.reset)
+        }));
+    }
+    next();
+}
+
+// Hàm lấy số request đã dùng trong cửa sổ hiện tại của một quy tắc (dùng cho /api/usage)
+async function getRateLimitUsage(ruleName, windowName, clientId) {
+    const counter = await store.get(getCounterKey(ruleName, windowName, clientId)).catch(() => null);
+    return counter ? counter.count : 0;
+}
+
+module.exports = {
+    getClientId,
+    rateLimitMiddleware,
+    getRateLimitUsage,
+    setRateLimitStore,
+    createMemoryStore,
+    createRedisStore
+};
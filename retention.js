@@ -0,0 +1,259 @@
+// retention.js
+// Chính sách lưu giữ file trong downloads và subtitles: xóa file quá hạn (RETENTION_MAX_AGE),
+// sau đó xóa file ít được truy cập gần đây nhất (LRU) cho tới khi tổng dung lượng không vượt
+// RETENTION_MAX_BYTES và dung lượng đĩa trống không dưới RETENTION_MIN_FREE_BYTES.
+// File đang được đọc (pinFile) hoặc thuộc job tải chưa kết thúc không bao giờ bị xóa.
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { logger } = require('./utils');
+const { JOB_STATUS, listJobs } = require('./jobQueue');
+const { isCacheKey, getCacheFilePath, removeCacheEntry } = require('./mediaCache');
+const {
+    DOWNLOAD_DIR,
+    SUBTITLE_DIR,
+    RETENTION_MAX_BYTES,
+    RETENTION_MAX_AGE,
+    RETENTION_MIN_FREE_BYTES,
+    RETENTION_INTERVAL,
+    RETENTION_HISTORY_SIZE
+} = require('./config');
+
+// Số reader đang đọc theo đường dẫn file
+const activeReaders = new Map();
+// Thời điểm truy cập gần nhất của file không thuộc cache media (file phụ đề, file tải về kiểu cũ)
+const lastAccess = new Map();
+// Kết quả các lần chạy gần nhất (mới nhất trước)
+const runHistory = [];
+let currentRun = null;
+let timer = null;
+
+// Hàm đánh dấu file đang được đọc; trả về hàm giải phóng (gọi nhiều lần không sao)
+function pinFile(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    activeReaders.set(resolvedPath, (activeReaders.get(resolvedPath) || 0) + 1);
+    lastAccess.set(resolvedPath, Date.now());
+
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        const count = activeReaders.get(resolvedPath) - 1;
+        if (count > 0) {
+            activeReaders.set(resolvedPath, count);
+        } else {
+            activeReaders.delete(resolvedPath);
+        }
+        lastAccess.set(resolvedPath, Date.now());
+    };
+}
+
+// Hàm lấy khóa cache của các job tải chưa kết thúc
+function getInFlightCacheKeys() {
+    return new Set(listJobs(job => [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status) && job.payload?.cacheKey)
+        .map(job => job.payload.cacheKey));
+}
+
+// Hàm kiểm tra file đang được đọc hoặc thuộc job tải chưa kết thúc (không được xóa)
+function isFileInUse(filePath, cacheKey = null, inFlightKeys = getInFlightCacheKeys()) {
+    return activeReaders.has(path.resolve(filePath)) || Boolean(cacheKey && inFlightKeys.has(cacheKey));
+}
+
+// Hàm đọc các entry cache media trong downloads (file media + metadata là một đơn vị)
+async function readDownloadItems(fileNames) {
+    const items = [];
+    const cacheFiles = new Set();
+
+    for (const fileName of fileNames.filter(name => path.extname(name) === '.json')) {
+        const key = path.basename(fileName, '.json');
+        if (!isCacheKey(key)) continue;
+
+        const metadata = await fsPromises.readFile(path.join(DOWNLOAD_DIR, fileName), 'utf8')
+            .then(JSON.parse)
+            .catch(() => null);
+        if (!metadata) continue;
+
+        const filePath = getCacheFilePath(key, metadata.extension);
+        const stats = await fsPromises.stat(filePath).catch(() => null);
+        cacheFiles.add(fileName);
+        cacheFiles.add(path.basename(filePath));
+        items.push({
+            id: `downloads/${key}`,
+            name: metadata.fileName,
+            cacheKey: key,
+            filePath,
+            size: stats ? stats.size : 0,
+            createdAt: metadata.createdAt || (stats ? stats.mtimeMs : 0),
+            lastAccessAt: Math.max(metadata.lastAccessAt || 0, lastAccess.get(path.resolve(filePath)) || 0)
+        });
+    }
+    return { items, cacheFiles };
+}
+
+// Hàm đọc các file thường (phụ đề, file tải về kiểu cũ) của một thư mục
+async function readPlainItems(location, dir, fileNames) {
+    const items = [];
+    for (const fileName of fileNames) {
+        const filePath = path.join(dir, fileName);
+        const stats = await fsPromises.stat(filePath).catch(() => null);
+        if (!stats || !stats.isFile()) continue;
+
+        items.push({
+            id: `${location}/${fileName}`,
+            name: fileName,
+            cacheKey: null,
+            filePath,
+            size: stats.size,
+            createdAt: stats.mtimeMs,
+            lastAccessAt: Math.max(stats.mtimeMs, lastAccess.get(path.resolve(filePath)) || 0)
+        });
+    }
+    return items;
+}
+
+// Hàm liệt kê mọi file do chính sách quản lý
+async function collectItems() {
+    const downloadFiles = await fsPromises.readdir(DOWNLOAD_DIR).catch(() => []);
+    const { items, cacheFiles } = await readDownloadItems(downloadFiles);
+    items.push(...await readPlainItems('downloads', DOWNLOAD_DIR, downloadFiles.filter(name => !cacheFiles.has(name))));
+
+    const subtitleFiles = await fsPromises.readdir(SUBTITLE_DIR).catch(() => []);
+    items.push(...await readPlainItems('subtitles', SUBTITLE_DIR, subtitleFiles));
+    return items;
+}
+
+// Hàm lấy dung lượng đĩa trống (byte) của thư mục downloads; null nếu không đọc được
+async function getFreeBytes() {
+    if (typeof fsPromises.statfs !== 'function') return null;
+    try {
+        const stats = await fsPromises.statfs(DOWNLOAD_DIR);
+        return stats.bavail * stats.bsize;
+    } catch (error) {
+        logger.warn(`Không thể đọc dung lượng đĩa trống: ${error.message}`);
+        return null;
+    }
+}
+
+// Hàm xóa một file (hoặc entry cache) khỏi đĩa
+async function evictItem(item) {
+    if (item.cacheKey) {
+        await removeCacheEntry(item.cacheKey);
+    } else {
+        await fsPromises.unlink(item.filePath);
+    }
+    lastAccess.delete(path.resolve(item.filePath));
+}
+
+// Hàm chạy chính sách một lần; trigger: schedule | manual | download | subtitle
+async function executeRun(trigger) {
+    const startedAt = Date.now();
+    const items = await collectItems();
+    const inFlightKeys = getInFlightCacheKeys();
+    const isPinned = item => isFileInUse(item.filePath, item.cacheKey, inFlightKeys);
+
+    let totalBytes = items.reduce((sum, item) => sum + item.size, 0);
+    let freeBytes = await getFreeBytes();
+    const evicted = [];
+    const pinned = items.filter(isPinned);
+
+    const evict = async (item, reason) => {
+        try {
+            await evictItem(item);
+        } catch (error) {
+            logger.error(`Không thể xóa ${item.id}: ${error.message}`);
+            return;
+        }
+        totalBytes -= item.size;
+        if (freeBytes !== null) freeBytes += item.size;
+        evicted.push({ id: item.id, name: item.name, size: item.size, lastAccessAt: item.lastAccessAt, reason });
+        logger.info(`Retention: đã xóa ${item.id} (${item.size} bytes, lý do: ${reason})`);
+    };
+
+    // Ít được truy cập gần đây nhất đứng trước
+    const candidates = items.filter(item => !isPinned(item)).sort((a, b) => a.lastAccessAt - b.lastAccessAt);
+    const remaining = [];
+    for (const item of candidates) {
+        if (startedAt - item.createdAt > RETENTION_MAX_AGE) {
+            await evict(item, 'age');
+        } else {
+            remaining.push(item);
+        }
+    }
+    for (const item of remaining) {
+        if (totalBytes > RETENTION_MAX_BYTES) {
+            await evict(item, 'size');
+        } else if (freeBytes !== null && freeBytes < RETENTION_MIN_FREE_BYTES) {
+            await evict(item, 'disk');
+        } else {
+            break;
+        }
+    }
+
+    if (totalBytes > RETENTION_MAX_BYTES || (freeBytes !== null && freeBytes < RETENTION_MIN_FREE_BYTES)) {
+        logger.warn(`Retention: vẫn vượt giới hạn sau khi dọn (${pinned.length} file đang được dùng)`);
+    }
+
+    return {
+        trigger,
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: Date.now() - startedAt,
+        scanned: items.length,
+        pinned: pinned.map(item => item.id),
+        evicted,
+        freedBytes: evicted.reduce((sum, item) => sum + item.size, 0),
+        totalBytes,
+        freeBytes
+    };
+}
+
+// Hàm chạy chính sách lưu giữ; các lần gọi trong lúc đang chạy dùng chung kết quả
+function runRetention(trigger = 'manual') {
+    if (currentRun) return currentRun;
+
+    currentRun = executeRun(trigger)
+        .then(report => {
+            runHistory.unshift(report);
+            runHistory.splice(RETENTION_HISTORY_SIZE);
+            return report;
+        })
+        .catch(error => {
+            logger.error(`Error running retention policy: ${error.message}`);
+            throw error;
+        })
+        .finally(() => {
+            currentRun = null;
+        });
+    return currentRun;
+}
+
+// Hàm lấy cấu hình, file đang được giữ và lịch sử các lần chạy
+function getRetentionStatus() {
+    return {
+        policy: {
+            maxBytes: RETENTION_MAX_BYTES,
+            maxAge: RETENTION_MAX_AGE,
+            minFreeBytes: RETENTION_MIN_FREE_BYTES,
+            interval: RETENTION_INTERVAL
+        },
+        running: Boolean(currentRun),
+        activeReaders: [...activeReaders.keys()],
+        inFlightCacheKeys: [...getInFlightCacheKeys()],
+        runs: runHistory
+    };
+}
+
+// Hàm bật lịch chạy định kỳ (không giữ process sống khi server dừng)
+function startRetentionSchedule() {
+    if (timer) return;
+    timer = setInterval(() => {
+        runRetention('schedule').catch(() => {});
+    }, RETENTION_INTERVAL);
+    timer.unref();
+}
+
+module.exports = {
+    pinFile,
+    isFileInUse,
+    runRetention,
+    getRetentionStatus,
+    startRetentionSchedule
+};
@@ -1,33 +1,66 @@
 require('dotenv').config();
 const express = require('express');
 const axios = require('axios');
-const { RateLimiterMemory } = require('rate-limiter-flexible');
 const fs = require('fs');
 const fsPromises = fs.promises;
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
-const ytdl = require('@distube/ytdl-core');
-const rateLimit = require('express-rate-limit');
 const winston = require('winston');
 const os = require('os');
-const { getSubtitles: getYTSubtitles } = require('@treeee/youtube-caption-extractor');
-const ytDlp = require('yt-dlp-exec');
 const ffmpeg = require('fluent-ffmpeg');
 const { JSDOM } = require('jsdom');
-const { handleDownload } = require('./videoDownloader');
-const { handleDownloadSubtitle } = require('./subtitleDownloader');
+const { handleDownload, getRequester, cancelDownloadJob } = require('./videoDownloader');
+const { handleDownloadSubtitle, downloadAllSubtitles } = require('./subtitleDownloader');
+const { parseSubtitleFormats } = require('./subtitleCues');
+const { parseNormalizeOption } = require('./autoCaptions');
+const { handleRetimeSubtitle } = require('./subtitleRetime');
+const { streamZipArchive } = require('./zipArchive');
+const { listLibrary, deleteLibraryEntry } = require('./library');
+const { getCacheEntry, touchCacheEntry, getCacheStats } = require('./mediaCache');
+const { runRetention, getRetentionStatus, startRetentionSchedule } = require('./retention');
+const { sendFile } = require('./fileServer');
+const { verifySignedToken, claimSingleUse } = require('./signedUrls');
+const {
+    getProgress,
+    cancelProgress,
+    assertCanViewProgress,
+    handleProgressStream,
+    handleSubscribe,
+    handleUnsubscribe,
+    handleSingleProgressStream
+} = require('./progressStream');
+const { rateLimitMiddleware } = require('./rateLimit');
+const {
+    issueApiKey,
+    revokeApiKey,
+    listApiKeys,
+    authenticateApiKey,
+    getKeyUsage
+} = require('./apiKeys');
+const { getProviderStats, getVideoInfo } = require('./providers');
+const {
+    ERROR_CODES,
+    AppError,
+    getRequestLanguage,
+    localizeProgress,
+    asyncHandler,
+    errorHandler
+} = require('./errors');
+const { getJob, startJobQueue } = require('./jobQueue');
+const {
+    getBatchProgress,
+    getBatchArchiveEntries,
+    cancelPlaylistBatch,
+    handlePlaylistInfo,
+    handlePlaylistDownload
+} = require('./playlistDownloader');
 const { 
     logger,
     fetchWithRetry,
     checkFFmpeg,
     validateFile,
-    cleanFolder,
-    sanitizeFileName,
-    checkVideoAvailability,
-    getVideoTitle,
-    convertVttToSrt,
-    convertXmlToVtt,
-    truncateSubtitleText
+    sanitizeFileName
 } = require('./utils');
 const { 
     PORT, 
@@ -35,31 +68,12 @@ const {
     DOWNLOAD_DIR, 
     SUBTITLE_DIR, 
     THUMBNAIL_DIR,
-    LOG_DIR 
+    LOG_DIR,
+    ADMIN_TOKEN,
+    DEFAULT_SUBTITLE_FORMATS,
+    SUBTITLE_UPLOAD_LIMIT
 } = require('./config');
 
-const utils = {
-    getYouTubeVideoId: function(url) {
-        if (!url) return null;
-        
-        // Xử lý các định dạng URL YouTube khác nhau
-        const patterns = [
-            /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/v\/|youtube\.com\/watch\?.*&v=)([^&\n?#]+)/,
-            /youtube\.com\/shorts\/([^&\n?#]+)/,
-            /youtube\.com\/watch\?.*v=([^&\n?#]+)/
-        ];
-
-        for (const pattern of patterns) {
-            const match = url.match(pattern);
-            if (match && match[1]) {
-                return match[1];
-            }
-        }
-
-        return null;
-    },
-};
-
 // Tạo các thư mục cần thiết nếu chưa tồn tại
 [DOWNLOAD_DIR, SUBTITLE_DIR, THUMBNAIL_DIR, LOG_DIR].forEach(dir => {
     if (!fs.existsSync(dir)) {
@@ -77,25 +91,11 @@ const router = require('./router');
 app.use(router);
 
 // Middleware
-app.use(express.json({
-    limit: '10kb',
-    verify: (req, res, buf) => {
-        try {
-            JSON.parse(buf);
-        } catch (e) {
-            res.status(400).json({ error: `Invalid JSON: ${e.message}` });
-            throw new Error('Invalid JSON');
-        }
-    }
-}));
+// Lỗi JSON không hợp lệ được chuyển tới middleware xử lý lỗi (INVALID_REQUEST)
+// Endpoint chỉnh thời gian phụ đề nhận nội dung phụ đề trong body nên có giới hạn riêng
+app.use('/api/subtitles/retime', express.json({ limit: SUBTITLE_UPLOAD_LIMIT }));
+app.use(express.json({ limit: '10kb' }));
 app.use(express.static('public'));
-app.use('/downloads', express.static(path.join(__dirname, 'downloads'), {
-    maxAge: '1h',
-    setHeaders: (res, path) => {
-        res.set('Content-Disposition', 'attachment');
-        res.set('Transfer-Encoding', 'chunked');
-    }
-}));
 
 // Middleware xử lý CORS (giới hạn origin)
 const allowedOrigins = ['https://y2tubex.com', 'http://y2tubex.com'];
@@ -104,44 +104,16 @@ app.use((req, res, next) => {
     if (allowedOrigins.includes(origin)) {
         res.header('Access-Control-Allow-Origin', origin);
     }
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-API-Key');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
     next();
 });
 
-// Rate Limiter toàn cục
-const globalRateLimiter = new RateLimiterMemory({
-    points: 100,
-    duration: 60,
-});
-app.use(async (req, res, next) => {
-    try {
-        await globalRateLimiter.consume(req.ip);
-        next();
-    } catch (error) {
-        logger.warn(`Global rate limit exceeded for IP: ${req.ip}`);
-        res.status(429).json({ error: 'Quá nhiều yêu cầu. Vui lòng thử lại sau!' });
-    }
-});
-
-// Rate Limiter cho tải file
-const downloadLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 5
-});
-app.use('/downloads', downloadLimiter);
-
-// Rate Limiter: Giới hạn 50 request/phút cho endpoint tải video
-const rateLimiter = new RateLimiterMemory({
-    points: 50,
-    duration: 60,
-});
+// Xác thực API key (nếu request có gửi key)
+app.use(authenticateApiKey);
 
-// Rate Limiter cho tải phụ đề: Giới hạn 5 request/giây
-const subtitleRateLimiter = new RateLimiterMemory({
-    points: 5,
-    duration: 1,
-});
+// Giới hạn tốc độ theo các quy tắc trong config (RATE_LIMIT_RULES), tính theo API key hoặc IP
+app.use(rateLimitMiddleware);
 
 // Tăng timeout cho các request
 app.use((req, res, next) => {
@@ -150,674 +122,46 @@ app.use((req, res, next) => {
     next();
 });
 
-// Thêm Map để lưu trữ tiến trình tải xuống
-const downloadProgress = new Map();
-
-// Hàm cập nhật tiến trình tải xuống
-function updateDownloadProgress(downloadId, progress) {
-    downloadProgress.set(downloadId, {
-        ...downloadProgress.get(downloadId),
-        ...progress,
-        lastUpdate: Date.now()
-    });
-}
-
-// Hàm lấy thông tin tiến trình tải xuống
-function getDownloadProgress(downloadId) {
-    return downloadProgress.get(downloadId);
-}
+startJobQueue();
+startRetentionSchedule();
 
-// Hàm xóa thông tin tiến trình tải xuống
-function removeDownloadProgress(downloadId) {
-    downloadProgress.delete(downloadId);
+// Hàm kiểm tra token quản trị (header X-Admin-Token); luôn sai nếu chưa cấu hình ADMIN_TOKEN
+function isAdminRequest(req) {
+    const token = req.get('X-Admin-Token') || '';
+    return Boolean(ADMIN_TOKEN && token.length === ADMIN_TOKEN.length &&
+        crypto.timingSafeEqual(Buffer.from(token), Buffer.from(ADMIN_TOKEN)));
 }
 
-// Endpoint theo dõi tiến trình tải xuống
-app.get('/api/download-progress/:downloadId', (req, res) => {
-    const { downloadId } = req.params;
-    
-    // Thiết lập headers cho SSE
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-
-    // Hàm gửi tiến trình
-    const sendProgress = () => {
-        const progress = getDownloadProgress(downloadId);
-        if (progress) {
-            res.write(`data: ${JSON.stringify(progress)}\n\n`);
-            if (progress.progress === 100 || progress.error) {
-                removeDownloadProgress(downloadId);
-                res.end();
-            }
-        }
-    };
-
-    // Gửi tiến trình ban đầu
-    sendProgress();
-
-    // Kiểm tra tiến trình mỗi 500ms
-    const interval = setInterval(() => {
-        if (!getDownloadProgress(downloadId)) {
-            clearInterval(interval);
-            res.end();
-        } else {
-            sendProgress();
-        }
-    }, 500);
-
-    // Xử lý khi client ngắt kết nối
-    req.on('close', () => {
-        clearInterval(interval);
-        removeDownloadProgress(downloadId);
-    });
-});
-
-// Hàm kiểm tra tính khả dụng của phụ đề
-async function checkSubtitleAvailability(url, language) {
-    try {
-        const info = await ytdl.getInfo(url, { timeout: 30000 });
-        const captions = info.player_response.captions;
-        if (!captions || !captions.playerCaptionsTracklistRenderer) {
-            return { available: false, reason: 'Video không có phụ đề nào' };
-        }
-
-        const captionTracks = captions.playerCaptionsTracklistRenderer.captionTracks || [];
-        const translationLanguages = captions.playerCaptionsTracklistRenderer.translationLanguages || [];
-        
-        const hasManualSub = captionTracks.some(track => track.languageCode === language);
-        const hasAutoSub = translationLanguages.some(tLang => tLang.languageCode === language);
-
-        if (!hasManualSub && !hasAutoSub) {
-            return { 
-                available: false, 
-                reason: `Không tìm thấy phụ đề cho ngôn ngữ ${language}`,
-                availableLanguages: {
-                    manual: captionTracks.map(track => track.languageCode),
-                    auto: translationLanguages.map(tLang => tLang.languageCode)
-                }
-            };
-        }
-
-        return { 
-            available: true,
-            isAuto: !hasManualSub && hasAutoSub
-        };
-    } catch (error) {
-        logger.error(`Error checking subtitle availability: ${error.message}`);
-        return { available: false, reason: 'Không thể kiểm tra tính khả dụng của phụ đề' };
+// Middleware kiểm tra token quản trị; endpoint bị tắt nếu chưa cấu hình ADMIN_TOKEN
+function requireAdmin(req, res, next) {
+    if (!isAdminRequest(req)) {
+        logger.warn(`Admin request rejected: ${req.method} ${req.originalUrl}, IP: ${req.ip}`);
+        return next(new AppError(ERROR_CODES.UNAUTHORIZED, 'Invalid admin token'));
     }
+    next();
 }
 
-// Hàm lấy thông tin video từ @distube/ytdl-core
-async function getVideoInfo(url) {
-    try {
-        const info = await ytdl.getInfo(url, {
-            requestOptions: {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                }
-            }
-        });
-        return info;
-    } catch (error) {
-        logger.error(`Error getting video info: ${error.message}`, {
-            error: error.stack,
-            url: url
-        });
-        throw error;
-    }
-}
-
-// Hàm tải phụ đề với @distube/ytdl-core
-async function downloadSubtitleWithYtdlCore(url, language, isAuto = false, downloadId) {
-    try {
-        const videoId = utils.getYouTubeVideoId(url);
-        if (!videoId) {
-            throw new Error('Không thể xác định ID video YouTube');
-        }
-
-        const info = await getVideoInfo(url);
-        const captions = info.player_response.captions;
-        
-        if (!captions || !captions.playerCaptionsTracklistRenderer) {
-            updateDownloadProgress(downloadId, {
-                stage: 'error',
-                error: 'Video không có phụ đề nào',
-                progress: 0
-            });
-            throw new Error('Video không có phụ đề nào');
-        }
-
-        updateDownloadProgress(downloadId, {
-            stage: 'checking_subtitles',
-            progress: 10
-        });
-
-        const captionTracks = captions.playerCaptionsTracklistRenderer.captionTracks || [];
-        const translationLanguages = captions.playerCaptionsTracklistRenderer.translationLanguages || [];
-        
-        let subtitleUrl = null;
-        let selectedTrack = null;
-
-        updateDownloadProgress(downloadId, {
-            stage: 'finding_subtitle_track',
-            progress: 20
-        });
-
-        // Thử tìm phụ đề thủ công trước
-        if (!isAuto) {
-            selectedTrack = captionTracks.find(track => track.languageCode === language);
-            if (selectedTrack) {
-                subtitleUrl = selectedTrack.baseUrl;
-            }
-        }
-
-        // Nếu không tìm thấy phụ đề thủ công, thử phụ đề tự động
-        if (!subtitleUrl) {
-            // Thử tìm phụ đề tự động của ngôn ngữ gốc
-            const autoTrack = captionTracks.find(track => track.kind === 'asr');
-            if (autoTrack) {
-                selectedTrack = autoTrack;
-                // Thử lấy phụ đề gốc trước
-                subtitleUrl = autoTrack.baseUrl;
-                
-                // Nếu cần dịch, thêm tham số tlang
-                if (language !== autoTrack.languageCode) {
-                    subtitleUrl = `${subtitleUrl}&tlang=${language}`;
-                }
-            } else {
-                // Thử dùng phụ đề thủ công đầu tiên và dịch
-                const manualTrack = captionTracks[0];
-                if (manualTrack) {
-                    selectedTrack = manualTrack;
-                    subtitleUrl = `${manualTrack.baseUrl}&tlang=${language}`;
-                }
-            }
-        }
-
-        if (!subtitleUrl) {
-            updateDownloadProgress(downloadId, {
-                stage: 'error',
-                error: `Không tìm thấy phụ đề cho ngôn ngữ ${language}`,
-                progress: 0
-            });
-            throw new Error(`Không tìm thấy phụ đề cho ngôn ngữ ${language}`);
-        }
-
-        updateDownloadProgress(downloadId, {
-            stage: 'downloading_subtitle',
-            progress: 30
-        });
-
-        let retries = 3;
-        let lastError = null;
-        let delay = 1000;
-
-        while (retries > 0) {
-            try {
-                // Thêm các headers cần thiết và tham số
-                const finalUrl = `${subtitleUrl}&fmt=json3`;
-                const response = await axios.get(finalUrl, {
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                        'Accept': 'application/json, text/plain, */*',
-                        'Accept-Language': 'en-US,en;q=0.5',
-                        'Connection': 'keep-alive',
-                        'Origin': 'https://www.youtube.com',
-                        'Referer': 'https://www.youtube.com/',
-                        'Sec-Fetch-Dest': 'empty',
-                        'Sec-Fetch-Mode': 'cors',
-                        'Sec-Fetch-Site': 'same-origin'
-                    },
-                    timeout: 30000
-                });
-
-                if (!response.data || (typeof response.data === 'string' && response.data.trim() === '')) {
-                    throw new Error('Nội dung phụ đề trống từ server');
-                }
-
-                updateDownloadProgress(downloadId, {
-                    stage: 'processing_subtitle',
-                    progress: 60
-                });
-
-                let subtitleContent;
-                if (typeof response.data === 'object' && response.data.events) {
-                    // Xử lý định dạng JSON3
-                    subtitleContent = convertJson3ToVtt(response.data);
-                } else if (response.data.includes('<?xml') || response.data.includes('<transcript>')) {
-                    subtitleContent = convertXmlToVtt(response.data);
-                } else {
-                    subtitleContent = response.data;
-                }
-
-                if (!subtitleContent) {
-                    throw new Error('Không thể chuyển đổi phụ đề sang VTT');
-                }
-
-                // Kiểm tra nếu nội dung phụ đề quá ngắn
-                if (subtitleContent.length < 50) {
-                    throw new Error('Nội dung phụ đề không hợp lệ');
-                }
-
-                updateDownloadProgress(downloadId, {
-                    stage: 'completed',
-                    progress: 100,
-                    downloadUrl: `/downloads/${downloadId}.vtt`
-                });
-
-                return subtitleContent;
-            } catch (error) {
-                lastError = error;
-                retries--;
-                if (retries > 0) {
-                    updateDownloadProgress(downloadId, {
-                        stage: 'retrying',
-                        error: `Lỗi: ${error.message}. Đang thử lại...`,
-                        progress: 30
-                    });
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    delay *= 2;
-                }
-            }
-        }
-
-        updateDownloadProgress(downloadId, {
-            stage: 'error',
-            error: lastError.message,
-            progress: 0
-        });
-        throw lastError;
-    } catch (error) {
-        logger.error(`Error downloading subtitle with ytdl-core: ${error.message}`, {
-            error: error.stack,
-            videoId: utils.getYouTubeVideoId(url),
-            language
-        });
-        throw error;
-    }
-}
-
-// Thêm hàm chuyển đổi JSON3 sang VTT
-function convertJson3ToVtt(jsonData) {
-    try {
-        const events = jsonData.events;
-        if (!events || !Array.isArray(events)) {
-            return null;
-        }
-
-        let vttContent = 'WEBVTT\n\n';
-        
-        events.forEach((event, index) => {
-            if (event.segs && Array.isArray(event.segs)) {
-                const startTime = formatTime(event.tStartMs);
-                const endTime = event.dDurationMs ? 
-                    formatTime(event.tStartMs + event.dDurationMs) : 
-                    formatTime(events[index + 1]?.tStartMs || event.tStartMs + 5000);
-
-                const text = event.segs
-                    .map(seg => seg.utf8 || '')
-                    .join('')
-                    .trim();
-
-                if (text) {
-                    vttContent += `${startTime} --> ${endTime}\n${text}\n\n`;
-                }
-            }
-        });
-
-        return vttContent;
-    } catch (error) {
-        logger.error('Error converting JSON3 to VTT:', error);
-        return null;
-    }
-}
-
-function formatTime(ms) {
-    const date = new Date(ms);
-    const hours = date.getUTCHours().toString().padStart(2, '0');
-    const minutes = date.getUTCMinutes().toString().padStart(2, '0');
-    const seconds = date.getUTCSeconds().toString().padStart(2, '0');
-    const milliseconds = date.getUTCMilliseconds().toString().padStart(3, '0');
-    return `${hours}:${minutes}:${seconds}.${milliseconds}`;
-}
-
-// Hàm tải video/âm thanh với @distube/ytdl-core
-async function downloadMediaWithYtdlCore(url, type, quality) {
-    try {
-        // Nếu là audio, sử dụng yt-dlp trực tiếp
-        if (type === 'audio') {
-            logger.info('Using yt-dlp for audio download...');
-            const tempDir = path.join(__dirname, 'temp');
-            if (!await fsPromises.access(tempDir).then(() => true).catch(() => false)) {
-                await fsPromises.mkdir(tempDir, { recursive: true });
-            }
-
-            const outputPath = path.join(tempDir, `${Date.now()}.mp3`);
-            try {
-                await ytDlp(url, {
-                    extractAudio: true,
-                    audioFormat: 'mp3',
-                    audioQuality: 0, // Best quality
-                    output: outputPath,
-                    noCheckCertificates: true,
-                    noWarnings: true,
-                    preferFreeFormats: true,
-                    addHeader: [
-                        'referer:youtube.com',
-                        'user-agent:Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                    ]
-                });
-
-                const fileStream = fs.createReadStream(outputPath);
-                fileStream.on('end', () => {
-                    fs.unlink(outputPath, () => {});
-                });
-
-                return { 
-                    format: { 
-                        container: 'mp3',
-                        mimeType: 'audio/mp3',
-                        hasAudio: true,
-                        hasVideo: false,
-                        quality: 'high'
-                    }, 
-                    stream: fileStream 
-                };
-            } catch (ytdlpError) {
-                logger.error(`yt-dlp download failed: ${ytdlpError.message}`);
-                throw ytdlpError;
-            }
-        }
-
-        // Nếu là video, tiếp tục sử dụng ytdl-core
-        // List of user agents to try
-        const userAgents = [
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/92.0.4515.159 Safari/537.36',
-            'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:89.0) Gecko/20100101 Firefox/89.0',
-            'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.1.1 Safari/605.1.15'
-        ];
-
-        let lastError = null;
-        let selectedFormat = null;
-        let info = null;
-        let retryCount = 0;
-        const maxRetries = 3;
-
-        // Try each user agent with retries
-        while (retryCount < maxRetries) {
-            for (const userAgent of userAgents) {
-                try {
-                    info = await ytdl.getInfo(url, {
-                        requestOptions: {
-                            headers: {
-                                'User-Agent': userAgent,
-                                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                                'Accept-Language': 'en-US,en;q=0.5',
-                                'Connection': 'keep-alive',
-                                'Upgrade-Insecure-Requests': '1'
-                            }
-                        },
-                        timeout: 30000
-                    });
-                    break; // If successful, break the loop
-                } catch (error) {
-                    lastError = error;
-                    logger.warn(`Failed to get video info with user agent ${userAgent}: ${error.message}`);
-                    await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retrying
-                }
-            }
-
-            if (info) break; // If we got info, break the retry loop
-            retryCount++;
-            if (retryCount < maxRetries) {
-                logger.info(`Retrying video info fetch (attempt ${retryCount + 1}/${maxRetries})`);
-                await new Promise(resolve => setTimeout(resolve, 2000 * retryCount)); // Exponential backoff
-            }
-        }
-
-        if (!info) {
-            throw new Error(`Failed to get video info after ${maxRetries} retries: ${lastError?.message}`);
-        }
-
-        const formats = info.formats;
-        
-        logger.info(`Available formats for ${url}:`, {
-            totalFormats: formats.length,
-            formats: formats.map(f => ({
-                itag: f.itag,
-                quality: f.qualityLabel || f.audioBitrate,
-                container: f.container,
-                hasVideo: f.hasVideo,
-                hasAudio: f.hasAudio,
-                mimeType: f.mimeType
-            }))
-        });
-
-        // Định nghĩa các mức chất lượng
-        const qualityMap = {
-            high: ['1080p', '720p', '480p'],
-            medium: ['720p', '480p', '360p'],
-            low: ['480p', '360p', '240p']
-        };
-        const preferredQualities = qualityMap[quality] || qualityMap['high'];
-
-        // Thử tìm định dạng phù hợp theo thứ tự ưu tiên
-        for (const q of preferredQualities) {
-            // Tìm định dạng có cả video và audio
-            selectedFormat = formats.find(f => {
-                const hasVideo = f.hasVideo;
-                const hasAudio = f.hasAudio;
-                const qualityMatch = f.qualityLabel === q;
-                return hasVideo && hasAudio && qualityMatch;
-            });
-
-            if (selectedFormat) break;
-
-            // Nếu không tìm thấy, thử tìm định dạng video có chất lượng phù hợp
-            selectedFormat = formats.find(f => {
-                const hasVideo = f.hasVideo;
-                const qualityMatch = f.qualityLabel === q;
-                return hasVideo && qualityMatch;
-            });
-
-            if (selectedFormat) break;
-        }
-
-        // Nếu vẫn không tìm thấy, lấy định dạng video đầu tiên
-        if (!selectedFormat) {
-            selectedFormat = formats.find(f => f.hasVideo);
-        }
-
-        if (!selectedFormat) {
-            throw new Error(`Không tìm thấy định dạng phù hợp cho video. Vui lòng thử lại với chất lượng khác.`);
-        }
-
-        logger.info(`Selected format:`, {
-            itag: selectedFormat.itag,
-            quality: selectedFormat.qualityLabel || selectedFormat.audioBitrate,
-            container: selectedFormat.container,
-            hasVideo: selectedFormat.hasVideo,
-            hasAudio: selectedFormat.hasAudio,
-            mimeType: selectedFormat.mimeType
-        });
-
-        // Try downloading with different user agents and retries
-        let lastDownloadError = null;
-        retryCount = 0;
-
-        while (retryCount < maxRetries) {
-            for (const userAgent of userAgents) {
-                try {
-                    const options = {
-                        quality: selectedFormat.itag,
-                        requestOptions: {
-                            headers: {
-                                'User-Agent': userAgent,
-                                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-                                'Accept-Language': 'en-US,en;q=0.5',
-                                'Connection': 'keep-alive',
-                                'Upgrade-Insecure-Requests': '1',
-                                'Origin': 'https://www.youtube.com',
-                                'Referer': 'https://www.youtube.com/'
-                            }
-                        },
-                        timeout: 60000 // Increase timeout to 60 seconds
-                    };
-
-                    const stream = ytdl(url, options);
-
-                    // Add error handler for the stream
-                    stream.on('error', (error) => {
-                        logger.error(`Stream error: ${error.message}`, {
-                            error: error.stack,
-                            url: url,
-                            type: type,
-                            format: selectedFormat
-                        });
-                        throw error;
-                    });
-
-                    // Test the stream
-                    await new Promise((resolve, reject) => {
-                        const timeout = setTimeout(() => {
-                            reject(new Error('Stream test timeout'));
-                        }, 10000);
-
-                        stream.on('error', (error) => {
-                            clearTimeout(timeout);
-                            reject(error);
-                        });
-
-                        stream.on('data', () => {
-                            clearTimeout(timeout);
-                            stream.removeAllListeners('error');
-                            resolve();
-                        });
-                    });
-
-                    return { format: selectedFormat, stream };
-                } catch (error) {
-                    lastDownloadError = error;
-                    logger.warn(`Failed to download with user agent ${userAgent}: ${error.message}`);
-                    await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1 second before retrying
-                }
-            }
-
-            retryCount++;
-            if (retryCount < maxRetries) {
-                logger.info(`Retrying download (attempt ${retryCount + 1}/${maxRetries})`);
-                await new Promise(resolve => setTimeout(resolve, 2000 * retryCount)); // Exponential backoff
-            }
-        }
-
-        throw new Error(`Failed to download after ${maxRetries} retries: ${lastDownloadError?.message}`);
-    } catch (error) {
-        logger.error(`Error downloading media: ${error.message}`, {
-            error: error.stack,
-            url: url,
-            type: type,
-            quality: quality
-        });
-        throw error;
-    }
-}
-
-// Hàm chuyển đổi phụ đề sang VTT (chỉ giữ thời gian và văn bản)
-function arrayToVtt(subtitles) {
-    if (!subtitles || subtitles.length === 0) return null;
-    let vtt = 'WEBVTT\n\n';
-    subtitles.forEach((sub) => {
-        const start = sub.startMs ? msToTime(sub.startMs) : msToTime(sub.start * 1000);
-        const end = sub.startMs ? msToTime(sub.startMs + sub.durationMs) : msToTime(sub.end * 1000);
-        const text = sub.subtitle || sub.text;
-        if (text && text.trim()) {
-            const truncatedText = truncateSubtitleText(text);
-            vtt += `${start} --> ${end}\n${truncatedText}\n\n`;
-        }
-    });
-    return vtt.trim() === 'WEBVTT' ? null : vtt.trim();
-}
-
-// Hàm chuyển đổi phụ đề sang SRT (chỉ giữ thời gian và văn bản, có số thứ tự)
-function arrayToSrt(subtitles) {
-    if (!subtitles || subtitles.length === 0) return null;
-    let srt = '';
-    subtitles.forEach((sub, index) => {
-        const start = sub.startMs ? msToTimeSrt(sub.startMs) : msToTimeSrt(sub.start * 1000);
-        const end = sub.startMs ? msToTimeSrt(sub.startMs + sub.durationMs) : msToTimeSrt(sub.end * 1000);
-        const text = sub.subtitle || sub.text;
-        if (text && text.trim()) {
-            const truncatedText = truncateSubtitleText(text);
-            srt += `${index + 1}\n${start} --> ${end}\n${truncatedText}\n\n`;
-        }
-    });
-    return srt.trim() === '' ? null : srt.trim();
-}
-
-// Hàm chuyển đổi phụ đề sang TXT (chỉ văn bản, không thời gian)
-function arrayToTxt(subtitles) {
-    if (!subtitles || subtitles.length === 0) return null;
-    const text = subtitles
-        .filter(sub => (sub.subtitle || sub.text) && (sub.subtitle || sub.text).trim())
-        .map(sub => truncateSubtitleText(sub.subtitle || sub.text))
-        .join('\n\n');
-    return text.trim() === '' ? null : text.trim();
-}
-
-// Hàm chuyển đổi thời gian từ milliseconds sang định dạng VTT
-function msToTime(ms) {
-    const totalSeconds = Math.floor(ms / 1000);
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
-    const milliseconds = Math.floor((ms % 1000));
-    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(milliseconds, 3)}`;
-}
+// Endpoint theo dõi tiến trình của một lần tải (SSE, gửi khi có thay đổi)
+app.get('/api/download-progress/:downloadId', handleSingleProgressStream);
 
-// Hàm chuyển đổi thời gian từ milliseconds sang định dạng SRT
-function msToTimeSrt(ms) {
-    const totalSeconds = Math.floor(ms / 1000);
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
-    const milliseconds = Math.floor((ms % 1000));
-    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)},${pad(milliseconds, 3)}`;
-}
-
-// Hàm bổ sung số 0 cho định dạng thời gian
-function pad(num, size = 2) {
-    return num.toString().padStart(size, '0');
-}
+// Endpoint SSE dùng chung cho nhiều lần tải: ?ids=a,b để đăng ký, ?session=<id> để khôi phục phiên khi kết nối lại
+app.get('/api/progress-stream', handleProgressStream);
+app.post('/api/progress-stream/:sessionId/subscriptions', asyncHandler(handleSubscribe));
+app.delete('/api/progress-stream/:sessionId/subscriptions/:downloadId', asyncHandler(handleUnsubscribe));
 
-// Hàm chuyển đổi phụ đề sang định dạng khác
-function convertSubtitleFormat(content, format) {
-    if (!content || content.trim() === '') {
-        logger.error('Empty subtitle content');
-        return null;
+// Endpoint polling tiến trình: cùng dữ liệu với mỗi sự kiện của /api/download-progress/:downloadId
+app.get('/api/progress/:downloadId', (req, res, next) => {
+    const progress = getProgress(req.params.downloadId);
+    if (!progress) {
+        return next(new AppError(ERROR_CODES.NOT_FOUND, `Không tìm thấy tiến trình ${req.params.downloadId}`));
     }
-
     try {
-        switch (format.toLowerCase()) {
-            case 'srt':
-                return convertVttToSrt(content);
-            case 'txt':
-                return extractTextFromVtt(content);
-            case 'vtt':
-                return content.trim();
-            default:
-                logger.error(`Unsupported subtitle format: ${format}`);
-                return null;
-        }
+        assertCanViewProgress(req.params.downloadId, getRequester(req));
     } catch (error) {
-        logger.error(`Subtitle format conversion failed: ${error.message}`);
-        return null;
+        return next(error);
     }
-}
+    res.json({ id: req.params.downloadId, ...localizeProgress(progress, getRequestLanguage(req)) });
+});
 
 // Hàm lấy quốc gia từ IP
 async function getCountryFromIP(ip) {
@@ -848,119 +192,16 @@ async function getDefaultLanguage(ip) {
     return countryToLanguageMap[countryCode] || countryToLanguageMap["DEFAULT"];
 }
 
-// Hàm lấy danh sách ngôn ngữ phụ đề từ @distube/ytdl-core
-async function getAvailableSubtitleLanguages(url) {
-    try {
-        const info = await ytdl.getInfo(url, { timeout: 30000 });
-        const captions = info.player_response.captions;
-        if (!captions || !captions.playerCaptionsTracklistRenderer) {
-            return { manual: [], auto: [] };
-        }
-
-        const captionTracks = captions.playerCaptionsTracklistRenderer.captionTracks || [];
-        const manualLanguages = captionTracks.map(track => track.languageCode);
-
-        const translationLanguages = captions.playerCaptionsTracklistRenderer.translationLanguages || [];
-        const autoLanguages = translationLanguages.map(lang => lang.languageCode);
-
-        return { manual: manualLanguages, auto: autoLanguages };
-    } catch (ytdlError) {
-        logger.error(`Error fetching subtitle languages with @distube/ytdl-core: ${ytdlError.message}`);
-        // Fallback: Thử lấy danh sách ngôn ngữ từ yt-dlp
-        try {
-            const result = await ytDlp(url, {
-                listSubs: true,
-                skipDownload: true
-            }, { stdio: 'pipe' });
-
-            const lines = result.split('\n');
-            const languages = { manual: [], auto: [] };
-
-            for (const line of lines) {
-                if (line.includes('Available subtitles for')) {
-                    const langLines = lines.slice(lines.indexOf(line) + 1);
-                    for (const langLine of langLines) {
-                        if (langLine.trim() === '' || langLine.includes('Available automatic captions')) break;
-                        const langCode = langLine.split(/\s+/)[0];
-                        if (langCode) languages.manual.push(langCode);
-                    }
-                }
-                if (line.includes('Available automatic captions for')) {
-                    const autoLangLines = lines.slice(lines.indexOf(line) + 1);
-                    for (const autoLangLine of autoLangLines) {
-                        if (autoLangLine.trim() === '') break;
-                        const langCode = autoLangLine.split(/\s+/)[0];
-                        if (langCode) languages.auto.push(langCode);
-                    }
-                }
-            }
-
-            return languages;
-        } catch (ytDlpError) {
-            logger.error(`Error fetching subtitle languages with yt-dlp: ${ytDlpError.message}`);
-            return { manual: [], auto: [] };
-        }
-    }
-}
-
-// Hàm kiểm tra danh sách định dạng để chọn định dạng khả dụng
-async function getAvailableFormats(videoUrl) {
-    logger.info(`Fetching formats for URL: ${videoUrl}`);
-    try {
-        const info = await ytdl.getInfo(videoUrl, { timeout: 30000 });
-        const formats = info.formats;
-        return formats.map(format => ({
-            itag: format.itag,
-            quality: format.qualityLabel || format.audioBitrate,
-            container: format.container,
-            type: format.mimeType.includes('video') ? 'video' : 'audio'
-        }));
-    } catch (error) {
-        logger.error(`Error in getAvailableFormats with @distube/ytdl-core: ${error.message}`);
-        return [];
-    }
-}
-
-// Hàm chọn định dạng khả dụng dựa trên chất lượng và loại nội dung
-async function selectAvailableFormat(videoUrl, quality, type) {
-    const formats = await getAvailableFormats(videoUrl);
-    if (formats.length === 0) return null;
-
-    const qualityMap = {
-        high: ['1080p', '720p'],
-        medium: ['720p', '480p'],
-        low: ['360p', '240p']
-    };
-    const preferredQualities = qualityMap[quality] || qualityMap['high'];
-
-    for (let q of preferredQualities) {
-        const format = formats.find(f => f.quality === q && f.type.includes(type));
-        if (format) return format.itag;
-    }
-
-    if (type === 'video') {
-        const videoFormat = formats.find(f => f.type.includes('video'));
-        if (videoFormat) return videoFormat.itag;
-    }
-
-    const audioFormat = formats.find(f => f.type.includes('audio'));
-    if (audioFormat) return audioFormat.itag;
-
-    return formats[0]?.itag || null;
-}
-
 // Endpoint metadata
-app.post('/api/metadata', async (req, res) => {
+app.post('/api/metadata', async (req, res, next) => {
     if (!req.body || Object.keys(req.body).length === 0) {
-        logger.warn(`Invalid request body from IP: ${req.ip}`);
-        return res.status(400).json({ error: 'Body yêu cầu không hợp lệ hoặc thiếu dữ liệu. Vui lòng gửi JSON với các trường url và platform.' });
+        return next(new AppError(ERROR_CODES.INVALID_REQUEST, 'Body yêu cầu không hợp lệ hoặc thiếu dữ liệu (url, platform)'));
     }
 
     const { url, platform } = req.body;
 
     if (!url || !platform) {
-        logger.warn(`Missing required fields (url, platform) from IP: ${req.ip}`);
-        return res.status(400).json({ error: 'Thiếu thông tin cần thiết (url, platform)' });
+        return next(new AppError(ERROR_CODES.INVALID_REQUEST, 'Thiếu thông tin cần thiết (url, platform)'));
     }
 
     try {
@@ -969,21 +210,10 @@ app.post('/api/metadata', async (req, res) => {
         if (platform === 'youtube') {
             const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
             if (videoId) {
-                const youtubeResponse = await fetchWithRetry(`https://www.googleapis.com/youtube/v3/videos`, {
-                    params: {
-                        part: 'snippet',
-                        id: videoId,
-                        key: process.env.YOUTUBE_API_KEY
-                    }
-                });
-                const item = youtubeResponse.data.items[0];
-                if (item) {
-                    metadata.thumbnail = item.snippet.thumbnails.high?.url || item.snippet.thumbnails.default?.url;
-                    metadata.title = item.snippet.title || `Video YouTube mẫu - ${videoId}`;
-                } else {
-                    metadata.thumbnail = `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`;
-                    metadata.title = `Video YouTube mẫu - ${videoId}`;
-                }
+                // Thông tin video lấy qua các provider (YouTube Data API, yt-dlp, ... hoặc fixture)
+                const info = await getVideoInfo(url);
+                metadata.thumbnail = info?.thumbnail || `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`;
+                metadata.title = info?.title || `Video YouTube mẫu - ${videoId}`;
             } else {
                 metadata.thumbnail = '';
                 metadata.title = 'Video YouTube mẫu';
@@ -1041,342 +271,291 @@ app.post('/api/metadata', async (req, res) => {
             'twitter': 'Tweet mẫu'
         };
         const fallbackTitle = titleMap[platform] || 'Mẫu tiêu đề video';
-        res.status(500).json({ thumbnail: '', title: fallbackTitle });
+        res.status(500).json({ code: ERROR_CODES.UPSTREAM_FAILED, thumbnail: '', title: fallbackTitle });
     }
 });
 
 // Sửa endpoint tải video/âm thanh
-app.post('/api/download', async (req, res) => {
-    try {
-        await handleDownload(req, res, downloadProgress);
-    } catch (error) {
-        logger.error(`Download Error: ${error.message}`);
-        res.status(500).json({ error: error.message || 'Lỗi server khi tải nội dung.' });
+app.post('/api/download', asyncHandler(handleDownload));
+
+// Endpoint lấy danh sách video của playlist/kênh
+app.post('/api/playlist', asyncHandler(handlePlaylistInfo));
+
+// Endpoint tải các video được chọn trong playlist/kênh
+app.post('/api/playlist/download', asyncHandler(handlePlaylistDownload));
+
+// Endpoint lấy tiến trình tổng hợp và từng video của một lô playlist
+app.get('/api/playlist/:batchId', (req, res, next) => {
+    const batchProgress = getBatchProgress(req.params.batchId);
+    if (!batchProgress) {
+        return next(new AppError(ERROR_CODES.NOT_FOUND, `Không tìm thấy lô tải playlist ${req.params.batchId}`));
     }
+    res.json(localizeProgress(batchProgress, getRequestLanguage(req)));
 });
 
-// Sửa endpoint tải phụ đề
-app.post('/api/download-subtitle', async (req, res) => {
-    try {
-        await handleDownloadSubtitle(req, res, downloadProgress);
-    } catch (error) {
-        logger.error(`Subtitle Download Error: ${error.message}`);
-        res.status(500).json({ error: error.message || 'Lỗi server khi tải phụ đề.' });
+// Endpoint tải tất cả video đã hoàn tất của một lô playlist dưới dạng ZIP
+app.get('/api/playlist/:batchId/zip', asyncHandler(async (req, res) => {
+    const entries = await getBatchArchiveEntries(req.params.batchId);
+    if (!entries) {
+        throw new AppError(ERROR_CODES.NOT_FOUND, `Không tìm thấy lô tải playlist ${req.params.batchId}`);
     }
-});
+    if (entries.length === 0) {
+        throw new AppError(ERROR_CODES.NO_CONTENT, 'Chưa có video nào trong lô được tải xong');
+    }
+
+    await streamZipArchive(req, res, `playlist_${req.params.batchId}.zip`, entries);
+}));
+
+// Sửa endpoint tải phụ đề
+app.post('/api/download-subtitle', asyncHandler(handleDownloadSubtitle));
 
 // Endpoint tải tất cả phụ đề (hỗ trợ phụ đề kép)
-app.post('/api/download-all-subtitles', async (req, res) => {
+app.post('/api/download-all-subtitles', asyncHandler(async (req, res) => {
     if (!req.body || Object.keys(req.body).length === 0) {
-        logger.warn(`Invalid request body from IP: ${req.ip}`);
-        return res.status(400).json({ error: 'Body yêu cầu không hợp lệ hoặc thiếu dữ liệu. Vui lòng gửi JSON với trường url.' });
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Body yêu cầu không hợp lệ hoặc thiếu dữ liệu (url)');
     }
 
     const { url } = req.body;
 
     if (!url) {
-        logger.warn(`Missing required field (url) from IP: ${req.ip}`);
-        return res.status(400).json({ error: 'Thiếu thông tin cần thiết (url)' });
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Thiếu thông tin cần thiết (url)');
     }
+    const formats = parseSubtitleFormats(req.body.formats, DEFAULT_SUBTITLE_FORMATS);
 
-    try {
-        await subtitleRateLimiter.consume(`download_all_subtitles_${req.ip}`, 1);
-        logger.info(`Download all subtitles request: URL: ${url}, IP: ${req.ip}`);
+    logger.info(`Download all subtitles request: URL: ${url}, formats: ${formats.join(',')}, IP: ${req.ip}`);
 
-        const subtitlesDir = path.join(__dirname, 'subtitles');
-        if (!await fsPromises.access(subtitlesDir).then(() => true).catch(() => false)) {
-            await fsPromises.mkdir(subtitlesDir, { recursive: true });
-        }
+    const { downloadId, subtitles: subtitleFiles } = await downloadAllSubtitles(url, {
+        requester: getRequester(req),
+        formats,
+        normalizeAutoCaptions: parseNormalizeOption(req.body.normalizeAutoCaptions),
+        wordTiming: req.body.wordTiming === true || req.body.wordTiming === 'true'
+    });
+    if (subtitleFiles.length === 0) {
+        throw new AppError(ERROR_CODES.NO_SUBTITLES, 'Không thể tải phụ đề từ bất kỳ nguồn nào.');
+    }
 
-        await cleanFolder(subtitlesDir);
+    res.status(200).json({
+        success: true,
+        downloadId,
+        subtitles: subtitleFiles.map(file => ({
+            language: file.isAuto ? `${file.language}.auto` : file.language,
+            format: file.format,
+            downloadUrl: file.downloadUrl
+        }))
+    });
+}));
 
-        const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
-        if (!videoId) {
-            logger.warn(`Invalid YouTube URL from IP: ${req.ip}: ${url}`);
-            return res.status(400).json({ error: 'URL YouTube không hợp lệ' });
-        }
+// Endpoint tải tất cả phụ đề (mọi ngôn ngữ và định dạng) trong một file ZIP
+app.get('/api/download-all-subtitles/zip', asyncHandler(async (req, res) => {
+    const { url } = req.query;
 
-        const availability = await checkVideoAvailability(videoId);
-        if (!availability.isAvailable) {
-            logger.warn(`Video not available: ${videoId}, reason: ${availability.reason}`);
-            return res.status(403).json({ error: availability.reason });
-        }
+    if (!url) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Thiếu thông tin cần thiết (url)');
+    }
 
-        let subtitleFiles = [];
-        let videoTitle = await getVideoTitle(videoId);
+    const formats = parseSubtitleFormats(req.query.formats, DEFAULT_SUBTITLE_FORMATS);
 
-        // Lấy danh sách ngôn ngữ phụ đề từ @distube/ytdl-core
-        const { manual: manualLanguages, auto: autoLanguages } = await getAvailableSubtitleLanguages(url);
-        logger.info(`Available manual languages: ${manualLanguages.join(', ')}`);
-        logger.info(`Available auto languages: ${autoLanguages.join(', ')}`);
+    logger.info(`Download all subtitles ZIP request: URL: ${url}, formats: ${formats.join(',')}, IP: ${req.ip}`);
 
-        const allLanguages = [...new Set([...manualLanguages, ...autoLanguages])];
+    const { subtitles: subtitleFiles } = await downloadAllSubtitles(url, {
+        requester: getRequester(req),
+        formats,
+        normalizeAutoCaptions: parseNormalizeOption(req.query.normalizeAutoCaptions),
+        wordTiming: req.query.wordTiming === 'true'
+    });
+    if (subtitleFiles.length === 0) {
+        throw new AppError(ERROR_CODES.NO_SUBTITLES, 'Không thể tải phụ đề từ bất kỳ nguồn nào.');
+    }
 
-        if (allLanguages.length === 0) {
-            throw new Error('Video không có phụ đề nào khả dụng.');
+    await streamZipArchive(req, res, `subtitles_${subtitleFiles[0].videoId}.zip`, subtitleFiles.map(file => ({
+        filePath: file.filePath,
+        name: file.fileName,
+        manifest: {
+            videoId: file.videoId,
+            language: file.language,
+            isAuto: file.isAuto,
+            format: file.format
         }
+    })));
+}));
 
-        // Tải phụ đề từ tất cả ngôn ngữ
-        const downloadPromises = allLanguages.map(async (lang) => {
-            let subtitleContent = null;
-            let selectedLang = lang;
+// Endpoint chỉnh thời gian phụ đề (offset, kéo giãn theo hai mốc, đổi fps), trả về file phụ đề đã chỉnh
+app.post('/api/subtitles/retime', asyncHandler(handleRetimeSubtitle));
 
-            // Phương pháp 1: Sử dụng @distube/ytdl-core
-            try {
-                const info = await ytdl.getInfo(url, { timeout: 30000 });
-                const captions = info.player_response.captions;
-                if (!captions || !captions.playerCaptionsTracklistRenderer) {
-                    throw new Error('Video không có phụ đề nào');
-                }
+// Endpoint tải phụ đề (GET) - Thông báo lỗi
+app.get('/api/download-subtitle', (req, res, next) => {
+    res.set('Allow', 'POST');
+    next(new AppError(ERROR_CODES.METHOD_NOT_ALLOWED, 'Invalid method GET for /api/download-subtitle'));
+});
 
-                const captionTracks = captions.playerCaptionsTracklistRenderer.captionTracks || [];
-                const translationLanguages = captions.playerCaptionsTracklistRenderer.translationLanguages || [];
-                const caption = captionTracks.find(track => track.languageCode === lang);
-                const autoLang = translationLanguages.find(tLang => tLang.languageCode === lang);
-
-                if (caption) {
-                    const captionUrl = caption.baseUrl;
-                    const response = await fetchWithRetry(captionUrl, { responseType: 'text' }, 3, 2000);
-                    subtitleContent = response.data;
-                    selectedLang = lang;
-                } else if (autoLang && captionTracks[0]) {
-                    const autoCaptionUrl = `${captionTracks[0]?.baseUrl}&tlang=${lang}`;
-                    const response = await fetchWithRetry(autoCaptionUrl, { responseType: 'text' }, 3, 2000);
-                    subtitleContent = response.data;
-                    selectedLang = `${lang}.auto`;
-                } else {
-                    throw new Error(`Không tìm thấy phụ đề cho ngôn ngữ ${lang}.`);
-                }
+// Endpoint tải tất cả phụ đề (GET) - Thông báo lỗi
+app.get('/api/download-all-subtitles', (req, res, next) => {
+    res.set('Allow', 'POST');
+    next(new AppError(ERROR_CODES.METHOD_NOT_ALLOWED, 'Invalid method GET for /api/download-all-subtitles'));
+});
 
-                if (!subtitleContent || subtitleContent.trim() === '') {
-                    throw new Error(`Nội dung phụ đề rỗng từ @distube/ytdl-core cho ngôn ngữ ${lang}.`);
-                }
-            } catch (ytdlError) {
-                logger.error(`@distube/ytdl-core subtitle download failed for lang ${lang}: ${ytdlError.message}`);
-            }
+// Hàm đọc file trực tiếp trong một thư mục để gửi cho client (chặn đường dẫn ra ngoài thư mục)
+// File rỗng bị xóa và trả về FILE_INVALID
+async function statServedFile(dir, fileName) {
+    if (!fileName || path.basename(fileName) !== fileName) {
+        throw new AppError(ERROR_CODES.NOT_FOUND, `Tên file không hợp lệ: ${fileName}`);
+    }
+    const filePath = path.join(dir, fileName);
+    const stats = await fsPromises.stat(filePath).catch(() => null);
+    if (!stats || !stats.isFile()) {
+        throw new AppError(ERROR_CODES.NOT_FOUND, `File không tìm thấy: ${filePath}`);
+    }
+    if (stats.size === 0) {
+        await fsPromises.unlink(filePath).catch(() => {});
+        throw new AppError(ERROR_CODES.FILE_INVALID, `File rỗng: ${filePath}`);
+    }
+    return { filePath, stats };
+}
 
-            // Phương pháp 2: Sử dụng yt-dlp (dự phòng)
-            if (!subtitleContent) {
-                try {
-                    const tempDir = path.join(__dirname, 'temp');
-                    if (!await fsPromises.access(tempDir).then(() => true).catch(() => false)) {
-                        await fsPromises.mkdir(tempDir, { recursive: true });
-                    }
+// Hàm kiểm tra URL có chữ ký; HEAD không làm mất URL dùng một lần, lượt GET được ghi nhận khi gửi file (sendSignedFile)
+function verifyFileRequest(req, location) {
+    return verifySignedToken(req.params.token, location, { consume: false, deferred: req.method !== 'HEAD' });
+}
 
-                    const outputPath = path.join(tempDir, `${videoTitle}.${lang}.vtt`);
-                    if (manualLanguages.includes(lang)) {
-                        await ytDlp(url, {
-                            skipDownload: true,
-                            writeSub: true,
-                            subLang: lang,
-                            subFormat: 'vtt',
-                            output: outputPath
-                        });
-                    } else {
-                        await ytDlp(url, {
-                            skipDownload: true,
-                            writeAutoSub: true,
-                            subLang: lang,
-                            subFormat: 'vtt',
-                            output: outputPath
-                        });
-                        selectedLang = `${lang}.auto`;
-                    }
+// Hàm gửi file của URL có chữ ký: URL dùng một lần chỉ được tải tiếp bởi cùng client, với cùng bản file (ETag)
+function sendSignedFile(req, res, signed, file) {
+    return sendFile(req, res, {
+        ...file,
+        beforeSend: ({ etag, start }) => claimSingleUse(signed, { client: getRequester(req).client, etag, start })
+    });
+}
 
-                    if (await fsPromises.access(outputPath).then(() => true).catch(() => false)) {
-                        subtitleContent = await fsPromises.readFile(outputPath, 'utf8');
-                        await fsPromises.unlink(outputPath);
-                    } else {
-                        throw new Error(`Không tìm thấy file phụ đề sau khi tải từ yt-dlp cho ngôn ngữ ${lang}.`);
-                    }
-                } catch (ytdlpError) {
-                    logger.error(`yt-dlp subtitle download failed for lang ${lang}: ${ytdlpError.message}`);
-                }
-            }
+// Cung cấp file phụ đề qua URL có chữ ký
+app.get('/subtitles/:token/:file', asyncHandler(async (req, res) => {
+    const signed = verifyFileRequest(req, 'subtitles');
+    const { filePath, stats } = await statServedFile(SUBTITLE_DIR, signed.file);
+    logger.info(`Yêu cầu tải phụ đề: ${filePath}`);
+    await sendSignedFile(req, res, signed, { filePath, fileName: path.basename(req.params.file) || signed.file, stats });
+}));
 
-            // Phương pháp 3: Sử dụng youtube-caption-extractor (dự phòng)
-            if (!subtitleContent) {
-                try {
-                    let subtitles = await getYTSubtitles({ videoId, lang });
-                    if (!subtitles || subtitles.length === 0) {
-                        subtitles = await getYTSubtitles({ videoId, lang, tlang: lang });
-                        if (!subtitles || subtitles.length === 0) {
-                            throw new Error(`Danh sách phụ đề rỗng từ youtube-caption-extractor cho ngôn ngữ ${lang}.`);
-                        }
-                        selectedLang = `${lang}.auto`;
-                    }
-                    subtitleContent = arrayToVtt(subtitles);
-                } catch (ytError) {
-                    logger.error(`youtube-caption-extractor Error for lang ${lang}: ${ytError.message}`);
-                    return [];
-                }
-            }
+// Cung cấp file tải về qua URL có chữ ký: file trong cache media được tìm theo khóa,
+// tên trong URL chỉ là tên hiển thị khi lưu
+app.get('/downloads/:token/:file', asyncHandler(async (req, res) => {
+    const signed = verifyFileRequest(req, 'downloads');
+    const { cacheKey, file } = signed;
+    const fileName = path.basename(req.params.file);
 
-            if (!subtitleContent || subtitleContent.trim() === '') return [];
+    if (!cacheKey) {
+        // File tải về lưu theo tên cũ, trước khi có cache media
+        const { filePath, stats } = await statServedFile(DOWNLOAD_DIR, file);
+        logger.info(`Yêu cầu tải file: ${filePath}`);
+        return sendSignedFile(req, res, signed, { filePath, fileName: fileName || file, stats });
+    }
 
-            const formats = ['srt', 'vtt', 'txt'];
-            const formatPromises = formats.map(async (format) => {
-                let content = subtitleContent;
-                if (format === 'txt') {
-                    content = extractTextFromVtt(content);
-                } else if (format === 'srt') {
-                    content = convertVttToSrt(content);
-                }
-                if (!content || content.trim() === '') return null;
+    const entry = await getCacheEntry(cacheKey);
+    if (!entry) {
+        throw new AppError(ERROR_CODES.NOT_FOUND, `File không tìm thấy trong cache: ${cacheKey}`);
+    }
+    const stats = await fsPromises.stat(entry.filePath);
+    logger.info(`Yêu cầu tải file cache: ${entry.filePath} (${fileName})`);
+    await touchCacheEntry(entry.key);
+    await sendSignedFile(req, res, signed, { filePath: entry.filePath, fileName: fileName || entry.fileName, stats });
+}));
 
-                const fileName = `${videoTitle}_${selectedLang}.${format}`;
-                const filePath = path.join(subtitlesDir, fileName);
-                await fsPromises.writeFile(filePath, content);
-                return { language: selectedLang, format, downloadUrl: `/subtitles/${encodeURIComponent(fileName)}` };
-            });
+// Middleware cho endpoint thư viện, cache và provider: cần API key hợp lệ hoặc token quản trị
+function requireApiKeyOrAdmin(req, res, next) {
+    if (!req.apiKey && !isAdminRequest(req)) {
+        logger.warn(`Request without API key or admin token rejected: ${req.method} ${req.originalUrl}, IP: ${req.ip}`);
+        return next(new AppError(ERROR_CODES.UNAUTHORIZED, 'API key or admin token required'));
+    }
+    next();
+}
 
-            return (await Promise.all(formatPromises)).filter(item => item !== null);
-        });
+// Endpoint liệt kê file đã tải (video, âm thanh, phụ đề) với lọc, sắp xếp và phân trang;
+// mỗi file kèm URL có chữ ký nên chỉ dành cho API key hoặc quản trị
+app.get('/api/downloads', requireApiKeyOrAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, ...await listLibrary(req.query) });
+}));
 
-        const results = await Promise.all(downloadPromises);
-        subtitleFiles = results.flat();
+// Endpoint xóa một file trong thư viện (location: downloads hoặc subtitles); file đang dùng trả về FILE_IN_USE
+app.delete('/api/downloads/:location/:file', requireApiKeyOrAdmin, asyncHandler(async (req, res) => {
+    const result = await deleteLibraryEntry(req.params.location, req.params.file);
+    res.json({ success: true, ...result });
+}));
 
-        if (subtitleFiles.length === 0) {
-            throw new Error('Không thể tải phụ đề từ bất kỳ nguồn nào. Video có thể không có phụ đề hoặc không hỗ trợ ngôn ngữ yêu cầu.');
-        }
+// Endpoint thống kê cache media (hit/miss, số file, tổng dung lượng); chỉ cho API key hoặc quản trị
+app.get('/api/cache', requireApiKeyOrAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, ...await getCacheStats() });
+}));
 
-        res.status(200).json({ success: true, subtitles: subtitleFiles });
-    } catch (error) {
-        logger.error(`Download All Subtitles Error: ${error.message}`);
-        return res.status(500).json({ error: error.message || 'Lỗi server khi tải phụ đề. Vui lòng thử lại sau!' });
+// Endpoint xem hạn mức và mức sử dụng của API key đang gửi request
+app.get('/api/usage', asyncHandler(async (req, res) => {
+    if (!req.apiKey) {
+        throw new AppError(ERROR_CODES.UNAUTHORIZED, 'API key required for /api/usage');
     }
-});
-
-// Endpoint tải phụ đề (GET) - Thông báo lỗi
-app.get('/api/download-subtitle', (req, res) => {
-    logger.warn(`Invalid method GET for /api/download-subtitle from IP: ${req.ip}`);
-    res.status(405).json({ error: 'Phương thức không được hỗ trợ. Vui lòng sử dụng POST để gửi yêu cầu tới /api/download-subtitle với body chứa url, platform, targetLanguage (tùy chọn), và formatPreference (tùy chọn "srt", "vtt", "txt").' });
-});
+    res.json({ success: true, ...await getKeyUsage(req.apiKey) });
+}));
 
-// Endpoint tải tất cả phụ đề (GET) - Thông báo lỗi
-app.get('/api/download-all-subtitles', (req, res) => {
-    logger.warn(`Invalid method GET for /api/download-all-subtitles from IP: ${req.ip}`);
-    res.status(405).json({ error: 'Phương thức không được hỗ trợ. Vui lòng sử dụng POST để gửi yêu cầu tới /api/download-all-subtitles với body chứa url.' });
+// Endpoint quản trị: danh sách API key (không kèm key gốc)
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+    res.json({ success: true, keys: listApiKeys() });
 });
 
-// Cung cấp file phụ đề
-app.get('/subtitles/:file', async (req, res) => {
-    const fileName = decodeURIComponent(req.params.file);
-    const filePath = path.join(__dirname, 'subtitles', fileName);
-    logger.info(`Yêu cầu tải phụ đề: ${filePath}`);
-    try {
-        await fsPromises.access(filePath);
-        const stats = await fsPromises.stat(filePath);
-        if (stats.size === 0) {
-            logger.error(`File phụ đề rỗng: ${filePath}`);
-            await fsPromises.unlink(filePath);
-            if (!res.headersSent) {
-                return res.status(500).json({ error: 'File phụ đề rỗng. Vui lòng thử lại.' });
-            }
-        }
-
-        // Thiết lập headers cho download phụ đề
-        res.set({
-            'Content-Type': 'text/plain',
-            'Content-Disposition': `attachment; filename="${encodeURIComponent(fileName)}"`,
-            'Content-Length': stats.size,
-            'Cache-Control': 'no-cache',
-            'Connection': 'keep-alive'
-        });
-
-        // Tạo read stream với error handling
-        const fileStream = fs.createReadStream(filePath);
-        
-        fileStream.on('error', (error) => {
-            logger.error(`Lỗi đọc file phụ đề ${fileName}: ${error.message}`);
-            if (!res.headersSent) {
-                res.status(500).json({ error: 'Lỗi tải phụ đề' });
-            }
-        });
-
-        // Xử lý khi client ngắt kết nối
-        req.on('close', () => {
-            fileStream.destroy();
-            logger.info(`Client ngắt kết nối khi tải phụ đề ${fileName}`);
-        });
+// Endpoint quản trị: tạo API key mới { name, requestsPerMinute, bytesPerDay, concurrentJobs }; key gốc chỉ trả về một lần
+app.post('/api/admin/keys', requireAdmin, asyncHandler(async (req, res) => {
+    res.status(201).json({ success: true, ...await issueApiKey(req.body) });
+}));
 
-        // Pipe file stream tới response
-        fileStream.pipe(res);
+// Endpoint quản trị: thu hồi API key
+app.delete('/api/admin/keys/:id', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, ...await revokeApiKey(req.params.id) });
+}));
 
-    } catch (error) {
-        logger.error(`File phụ đề không tìm thấy: ${filePath}`);
-        if (!res.headersSent) {
-            res.status(404).json({ error: 'File không tìm thấy' });
-        }
-    }
+// Endpoint quản trị: cấu hình chính sách lưu giữ, file đang được giữ và các file đã xóa ở những lần chạy gần nhất
+app.get('/api/admin/retention', requireAdmin, (req, res) => {
+    res.json({ success: true, ...getRetentionStatus() });
 });
 
-// Cung cấp file tải về (video/âm thanh)
-app.get('/downloads/:file', async (req, res) => {
-    try {
-        const fileName = decodeURIComponent(req.params.file);
-        const filePath = path.join(__dirname, 'downloads', fileName);
-        logger.info(`Yêu cầu tải file: ${filePath}`);
-
-        await fsPromises.access(filePath);
-        const stats = await fsPromises.stat(filePath);
-        if (stats.size === 0) {
-            logger.error(`File tải về rỗng: ${filePath}`);
-            await fsPromises.unlink(filePath);
-            if (!res.headersSent) {
-                return res.status(500).json({ error: 'Lỗi tải file' });
-            }
-        }
-
-        // Thiết lập headers cho download
-        res.set({
-            'Content-Type': 'application/octet-stream',
-            'Content-Disposition': `attachment; filename="${encodeURIComponent(fileName)}"`,
-            'Content-Length': stats.size,
-            'Cache-Control': 'no-cache',
-            'Connection': 'keep-alive'
-        });
-
-        // Tạo read stream với error handling
-        const fileStream = fs.createReadStream(filePath);
-        
-        fileStream.on('error', (error) => {
-            logger.error(`Lỗi đọc file ${fileName}: ${error.message}`);
-            if (!res.headersSent) {
-                res.status(500).json({ error: 'Lỗi tải file' });
-            }
-        });
-
-        // Xử lý khi client ngắt kết nối
-        req.on('close', () => {
-            fileStream.destroy();
-            logger.info(`Client ngắt kết nối khi tải file ${fileName}`);
-        });
-
-        // Pipe file stream tới response
-        fileStream.pipe(res);
+// Endpoint quản trị: chạy chính sách lưu giữ ngay và trả về các file đã xóa
+app.post('/api/admin/retention/run', requireAdmin, asyncHandler(async (req, res) => {
+    res.json({ success: true, ...await runRetention('manual') });
+}));
 
-    } catch (error) {
-        logger.error(`File không tìm thấy: ${error.message}`);
-        if (!res.headersSent) {
-            res.status(404).json({ error: 'File không tìm thấy' });
-        }
-    }
+// Endpoint xem thứ tự và thống kê thành công/thất bại của các provider; chỉ cho API key hoặc quản trị
+app.get('/api/providers', requireApiKeyOrAdmin, (req, res) => {
+    res.json({ providers: getProviderStats() });
 });
 
 // Thêm route xử lý hủy tải xuống
-app.post('/api/cancel-download/:downloadId', (req, res) => {
+// Chỉ người tạo job/lô dừng được tải xuống; người dùng chung job chỉ rời khỏi job
+app.post('/api/cancel-download/:downloadId', (req, res, next) => {
     const { downloadId } = req.params;
     try {
-        removeDownloadProgress(downloadId);
+        const job = getJob(downloadId);
+        const requester = getRequester(req);
+        if (job) {
+            // Dừng yt-dlp/ytdl-core/FFmpeg đang chạy; trạng thái cancelled được gửi qua SSE
+            if (cancelDownloadJob(job, requester) === 'detached') {
+                return res.json({ success: true, detached: true, message: 'Đã rời khỏi tải xuống dùng chung' });
+            }
+        } else if (!cancelPlaylistBatch(downloadId, requester)) {
+            cancelProgress(downloadId);
+        }
         logger.info(`Đã hủy tải xuống với ID: ${downloadId}`);
         res.json({ success: true, message: 'Đã hủy tải xuống' });
     } catch (error) {
-        logger.error(`Lỗi khi hủy tải xuống: ${error.message}`);
-        res.status(500).json({ success: false, error: 'Không thể hủy tải xuống' });
+        next(error);
     }
 });
 
-app.listen(port, () => {
-    logger.info(`Server running on port ${port}, OS: ${os.platform()}, Node.js version: ${process.version}`);
-});
\ No newline at end of file
+// Endpoint API không tồn tại
+app.use('/api', (req, res, next) => {
+    next(new AppError(ERROR_CODES.NOT_FOUND, `Endpoint không tồn tại: ${req.method} ${req.originalUrl}`));
+});
+
+// Middleware xử lý lỗi tập trung: ánh xạ mã lỗi sang HTTP status và thông báo theo Accept-Language
+app.use(errorHandler);
+
+// Chỉ lắng nghe cổng khi chạy trực tiếp; khi được require (ví dụ trong test) thì chỉ xuất app
+if (require.main === module) {
+    app.listen(port, () => {
+        logger.info(`Server running on port ${port}, OS: ${os.platform()}, Node.js version: ${process.version}`);
+    });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -7,13 +7,12 @@ const os = require('os');
 const requiredDependencies = {
     dependencies: [
         '@distube/ytdl-core',
+        'archiver',
         'axios',
         'dotenv',
         'express',
-        'express-rate-limit',
         'fluent-ffmpeg',
         'jsdom',
-        'rate-limiter-flexible',
         'uuid',
         'winston',
         'yt-dlp-exec',
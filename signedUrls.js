@@ -0,0 +1,146 @@
+// signedUrls.js
+// URL tải file có chữ ký HMAC và thời hạn: /<location>/<token>/<tên hiển thị>
+// token = base64url(JSON nội dung) + '.' + base64url(HMAC-SHA256), nội dung gồm thư mục (l),
+// khóa cache media (k) hoặc tên file (f), thời điểm hết hạn tính bằng giây (e) và mã dùng một lần (n).
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = fs.promises;
+const path = require('path');
+const { logger } = require('./utils');
+const { ERROR_CODES, AppError } = require('./errors');
+const { DOWNLOAD_URL_SECRET, DOWNLOAD_URL_TTL, SINGLE_USE_RESUME_WINDOW, USED_NONCE_STORE_PATH } = require('./config');
+
+// Không cấu hình secret thì tạo ngẫu nhiên: URL đã cấp hết hiệu lực khi server khởi động lại
+const secret = DOWNLOAD_URL_SECRET || crypto.randomBytes(32).toString('hex');
+if (!DOWNLOAD_URL_SECRET) {
+    logger.warn('DOWNLOAD_URL_SECRET chưa được cấu hình, URL tải file sẽ mất hiệu lực khi khởi động lại server');
+}
+
+// Mã của các URL dùng một lần đã được dùng: nonce -> { expiresAt, resumeUntil (ms), client, etag, bytesSent },
+// lưu ở USED_NONCE_STORE_PATH để URL đã dùng không dùng lại được sau khi khởi động lại
+let usedNonces = null;
+let writeChain = Promise.resolve();
+
+// Hàm đọc các mã đã dùng từ đĩa (chỉ đọc một lần)
+function getUsedNonces() {
+    if (usedNonces) return usedNonces;
+
+    usedNonces = new Map();
+    try {
+        if (fs.existsSync(USED_NONCE_STORE_PATH)) {
+            usedNonces = new Map(Object.entries(JSON.parse(fs.readFileSync(USED_NONCE_STORE_PATH, 'utf8'))));
+        }
+    } catch (error) {
+        logger.warn(`Bỏ qua store mã dùng một lần không hợp lệ: ${error.message}`);
+    }
+    return usedNonces;
+}
+
+// Hàm ghi các mã đã dùng xuống đĩa (các lần ghi được xếp hàng tuần tự)
+function saveUsedNonces() {
+    const content = JSON.stringify(Object.fromEntries(getUsedNonces()));
+    writeChain = writeChain
+        .then(() => fsPromises.mkdir(path.dirname(USED_NONCE_STORE_PATH), { recursive: true }))
+        .then(() => fsPromises.writeFile(USED_NONCE_STORE_PATH, content))
+        .catch(error => logger.error(`Error writing used nonce store: ${error.message}`));
+    return writeChain;
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Hàm tạo URL có chữ ký cho file trong cache media (cacheKey) hoặc file trong thư mục (file)
+function createSignedUrl({ location, cacheKey = null, file = null, fileName, singleUse = false, ttl = DOWNLOAD_URL_TTL }) {
+    const payload = { l: location, e: Math.floor((Date.now() + ttl) / 1000) };
+    if (cacheKey) payload.k = cacheKey;
+    if (file) payload.f = file;
+    if (singleUse) payload.n = crypto.randomBytes(12).toString('base64url');
+
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `/${location}/${data}.${sign(data)}/${encodeURIComponent(fileName)}`;
+}
+
+// Hàm xóa các mã dùng một lần đã hết hạn
+function sweepUsedNonces() {
+    const now = Date.now();
+    for (const [nonce, { expiresAt }] of getUsedNonces()) {
+        if (expiresAt <= now) usedNonces.delete(nonce);
+    }
+}
+
+// Hàm kiểm tra token của URL; consume = true đánh dấu URL dùng một lần là đã dùng (không được tải tiếp)
+// deferred = true: bỏ qua mã dùng một lần, người gọi ghi nhận lượt dùng bằng claimSingleUse khi đã biết file gửi đi
+// Trả về { location, cacheKey, file, expiresAt, singleUse, nonce }
+function verifySignedToken(token, location, { consume = true, deferred = false } = {}) {
+    const [data, signature] = String(token).split('.');
+    const expected = data ? sign(data) : '';
+    if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new AppError(ERROR_CODES.LINK_INVALID, `Chữ ký URL không hợp lệ: ${token}`);
+    }
+
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    if (payload.l !== location) {
+        throw new AppError(ERROR_CODES.LINK_INVALID, `URL không dành cho ${location}`);
+    }
+    const expiresAt = payload.e * 1000;
+    if (expiresAt <= Date.now()) {
+        throw new AppError(ERROR_CODES.LINK_EXPIRED, `URL đã hết hạn lúc ${new Date(expiresAt).toISOString()}`);
+    }
+
+    if (payload.n && !deferred) {
+        sweepUsedNonces();
+        if (usedNonces.has(payload.n)) {
+            throw new AppError(ERROR_CODES.LINK_EXPIRED, 'URL dùng một lần đã được sử dụng');
+        }
+        if (consume) {
+            usedNonces.set(payload.n, { expiresAt, resumeUntil: 0, client: null, etag: null, bytesSent: 0 });
+            saveUsedNonces();
+        }
+    }
+
+    return {
+        location: payload.l,
+        cacheKey: payload.k || null,
+        file: payload.f || null,
+        expiresAt,
+        singleUse: Boolean(payload.n),
+        nonce: payload.n || null
+    };
+}
+
+// Hàm ghi nhận lượt tải file qua URL dùng một lần (token đã kiểm tra với deferred = true)
+// Lần đầu: mã được đánh dấu đã dùng kèm client và ETag của file. Các lần sau chỉ nhận request tải tiếp
+// của cùng client, cùng ETag, trong SINGLE_USE_RESUME_WINDOW, với Range bắt đầu sau byte 0 và không trước
+// phần đã gửi. Trả về hàm ghi nhận vị trí đã gửi tới (byte) khi kết thúc
+function claimSingleUse({ nonce, expiresAt }, { client, etag, start = null }) {
+    if (!nonce) return () => {};
+
+    sweepUsedNonces();
+    const used = usedNonces.get(nonce);
+    if (used) {
+        const canResume = Date.now() <= used.resumeUntil && used.client === client && used.etag === etag &&
+            start !== null && start > 0 && start >= used.bytesSent;
+        if (!canResume) {
+            throw new AppError(ERROR_CODES.LINK_EXPIRED, 'URL dùng một lần đã được sử dụng');
+        }
+    } else {
+        usedNonces.set(nonce, { expiresAt, resumeUntil: Date.now() + SINGLE_USE_RESUME_WINDOW, client, etag, bytesSent: 0 });
+        saveUsedNonces();
+    }
+
+    return (sentUntil) => {
+        const record = usedNonces.get(nonce);
+        if (record && sentUntil > record.bytesSent) {
+            record.bytesSent = sentUntil;
+            saveUsedNonces();
+        }
+    };
+}
+
+module.exports = {
+    createSignedUrl,
+    verifySignedToken,
+    claimSingleUse
+};
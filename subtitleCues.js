@@ -0,0 +1,396 @@
+// subtitleCues.js
+// Xuất danh sách cue của subtitleParser.js ({ id, start, end, text, settings, voice }, cue song ngữ có thêm secondaryText)
+// sang mọi định dạng đầu ra: VTT, SRT, TXT, ASS/SSA, TTML/DFXP, SBV, LRC, JSON, XML srv1 và json3 của YouTube.
+const { logger, msToTime, msToTimeSrt, pad } = require('./utils');
+const { parseSubtitle } = require('./subtitleParser');
+const { ERROR_CODES, AppError } = require('./errors');
+const { BILINGUAL_MAX_GAP } = require('./config');
+
+// Hàm tính thời gian giao nhau của hai cue (ms)
+function getOverlap(a, b) {
+    return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+}
+
+// Hàm tìm cue chính cho một cue phụ: giao nhau lâu nhất, nếu không giao thì cue gần nhất trong BILINGUAL_MAX_GAP
+function findPrimaryIndex(primaryCues, cue) {
+    let bestIndex = -1;
+    let bestOverlap = 0;
+    let bestGap = BILINGUAL_MAX_GAP;
+    primaryCues.forEach((primary, index) => {
+        const overlap = getOverlap(primary, cue);
+        if (overlap > bestOverlap) {
+            bestIndex = index;
+            bestOverlap = overlap;
+        } else if (bestOverlap === 0 && overlap === 0) {
+            const gap = Math.max(primary.start - cue.end, cue.start - primary.end);
+            if (gap <= bestGap) {
+                bestIndex = index;
+                bestGap = gap;
+            }
+        }
+    });
+    return bestIndex;
+}
+
+// Hàm ghép hai track thành track song ngữ theo mốc thời gian của track chính.
+// Mỗi cue phụ được gắn vào đúng một cue chính (giao nhau lâu nhất), nên khi ranh giới cue của hai track khác nhau
+// một cue chính có thể mang nhiều dòng phụ; cue phụ không khớp cue chính nào được giữ lại như cue chỉ có dòng phụ.
+function mergeBilingualCues(primaryCues, secondaryCues) {
+    const merged = primaryCues.map(cue => ({ ...cue, secondaryText: [] }));
+    const orphans = [];
+
+    for (const cue of secondaryCues) {
+        const index = findPrimaryIndex(primaryCues, cue);
+        if (index === -1) {
+            orphans.push({ id: null, start: cue.start, end: cue.end, text: '', settings: {}, voice: null, secondaryText: [cue.text] });
+        } else {
+            merged[index].secondaryText.push(cue.text);
+        }
+    }
+
+    return [...merged, ...orphans]
+        .map(cue => ({ ...cue, secondaryText: cue.secondaryText.join(' ').replace(/\s*\n\s*/g, ' ') }))
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+// Hàm nhóm các từ có mốc thời gian của cue theo dòng
+function getWordLines(cue) {
+    const lines = [];
+    for (const word of cue.words) {
+        (lines[word.line] = lines[word.line] || []).push(word);
+    }
+    return lines.filter(Boolean);
+}
+
+// Hàm lấy các dòng của cue (dòng chính trước, dòng phụ của cue song ngữ sau); escape thoát ký tự đặc biệt,
+// formatWords (nếu có) tạo dòng chính từ các từ có mốc thời gian khi cue giữ mốc thời gian từng từ
+function getCueLines(cue, { escape = text => text, formatWords = null } = {}) {
+    const primary = formatWords && cue.words?.length > 0 ? getWordLines(cue).map(formatWords) : [escape(cue.text)];
+    return [...primary, cue.secondaryText && escape(cue.secondaryText)].filter(Boolean);
+}
+
+// Hàm thoát ký tự đặc biệt trong văn bản cue của VTT
+function escapeVttText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Hàm tạo dòng VTT karaoke: mỗi từ (trừ từ bắt đầu cùng cue) có mốc thời gian <00:00:01.234> đứng trước
+function formatVttWords(cue, words) {
+    return words
+        .map(word => `${word.start > cue.start ? `<${msToTime(word.start)}>` : ''}${escapeVttText(word.text)}`)
+        .join(' ');
+}
+
+// Hàm xuất cue sang VTT (giữ định danh, cài đặt cue, người nói và mốc thời gian từng từ nếu có)
+function cuesToVtt(cues) {
+    const body = cues
+        .map(cue => {
+            const settings = Object.entries(cue.settings || {}).map(([key, value]) => ` ${key}:${value}`).join('');
+            const lines = getCueLines(cue, { escape: escapeVttText, formatWords: words => formatVttWords(cue, words) });
+            if (cue.voice && lines.length > 0) lines[0] = `<v ${escapeVttText(cue.voice)}>${lines[0]}`;
+            const timing = `${msToTime(cue.start)} --> ${msToTime(cue.end)}${settings}`;
+            // Định danh không được chứa '-->' và không được có dòng trống trong văn bản cue
+            const id = cue.id && !cue.id.includes('-->') ? `${cue.id}\n` : '';
+            return `${id}${timing}\n${lines.join('\n').replace(/\n{2,}/g, '\n')}`;
+        })
+        .join('\n\n');
+    return `WEBVTT\n\n${body}\n`;
+}
+
+// Hàm xuất cue sang SRT
+function cuesToSrt(cues) {
+    return cues
+        .map((cue, index) => `${index + 1}\n${msToTimeSrt(cue.start)} --> ${msToTimeSrt(cue.end)}\n${getCueLines(cue).join('\n').replace(/\n{2,}/g, '\n')}`)
+        .join('\n\n') + '\n';
+}
+
+// Hàm xuất cue sang TXT (chỉ văn bản, mỗi cue cách nhau một dòng trống)
+function cuesToTxt(cues) {
+    return cues.map(cue => getCueLines(cue).join('\n')).join('\n\n') + '\n';
+}
+
+// Hàm chuyển mili giây sang thời gian ASS/SSA (H:MM:SS.cc)
+function msToAssTime(ms) {
+    const centiseconds = Math.round(ms / 10);
+    const hours = Math.floor(centiseconds / 360000);
+    const minutes = Math.floor((centiseconds % 360000) / 6000);
+    const seconds = Math.floor((centiseconds % 6000) / 100);
+    return `${hours}:${pad(minutes)}:${pad(seconds)}.${pad(centiseconds % 100)}`;
+}
+
+// Hàm thoát văn bản cho dòng Dialogue của ASS/SSA (xuống dòng -> \N, ngoặc nhọn là ký tự điều khiển)
+function escapeAssText(text) {
+    return text.replace(/[{}]/g, '').replace(/\n/g, '\\N');
+}
+
+// Hàm lấy tên người nói cho trường Name của Dialogue (dấu phẩy là ký tự phân cách trường)
+function getAssName(cue) {
+    return (cue.voice || '').replace(/,/g, ' ');
+}
+
+// Hàm tạo dòng chính karaoke: mỗi từ có thẻ {\k<centi giây>}, khoảng lặng trước từ là một thẻ \k không có chữ
+function formatAssWords(cue) {
+    let cursor = cue.start;
+    return getWordLines(cue)
+        .map(words => words.map((word) => {
+            const gap = word.start > cursor ? `{\\k${Math.round((word.start - cursor) / 10)}}` : '';
+            cursor = Math.max(cursor, word.end);
+            return `${gap}{\\k${Math.round((word.end - word.start) / 10)}}${escapeAssText(word.text)}`;
+        }).join(' '))
+        .join('\\N');
+}
+
+// Hàm tạo phần Text của Dialogue: dòng phụ chuyển sang style Secondary bằng thẻ {\rSecondary}
+function getAssDialogueText(cue) {
+    const lines = [];
+    if (cue.words?.length > 0) lines.push(formatAssWords(cue));
+    else if (cue.text) lines.push(escapeAssText(cue.text));
+    if (cue.secondaryText) lines.push(`{\\rSecondary}${escapeAssText(cue.secondaryText)}`);
+    return lines.join('\\N');
+}
+
+// Hàm xuất cue sang ASS (v4.00+): dòng chính dùng style Default, dòng phụ dùng style Secondary (nhỏ hơn, màu vàng, nghiêng)
+function cuesToAss(cues, { title = '' } = {}) {
+    const lines = [
+        '[Script Info]',
+        `Title: ${title.replace(/\n/g, ' ')}`,
+        'ScriptType: v4.00+',
+        'WrapStyle: 0',
+        'ScaledBorderAndShadow: yes',
+        'PlayResX: 1920',
+        'PlayResY: 1080',
+        '',
+        '[V4+ Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+        'Style: Default,Arial,64,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,3,1,2,60,60,50,1',
+        'Style: Secondary,Arial,52,&H0000FFFF,&H000000FF,&H00000000,&H80000000,0,-1,0,0,100,100,0,0,1,3,1,2,60,60,50,1',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        ...cues.map(cue => `Dialogue: 0,${msToAssTime(cue.start)},${msToAssTime(cue.end)},Default,${getAssName(cue)},0,0,0,,${getAssDialogueText(cue)}`)
+    ];
+    return `${lines.join('\n')}\n`;
+}
+
+// Hàm xuất cue sang SSA (v4.00, màu dạng số BGR thập phân) với cùng hai style như ASS
+function cuesToSsa(cues, { title = '' } = {}) {
+    const lines = [
+        '[Script Info]',
+        `Title: ${title.replace(/\n/g, ' ')}`,
+        'ScriptType: v4.00',
+        'PlayResX: 1920',
+        'PlayResY: 1080',
+        '',
+        '[V4 Styles]',
+        'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, TertiaryColour, BackColour, Bold, Italic, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, AlphaLevel, Encoding',
+        'Style: Default,Arial,64,16777215,255,0,0,0,0,1,3,1,2,60,60,50,0,1',
+        'Style: Secondary,Arial,52,65535,255,0,0,0,-1,1,3,1,2,60,60,50,0,1',
+        '',
+        '[Events]',
+        'Format: Marked, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        ...cues.map(cue => `Dialogue: Marked=0,${msToAssTime(cue.start)},${msToAssTime(cue.end)},Default,${getAssName(cue)},0000,0000,0000,,${getAssDialogueText(cue)}`)
+    ];
+    return `${lines.join('\n')}\n`;
+}
+
+// Hàm thoát ký tự đặc biệt của XML
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Namespace của TTML (W3C) và DFXP (bản nháp TTAF cũ mà nhiều công cụ broadcast vẫn dùng)
+const TTML_NAMESPACES = {
+    ttml: 'http://www.w3.org/ns/ttml',
+    dfxp: 'http://www.w3.org/2006/10/ttaf1'
+};
+
+// Hàm xuất cue sang TTML/DFXP
+function cuesToTtml(cues, { language = 'en', namespace = TTML_NAMESPACES.ttml } = {}) {
+    const paragraphs = cues.map(cue =>
+        `      <p begin="${msToTime(cue.start)}" end="${msToTime(cue.end)}">${getCueLines(cue).map(escapeXml).join('<br/>').replace(/\n/g, '<br/>')}</p>`);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<tt xmlns="${namespace}" xml:lang="${escapeXml(language)}">`,
+        '  <body>',
+        '    <div>',
+        ...paragraphs,
+        '    </div>',
+        '  </body>',
+        '</tt>',
+        ''
+    ].join('\n');
+}
+
+// Hàm chuyển mili giây sang thời gian SBV (H:MM:SS.mmm, giờ không thêm số 0)
+function msToSbvTime(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    return `${Math.floor(totalSeconds / 3600)}:${pad(Math.floor((totalSeconds % 3600) / 60))}:${pad(totalSeconds % 60)}.${pad(ms % 1000, 3)}`;
+}
+
+// Hàm xuất cue sang SBV (định dạng phụ đề tải lên YouTube); dòng trống là phân cách cue nên bị bỏ khỏi văn bản
+function cuesToSbv(cues) {
+    return cues
+        .map(cue => `${msToSbvTime(cue.start)},${msToSbvTime(cue.end)}\n${getCueLines(cue).join('\n').replace(/\n{2,}/g, '\n')}`)
+        .join('\n\n') + '\n';
+}
+
+// Hàm chuyển mili giây sang thời gian LRC (mm:ss.xx)
+function msToLrcTime(ms) {
+    const centiseconds = Math.round(ms / 10);
+    return `${pad(Math.floor(centiseconds / 6000))}:${pad(Math.floor((centiseconds % 6000) / 100))}.${pad(centiseconds % 100)}`;
+}
+
+// Hàm xuất cue sang LRC: mỗi cue một dòng; thêm dòng trống tại thời điểm kết thúc nếu cue sau không nối tiếp ngay.
+// Cue có mốc thời gian từng từ được xuất theo LRC mở rộng (<mm:ss.xx> trước mỗi từ)
+function cuesToLrc(cues, { title = '', language = '' } = {}) {
+    const lines = [];
+    if (title) lines.push(`[ti:${title.replace(/\n/g, ' ')}]`);
+    if (language) lines.push(`[la:${language}]`);
+    const formatWords = words => words.map(word => `<${msToLrcTime(word.start)}>${word.text}`).join(' ');
+    cues.forEach((cue, index) => {
+        lines.push(`[${msToLrcTime(cue.start)}]${getCueLines(cue, { formatWords }).join(' / ').replace(/\s*\n\s*/g, ' ')}`);
+        const next = cues[index + 1];
+        if (!next || next.start > cue.end) {
+            lines.push(`[${msToLrcTime(cue.end)}]`);
+        }
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+// Hàm xuất cue sang JSON: mảng { index, start, end, text } (mili giây); id, voice, settings, secondaryText (cue song ngữ)
+// và words (danh sách { text, start, end } của từng từ) chỉ có khi cue có giá trị tương ứng
+function cuesToJson(cues) {
+    return JSON.stringify(cues.map((cue, index) => ({
+        index,
+        start: cue.start,
+        end: cue.end,
+        text: cue.text,
+        ...(cue.id ? { id: cue.id } : {}),
+        ...(cue.voice ? { voice: cue.voice } : {}),
+        ...(cue.settings && Object.keys(cue.settings).length > 0 ? { settings: cue.settings } : {}),
+        ...(cue.secondaryText ? { secondaryText: cue.secondaryText } : {}),
+        ...(cue.words?.length > 0 ? { words: cue.words.map(({ text, start, end }) => ({ text, start, end })) } : {})
+    })), null, 2);
+}
+
+// Hàm xuất cue sang XML srv1 của YouTube (<text start="giây" dur="giây">)
+function cuesToXml(cues) {
+    const elements = cues.map(cue =>
+        `<text start="${cue.start / 1000}" dur="${(cue.end - cue.start) / 1000}">${escapeXml(getCueLines(cue).join('\n'))}</text>`);
+    return `<?xml version="1.0" encoding="utf-8" ?><transcript>${elements.join('')}</transcript>\n`;
+}
+
+// Hàm tạo segs json3 từ các từ có mốc thời gian (tOffsetMs tính từ đầu cue; từ đầu tiên bắt đầu cùng cue không có tOffsetMs)
+function getJson3WordSegs(cue) {
+    return cue.words.map((word, index) => {
+        if (index === 0) {
+            return word.start > cue.start ? { utf8: word.text, tOffsetMs: word.start - cue.start } : { utf8: word.text };
+        }
+        const separator = word.line === cue.words[index - 1].line ? ' ' : '\n';
+        return { utf8: `${separator}${word.text}`, tOffsetMs: word.start - cue.start };
+    });
+}
+
+// Hàm xuất cue sang json3 của YouTube (events/segs; mỗi từ một seg nếu cue có mốc thời gian từng từ)
+function cuesToJson3(cues) {
+    return JSON.stringify({
+        events: cues.map(cue => ({
+            tStartMs: cue.start,
+            dDurationMs: cue.end - cue.start,
+            segs: cue.words?.length > 0 && !cue.secondaryText
+                ? getJson3WordSegs(cue)
+                : [{ utf8: getCueLines(cue).join('\n') }]
+        }))
+    });
+}
+
+// Định dạng phụ đề xuất được: tên -> hàm xuất (cues, { title, language })
+const SUBTITLE_SERIALIZERS = {
+    vtt: cuesToVtt,
+    srt: cuesToSrt,
+    txt: cuesToTxt,
+    ass: cuesToAss,
+    ssa: cuesToSsa,
+    ttml: (cues, options) => cuesToTtml(cues, { ...options, namespace: TTML_NAMESPACES.ttml }),
+    dfxp: (cues, options) => cuesToTtml(cues, { ...options, namespace: TTML_NAMESPACES.dfxp }),
+    sbv: cuesToSbv,
+    lrc: cuesToLrc,
+    json: cuesToJson,
+    xml: cuesToXml,
+    json3: cuesToJson3
+};
+const SUBTITLE_FORMATS = Object.keys(SUBTITLE_SERIALIZERS);
+
+// Định dạng giữ được dòng thứ hai của phụ đề song ngữ (ASS/SSA có style riêng cho dòng phụ)
+const BILINGUAL_FORMATS = ['vtt', 'srt', 'ass', 'ssa'];
+
+// Định dạng xuất được mốc thời gian từng từ: VTT karaoke, LRC mở rộng, thẻ \k của ASS, danh sách từ trong JSON và json3
+const WORD_TIMING_FORMATS = ['vtt', 'lrc', 'ass', 'json', 'json3'];
+
+// Hàm kiểm tra và chuẩn hóa một định dạng phụ đề; ném INVALID_REQUEST nếu không hỗ trợ
+function parseSubtitleFormat(value) {
+    const format = String(value || '').trim().toLowerCase();
+    if (!SUBTITLE_SERIALIZERS[format]) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST,
+            `Định dạng phụ đề không được hỗ trợ: ${value} (hỗ trợ: ${SUBTITLE_FORMATS.join(', ')})`);
+    }
+    return format;
+}
+
+// Hàm đọc danh sách định dạng (mảng hoặc chuỗi 'srt,vtt'); rỗng thì dùng danh sách mặc định
+function parseSubtitleFormats(value, defaults) {
+    const formats = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(format => String(format).trim())
+        .filter(Boolean);
+    return formats.length === 0 ? defaults : [...new Set(formats.map(parseSubtitleFormat))];
+}
+
+// Hàm chuyển danh sách cue sang định dạng yêu cầu; trả về null nếu không có cue
+// Mốc thời gian từng từ chỉ được xuất khi options.wordTiming = true
+function serializeCues(cues, format, options = {}) {
+    if (!cues || cues.length === 0) return null;
+    const preparedCues = options.wordTiming ? cues : cues.map(cue => ({ ...cue, words: null }));
+    return SUBTITLE_SERIALIZERS[format.toLowerCase()](preparedCues, options);
+}
+
+// Hàm chuyển nội dung phụ đề (VTT, SRT, XML hoặc json3, tự nhận dạng) sang định dạng khác;
+// trả về null nếu nội dung rỗng hoặc định dạng không hỗ trợ
+function convertSubtitleFormat(content, format, options = {}) {
+    if (!content || content.trim() === '') {
+        logger.error('Empty subtitle content');
+        return null;
+    }
+    if (!SUBTITLE_SERIALIZERS[format.toLowerCase()]) {
+        logger.error(`Unsupported subtitle format: ${format}`);
+        return null;
+    }
+
+    try {
+        return serializeCues(parseSubtitle(content), format, options);
+    } catch (error) {
+        logger.error(`Subtitle format conversion failed: ${error.message}`);
+        return null;
+    }
+}
+
+// Hàm tạo phụ đề song ngữ từ cue của hai ngôn ngữ; trả về null nếu track chính không có cue
+function createBilingualSubtitle(primaryCues, secondaryCues, format, options = {}) {
+    if (!BILINGUAL_FORMATS.includes(format) || !primaryCues || primaryCues.length === 0) return null;
+    return serializeCues(mergeBilingualCues(primaryCues, secondaryCues || []), format, options);
+}
+
+module.exports = {
+    SUBTITLE_FORMATS,
+    BILINGUAL_FORMATS,
+    WORD_TIMING_FORMATS,
+    mergeBilingualCues,
+    serializeCues,
+    parseSubtitleFormat,
+    parseSubtitleFormats,
+    convertSubtitleFormat,
+    createBilingualSubtitle
+};
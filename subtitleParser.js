@@ -0,0 +1,270 @@
+// subtitleParser.js
+// Đọc phụ đề VTT, SRT, XML của YouTube (srv1 <text start dur>, srv3 <p t d>) và json3 thành danh sách cue chung:
+// { id, start, end, text, settings, voice, words } với start/end tính bằng mili giây, text là văn bản thuần
+// (đã bỏ thẻ định dạng và giải mã entity, các dòng nối bằng '\n'), settings là cài đặt cue của VTT
+// (ví dụ { align: 'start', position: '0%' }), voice là người nói của thẻ <v> (null nếu không có),
+// words là mốc thời gian từng từ [{ text, start, end, line }] (line: chỉ số dòng không rỗng trong text)
+// lấy từ mốc <00:00:01.234> của VTT, tOffsetMs của json3 hoặc <s t> của srv3; null nếu nguồn không có.
+const { JSDOM } = require('jsdom');
+const { logger } = require('./utils');
+
+const SUBTITLE_TIMESTAMP = '(?:\\d+:)?\\d{1,2}:\\d{2}[.,]\\d{1,3}';
+const TIMING_PATTERN = new RegExp(`^\\s*(${SUBTITLE_TIMESTAMP})\\s+-->\\s+(${SUBTITLE_TIMESTAMP})(.*)$`);
+const WORD_TIMESTAMP_TAG = /(<(?:\d+:)?\d{2}:\d{2}\.\d{3}>)/;
+
+// Entity có tên thường gặp trong phụ đề (entity dạng số được giải mã riêng)
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    lrm: '\u200E',
+    rlm: '\u200F'
+};
+
+// Hàm chuyển thời điểm của cue ([hh:]mm:ss.ttt, SRT dùng dấu phẩy) sang mili giây; null nếu không hợp lệ
+function parseCueTimestamp(value) {
+    const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})$/);
+    if (!match) return null;
+    const [, hours = '0', minutes, seconds, fraction] = match;
+    if (parseInt(minutes, 10) >= 60 || parseInt(seconds, 10) >= 60) return null;
+    return ((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000 +
+        parseInt(fraction.padEnd(3, '0'), 10);
+}
+
+// Hàm giải mã entity HTML/XML (&amp;, &#39;, &#x27;, ...)
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : entity;
+        }
+        return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    });
+}
+
+// Hàm đọc văn bản của cue: lấy người nói từ thẻ <v>, bỏ mọi thẻ (<c.color>, <i>, <00:00:01.000>, <font>, ...)
+// rồi giải mã entity; khoảng trắng thừa ở đầu/cuối mỗi dòng bị bỏ, dòng trống giữa cue được giữ
+function parseCueText(rawText) {
+    const voiceMatch = rawText.match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+    const text = rawText
+        .split('\n')
+        .map(line => decodeEntities(line.replace(/<[^>]*>/g, '')).replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/^\n+|\n+$/g, '');
+    return { text, voice: voiceMatch ? decodeEntities(voiceMatch[1].trim()) : null };
+}
+
+// Hàm tính thời điểm kết thúc của từng từ: từ kết thúc khi từ sau bắt đầu, từ cuối kết thúc cùng cue.
+// Mốc bắt đầu nằm ngoài cue được đưa về trong cue, mốc lùi lại so với từ trước được đẩy lên bằng mốc của từ trước
+function finishWords(words, cueStart, cueEnd) {
+    if (words.length === 0) return null;
+    let previousStart = cueStart;
+    const starts = words.map(word => (previousStart = Math.min(Math.max(word.start, previousStart), cueEnd)));
+    return words.map((word, index) => ({
+        ...word,
+        start: starts[index],
+        end: index + 1 < words.length ? starts[index + 1] : cueEnd
+    }));
+}
+
+// Hàm đọc mốc thời gian từng từ trong văn bản cue VTT (Hola<00:00:00.300><c> desde</c>);
+// đoạn trước mốc đầu tiên của mỗi dòng (kể cả dòng không có mốc) bắt đầu cùng cue
+function parseCueWords(rawText, start, end) {
+    if (!WORD_TIMESTAMP_TAG.test(rawText)) return null;
+
+    const words = [];
+    let line = 0;
+    for (const rawLine of rawText.split('\n')) {
+        if (!parseCueText(rawLine).text) continue;
+        let wordStart = start;
+        for (const part of rawLine.split(WORD_TIMESTAMP_TAG)) {
+            if (WORD_TIMESTAMP_TAG.test(part)) {
+                wordStart = parseCueTimestamp(part.slice(1, -1)) ?? wordStart;
+                continue;
+            }
+            const { text } = parseCueText(part);
+            if (text) words.push({ text, start: wordStart, line });
+        }
+        line++;
+    }
+    return finishWords(words, start, end);
+}
+
+// Hàm đọc cài đặt cue của VTT ("align:start position:0%") thành object
+function parseCueSettings(settingsText) {
+    const settings = {};
+    for (const setting of settingsText.trim().split(/\s+/).filter(Boolean)) {
+        const separator = setting.indexOf(':');
+        if (separator > 0 && separator < setting.length - 1) {
+            settings[setting.slice(0, separator)] = setting.slice(separator + 1);
+        }
+    }
+    return settings;
+}
+
+// Hàm tạo cue; trả về null nếu thời gian không hợp lệ hoặc không có văn bản
+// words không truyền thì đọc từ mốc thời gian trong văn bản (VTT)
+function createCue({ id = null, start, end, rawText, settings = {}, words }) {
+    if (start === null || end === null || !Number.isFinite(start) || !Number.isFinite(end)) return null;
+    const { text, voice } = parseCueText(rawText);
+    if (!text) return null;
+    end = Math.max(start, end);
+    return {
+        id,
+        start,
+        end,
+        text,
+        settings,
+        voice,
+        words: words === undefined ? parseCueWords(rawText, start, end) : words && finishWords(words, start, end)
+    };
+}
+
+// Hàm tạo danh sách từ từ các đoạn { text, offset } (offset tính từ đầu cue); null nếu không đoạn nào có offset
+function createSegmentWords(segments, start) {
+    if (!segments.some(segment => segment.offset !== null)) return null;
+    return segments
+        .map(segment => ({ text: parseCueText(segment.text).text, start: start + (segment.offset || 0), line: 0 }))
+        .filter(word => word.text);
+}
+
+// Hàm tách nội dung thành các khối phân cách bởi dòng trống; strict = true (VTT) chỉ coi dòng rỗng là phân cách,
+// vì văn bản cue của phụ đề tự động có dòng chỉ gồm khoảng trắng
+function splitBlocks(content, { strict = false } = {}) {
+    return content
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n?/g, '\n')
+        .split(strict ? /\n\n+/ : /\n[ \t]*\n/)
+        .map(block => block.split('\n'))
+        .filter(lines => lines.some(line => line.trim() !== ''));
+}
+
+// Hàm đọc một khối cue của VTT hoặc SRT: [định danh/số thứ tự], dòng thời gian, các dòng văn bản
+function parseCueBlock(lines, { withSettings }) {
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1 || timingIndex > 1) return null;
+
+    const timing = lines[timingIndex].match(TIMING_PATTERN);
+    if (!timing) return null;
+
+    return createCue({
+        id: timingIndex === 1 ? lines[0].trim() || null : null,
+        start: parseCueTimestamp(timing[1]),
+        end: parseCueTimestamp(timing[2]),
+        rawText: lines.slice(timingIndex + 1).join('\n'),
+        settings: withSettings ? parseCueSettings(timing[3]) : {}
+    });
+}
+
+// Hàm đọc VTT: bỏ qua phần đầu WEBVTT, khối NOTE, STYLE và REGION; giữ định danh và cài đặt của cue
+function parseVtt(content) {
+    const cues = [];
+    splitBlocks(content, { strict: true }).forEach((lines, index) => {
+        const firstLine = lines[0].trim();
+        if (/^(NOTE|STYLE|REGION)(\s|$)/.test(firstLine)) return;
+
+        let cueLines = lines;
+        if (index === 0 && firstLine.startsWith('WEBVTT')) {
+            // Phần đầu WEBVTT (kèm Kind:, Language:); một số provider không để dòng trống trước cue đầu tiên
+            const timingIndex = lines.findIndex(line => line.includes('-->'));
+            if (timingIndex === -1) return;
+            cueLines = lines.slice(timingIndex);
+        }
+        const cue = parseCueBlock(cueLines, { withSettings: true });
+        if (cue) cues.push(cue);
+    });
+    return cues;
+}
+
+// Hàm đọc SRT: số thứ tự (được giữ làm id), dòng thời gian, các dòng văn bản
+function parseSrt(content) {
+    return splitBlocks(content)
+        .map(lines => parseCueBlock(lines, { withSettings: false }))
+        .filter(Boolean);
+}
+
+// Hàm đọc XML phụ đề của YouTube: srv1 (<text start="giây" dur="giây">) hoặc srv3 (<p t="ms" d="ms">)
+function parseYouTubeXml(content) {
+    const xmlDoc = new JSDOM(content, { contentType: 'text/xml' }).window.document;
+    const cues = [];
+
+    for (const element of xmlDoc.getElementsByTagName('text')) {
+        const start = Math.round(parseFloat(element.getAttribute('start')) * 1000);
+        const duration = Math.round(parseFloat(element.getAttribute('dur') || '5') * 1000);
+        // srv1 thường mã hóa entity hai lần (&amp;#39;), textContent chỉ giải mã lớp ngoài
+        const cue = createCue({ start, end: start + duration, rawText: element.textContent });
+        if (cue) cues.push(cue);
+    }
+    for (const element of xmlDoc.getElementsByTagName('p')) {
+        const start = parseInt(element.getAttribute('t'), 10);
+        const duration = parseInt(element.getAttribute('d') || '5000', 10);
+        // srv3 của phụ đề tự động chia từ thành <s t="offset ms">
+        const words = createSegmentWords([...element.getElementsByTagName('s')].map(segment => ({
+            text: segment.textContent,
+            offset: segment.hasAttribute('t') ? parseInt(segment.getAttribute('t'), 10) : null
+        })), start);
+        const cue = createCue({ start, end: start + duration, rawText: element.textContent, words });
+        if (cue) cues.push(cue);
+    }
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+// Hàm đọc json3 của YouTube (events/segs); event không có dDurationMs kết thúc khi event sau bắt đầu
+function parseJson3(content) {
+    const events = (JSON.parse(content).events || []).filter(event => Array.isArray(event.segs));
+    const cues = [];
+
+    events.forEach((event, index) => {
+        const start = event.tStartMs || 0;
+        const end = event.dDurationMs
+            ? start + event.dDurationMs
+            : (events[index + 1]?.tStartMs || start + 5000);
+        const words = createSegmentWords(event.segs.map(seg => ({
+            text: seg.utf8 || '',
+            offset: seg.tOffsetMs ?? null
+        })), start);
+        const cue = createCue({ start, end, rawText: event.segs.map(seg => seg.utf8 || '').join(''), words });
+        if (cue) cues.push(cue);
+    });
+    return cues;
+}
+
+// Hàm nhận dạng định dạng của nội dung phụ đề: 'json3', 'xml', 'vtt' hoặc 'srt'
+function detectSubtitleFormat(content) {
+    const text = content.replace(/^\uFEFF/, '').trim();
+    if (text.startsWith('{')) return 'json3';
+    if (text.startsWith('<')) return 'xml';
+    if (text.startsWith('WEBVTT')) return 'vtt';
+    if (/^\d+\s*\r?\n\s*\d+:\d{2}:\d{2},\d{3}\s+-->/.test(text)) return 'srt';
+    return 'vtt';
+}
+
+const PARSERS = {
+    vtt: parseVtt,
+    srt: parseSrt,
+    xml: parseYouTubeXml,
+    json3: parseJson3
+};
+
+// Hàm đọc nội dung phụ đề thành danh sách cue (format không truyền thì tự nhận dạng); lỗi cú pháp trả về []
+function parseSubtitle(content, format = null) {
+    if (!content || content.trim() === '') return [];
+
+    const sourceFormat = format || detectSubtitleFormat(content);
+    try {
+        return PARSERS[sourceFormat](content);
+    } catch (error) {
+        logger.error(`Error parsing ${sourceFormat} subtitles: ${error.message}`);
+        return [];
+    }
+}
+
+module.exports = {
+    parseSubtitle,
+    detectSubtitleFormat,
+    parseCueTimestamp,
+    decodeEntities
+};
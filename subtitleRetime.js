@@ -0,0 +1,162 @@
+// subtitleRetime.js
+// Chỉnh thời gian phụ đề (POST /api/subtitles/retime) cho video được cắt/ghép khác bản gốc:
+// dịch một khoảng cố định (offset), kéo giãn tuyến tính theo hai mốc (anchors) hoặc đổi tốc độ khung hình
+// (sourceFps/targetFps). Phụ đề lấy từ nội dung gửi lên (content) hoặc phụ đề đã tải qua URL có chữ ký (downloadUrl).
+const fsPromises = require('fs').promises;
+const path = require('path');
+const { logger } = require('./utils');
+const { ERROR_CODES, AppError } = require('./errors');
+const { getMimeType, getContentDisposition } = require('./fileServer');
+const { verifySignedToken } = require('./signedUrls');
+const { parseSubtitle, detectSubtitleFormat, parseCueTimestamp } = require('./subtitleParser');
+const { WORD_TIMING_FORMATS, serializeCues, parseSubtitleFormat } = require('./subtitleCues');
+const { SUBTITLE_DIR } = require('./config');
+
+// Định dạng đầu vào đọc được (theo subtitleParser.js)
+const RETIME_INPUT_FORMATS = ['vtt', 'srt', 'xml', 'json3'];
+
+// Hàm đọc mốc thời gian: số mili giây hoặc chuỗi 00:01:02.500 / 00:01:02,500 / 00:01:02
+// (có thể có dấu '-' phía trước)
+function parseTimeValue(name, value) {
+    if (typeof value === 'number' && Number.isFinite(value)) return value;
+    const text = String(value ?? '').trim();
+    if (/^-?\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+
+    const negative = text.startsWith('-');
+    const timestamp = negative ? text.slice(1) : text;
+    // Mốc không có phần mili giây (hh:mm:ss hoặc mm:ss)
+    const ms = parseCueTimestamp(/^(?:\d+:)?\d{1,2}:\d{2}$/.test(timestamp) ? `${timestamp}.000` : timestamp);
+    if (ms === null) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Giá trị thời gian không hợp lệ (${name}): ${value}`);
+    }
+    return negative ? -ms : ms;
+}
+
+// Hàm đọc số khung hình/giây dương
+function parseFps(name, value) {
+    const fps = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(fps) || fps <= 0) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Tốc độ khung hình không hợp lệ (${name}): ${value}`);
+    }
+    return fps;
+}
+
+// Hàm tạo hàm chuyển thời gian (mili giây) từ các tùy chọn của request, áp dụng theo thứ tự:
+// đổi fps (t * sourceFps / targetFps), kéo giãn theo hai mốc { from, to }, rồi cộng offset
+function createTimeMapping({ offset, anchors, sourceFps, targetFps } = {}) {
+    const steps = [];
+
+    if (sourceFps !== undefined || targetFps !== undefined) {
+        if (sourceFps === undefined || targetFps === undefined) {
+            throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Cần cả sourceFps và targetFps để đổi tốc độ khung hình');
+        }
+        const ratio = parseFps('sourceFps', sourceFps) / parseFps('targetFps', targetFps);
+        steps.push(time => time * ratio);
+    }
+
+    if (anchors !== undefined) {
+        if (!Array.isArray(anchors) || anchors.length !== 2 || anchors.some(anchor => !anchor || typeof anchor !== 'object')) {
+            throw new AppError(ERROR_CODES.INVALID_REQUEST, 'anchors phải gồm đúng hai mốc { from, to }');
+        }
+        const [first, second] = anchors.map((anchor, index) => ({
+            from: parseTimeValue(`anchors[${index}].from`, anchor.from),
+            to: parseTimeValue(`anchors[${index}].to`, anchor.to)
+        }));
+        if (second.from <= first.from || second.to <= first.to) {
+            throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Mốc thứ hai của anchors phải sau mốc thứ nhất (cả from và to)');
+        }
+        const scale = (second.to - first.to) / (second.from - first.from);
+        steps.push(time => first.to + (time - first.from) * scale);
+    }
+
+    if (offset !== undefined) {
+        const offsetMs = parseTimeValue('offset', offset);
+        steps.push(time => time + offsetMs);
+    }
+
+    if (steps.length === 0) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Cần ít nhất một cách chỉnh thời gian: offset, anchors hoặc sourceFps/targetFps');
+    }
+    return time => Math.round(steps.reduce((value, step) => step(value), time));
+}
+
+// Hàm áp dụng hàm chuyển thời gian cho các cue (và mốc thời gian từng từ);
+// cue kết thúc trước 0 bị bỏ, cue bắt đầu trước 0 bị cắt về 0
+function retimeCues(cues, mapTime) {
+    return cues
+        .map(cue => {
+            const start = Math.max(0, mapTime(cue.start));
+            const end = mapTime(cue.end);
+            const words = cue.words && cue.words.map(word => ({
+                ...word,
+                start: Math.min(Math.max(start, mapTime(word.start)), end),
+                end: Math.min(Math.max(start, mapTime(word.end)), end)
+            }));
+            return { ...cue, start, end, words };
+        })
+        .filter(cue => cue.end > 0 && cue.end >= cue.start);
+}
+
+// Hàm lấy nội dung phụ đề nguồn: content gửi lên hoặc phụ đề đã tải, chỉ định bằng URL có chữ ký
+// (downloadUrl của /api/download-subtitle, /subtitles/<token>/<tên file>) hoặc token của URL đó
+// Trả về { content, format (định dạng nguồn), name (tên file không có phần mở rộng) }
+async function readRetimeSource({ content, downloadUrl }) {
+    if (typeof content === 'string' && content.trim() !== '') {
+        return { content, format: detectSubtitleFormat(content), name: 'subtitle' };
+    }
+    if (!downloadUrl) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Thiếu phụ đề nguồn (content hoặc downloadUrl)');
+    }
+
+    const token = String(downloadUrl).match(/\/subtitles\/([^/?#]+)/)?.[1] || String(downloadUrl);
+    const { file } = verifySignedToken(token, 'subtitles');
+    const fileName = file ? path.basename(file) : '';
+    const extension = path.extname(fileName).slice(1).toLowerCase();
+    if (!RETIME_INPUT_FORMATS.includes(extension)) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST,
+            `Chỉ chỉnh được phụ đề định dạng ${RETIME_INPUT_FORMATS.join(', ')}: ${fileName}`);
+    }
+    const fileContent = await fsPromises.readFile(path.join(SUBTITLE_DIR, fileName), 'utf8').catch(() => null);
+    if (fileContent === null) {
+        throw new AppError(ERROR_CODES.NOT_FOUND, `Không tìm thấy phụ đề: ${fileName}`);
+    }
+    return { content: fileContent, format: extension, name: path.basename(fileName, path.extname(fileName)) };
+}
+
+// Endpoint chỉnh thời gian phụ đề: POST /api/subtitles/retime
+// Body: { content | downloadUrl, offset, anchors: [{ from, to }, { from, to }], sourceFps, targetFps, format, wordTiming }
+async function handleRetimeSubtitle(req, res) {
+    const body = req.body || {};
+    const mapTime = createTimeMapping(body);
+    const wordTiming = body.wordTiming === true || body.wordTiming === 'true';
+    const source = await readRetimeSource(body);
+
+    const cues = parseSubtitle(source.content, source.format);
+    if (cues.length === 0) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Không đọc được cue nào từ phụ đề nguồn (hỗ trợ VTT, SRT, XML, json3)');
+    }
+
+    // Mặc định giữ định dạng nguồn
+    const format = body.format ? parseSubtitleFormat(body.format) : source.format;
+    if (wordTiming && !WORD_TIMING_FORMATS.includes(format)) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST,
+            `Mốc thời gian từng từ chỉ hỗ trợ định dạng ${WORD_TIMING_FORMATS.join(', ')}: ${format}`);
+    }
+    const retimed = retimeCues(cues, mapTime);
+    const output = serializeCues(retimed, format, { wordTiming });
+    if (!output) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Không còn cue nào sau khi chỉnh thời gian');
+    }
+
+    const fileName = `${source.name}_retimed.${format}`;
+    logger.info(`Retime subtitle: ${source.name} (${source.format}) -> ${format}, ${retimed.length}/${cues.length} cues, IP: ${req.ip}`);
+    res.setHeader('Content-Type', getMimeType(fileName));
+    res.setHeader('Content-Disposition', getContentDisposition(fileName));
+    res.send(output);
+}
+
+module.exports = {
+    createTimeMapping,
+    retimeCues,
+    handleRetimeSubtitle
+};
@@ -0,0 +1,38 @@
+// test/apiKeys.test.js
+// Kiểm tra hạn mức job đồng thời của API key được áp dụng khi job được lấy khỏi hàng đợi
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+require('./setup');
+
+const { logger } = require('../utils');
+logger.silent = true;
+const { JOB_STATUS, registerJobHandler, enqueueJob, getJob, startJobQueue } = require('../jobQueue');
+const { issueApiKey } = require('../apiKeys');
+
+// Job thử: chỉ kết thúc khi test gọi hàm finish tương ứng
+const finishers = new Map();
+
+before(() => {
+    registerJobHandler('gate-test', job => new Promise(resolve => finishers.set(job.id, resolve)));
+    startJobQueue();
+});
+
+test('job vượt số job đồng thời của key chờ trong hàng đợi tới khi có slot', async () => {
+    const { id: apiKeyId } = await issueApiKey({ name: 'gate', concurrentJobs: 1 });
+    const first = enqueueJob('gate-test', { requesters: [{ client: 'key:gate', apiKeyId }] });
+    const second = enqueueJob('gate-test', { requesters: [{ client: 'key:gate', apiKeyId }] });
+    const other = enqueueJob('gate-test', { requesters: [{ client: 'ip:127.0.0.1', apiKeyId: null }] });
+
+    assert.strictEqual(getJob(first.id).status, JOB_STATUS.RUNNING);
+    assert.strictEqual(getJob(second.id).status, JOB_STATUS.QUEUED);
+    // Job phía sau của client khác không bị chặn bởi job đang chờ slot
+    assert.strictEqual(getJob(other.id).status, JOB_STATUS.RUNNING);
+
+    finishers.get(first.id)();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(getJob(first.id).status, JOB_STATUS.COMPLETED);
+    assert.strictEqual(getJob(second.id).status, JOB_STATUS.RUNNING);
+
+    finishers.get(second.id)();
+    finishers.get(other.id)();
+});
@@ -0,0 +1,102 @@
+// test/autoCaptions.test.js
+// Kiểm tra autoCaptions.js: gộp cue cuộn của phụ đề tự động và chỉnh thời lượng cue
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./setup');
+
+const { logger } = require('../utils');
+logger.silent = true;
+const { parseSubtitle } = require('../subtitleParser');
+const { isAutoCaptionContent, normalizeAutoCaptionCues, parseNormalizeOption } = require('../autoCaptions');
+
+// VTT cuộn hai dòng của yt-dlp: mỗi cue lặp lại dòng của cue trước, kèm cue chuyển tiếp 10ms chỉ có dòng cũ
+const ROLLING_VTT = [
+    'WEBVTT',
+    'Kind: captions',
+    'Language: en',
+    '',
+    '00:00:00.000 --> 00:00:02.000 align:start position:0%',
+    ' ',
+    'hello<00:00:00.500><c> world</c>',
+    '',
+    '00:00:02.000 --> 00:00:02.010 align:start position:0%',
+    'hello world',
+    ' ',
+    '',
+    '00:00:02.010 --> 00:00:04.000 align:start position:0%',
+    'hello world',
+    'this<00:00:02.500><c> is</c><00:00:03.000><c> new</c>',
+    ''
+].join('\n');
+
+// Hàm tạo cue với các trường mặc định của subtitleParser.js
+function cue(start, end, text) {
+    return { id: null, start, end, text, settings: {}, voice: null, words: null };
+}
+
+// Hàm lấy các trường thời gian và văn bản của cue để so sánh
+function timings(cues) {
+    return cues.map(({ start, end, text }) => ({ start, end, text }));
+}
+
+test('isAutoCaptionContent nhận dạng VTT có mốc từng từ và json3 của ASR', () => {
+    assert.strictEqual(isAutoCaptionContent(ROLLING_VTT), true);
+    assert.strictEqual(isAutoCaptionContent('{"events":[{"segs":[{"utf8":"a","tOffsetMs":10}]}]}'), true);
+    assert.strictEqual(isAutoCaptionContent('WEBVTT\n\n00:00.000 --> 00:01.000\nHello\n'), false);
+    assert.strictEqual(isAutoCaptionContent(''), false);
+});
+
+test('Cue cuộn được gộp: mỗi dòng chỉ xuất hiện một lần, cue chuyển tiếp bị bỏ', () => {
+    const cues = normalizeAutoCaptionCues(parseSubtitle(ROLLING_VTT));
+
+    assert.deepStrictEqual(timings(cues), [
+        { start: 0, end: 2000, text: 'hello world' },
+        { start: 2010, end: 4000, text: 'this is new' }
+    ]);
+    // Cài đặt vị trí của VTT cuộn bị bỏ; từ của dòng đã hiển thị bị bỏ khỏi cue sau
+    assert.deepStrictEqual(cues[1].settings, {});
+    assert.deepStrictEqual(cues[1].words.map(word => [word.text, word.start, word.end, word.line]), [
+        ['this', 2010, 2500, 0],
+        ['is', 2500, 3000, 0],
+        ['new', 3000, 4000, 0]
+    ]);
+});
+
+test('Cue có văn bản lớn dần và chồng thời gian được gộp vào cue trước', () => {
+    const cues = normalizeAutoCaptionCues([
+        cue(1000, 2500, 'hello world'),
+        cue(0, 1500, 'hello'),
+        cue(2000, 3000, 'Hello World again'),
+        cue(5000, 6000, 'next')
+    ]);
+
+    assert.deepStrictEqual(timings(cues), [
+        { start: 0, end: 3000, text: 'Hello World again' },
+        { start: 5000, end: 6000, text: 'next' }
+    ]);
+});
+
+test('Thời lượng cue: tối đa 7 giây, kéo tới 1 giây nếu còn chỗ, không chồng cue sau', () => {
+    const cues = normalizeAutoCaptionCues([
+        cue(0, 10000, 'too long'),
+        cue(12000, 12200, 'short'),
+        cue(20000, 20100, 'crowded'),
+        cue(20400, 21000, 'next')
+    ]);
+
+    assert.deepStrictEqual(cues.map(({ start, end }) => [start, end]), [
+        [0, 7000],
+        [12000, 13000],
+        [20000, 20400],
+        [20400, 21400]
+    ]);
+});
+
+test('parseNormalizeOption: không gửi thì tự động (null)', () => {
+    assert.strictEqual(parseNormalizeOption(undefined), null);
+    assert.strictEqual(parseNormalizeOption(''), null);
+    assert.strictEqual(parseNormalizeOption('true'), true);
+    assert.strictEqual(parseNormalizeOption('1'), true);
+    assert.strictEqual(parseNormalizeOption(false), false);
+    assert.strictEqual(parseNormalizeOption('no'), false);
+});
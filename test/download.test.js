@@ -0,0 +1,64 @@
+// test/download.test.js
+// Kiểm tra /api/download với provider fixture: đưa vào hàng đợi, theo dõi tiến trình và tải file qua URL có chữ ký
+// (provider fixture sinh media bằng FFmpeg nên test bị bỏ qua khi máy không có FFmpeg)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+require('./setup');
+
+const { logger, checkFFmpeg } = require('../utils');
+logger.silent = true;
+const { DOWNLOAD_DIR } = require('../config');
+const app = require('../server');
+
+let server;
+let baseUrl;
+let existingFiles;
+
+before(async () => {
+    fs.mkdirSync(DOWNLOAD_DIR, { recursive: true });
+    existingFiles = new Set(fs.readdirSync(DOWNLOAD_DIR));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    // Xóa file cache media test đã tạo
+    for (const file of fs.readdirSync(DOWNLOAD_DIR).filter(name => !existingFiles.has(name))) {
+        fs.rmSync(path.join(DOWNLOAD_DIR, file), { force: true });
+    }
+});
+
+test('POST /api/download tải âm thanh từ provider fixture', async (t) => {
+    if (!await checkFFmpeg()) {
+        t.skip('FFmpeg không được cài đặt');
+        return;
+    }
+
+    const response = await fetch(`${baseUrl}/api/download`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ url: 'https://www.youtube.com/watch?v=fixture0001', platform: 'youtube', type: 'audio' })
+    });
+    const body = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.ok(body.downloadId);
+
+    let progress;
+    for (let attempt = 0; attempt < 150; attempt++) {
+        progress = await (await fetch(`${baseUrl}/api/progress/${body.downloadId}`)).json();
+        if (['completed', 'failed', 'cancelled'].includes(progress.status)) break;
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    assert.strictEqual(progress.status, 'completed', progress.error);
+    assert.strictEqual(progress.progress, 100);
+    assert.match(progress.downloadUrl, /^\/downloads\/[^/]+\/.+\.mp3$/);
+
+    const file = await fetch(`${baseUrl}${progress.downloadUrl}`);
+    assert.strictEqual(file.status, 200);
+    assert.strictEqual(file.headers.get('content-type'), 'audio/mpeg');
+    assert.ok((await file.arrayBuffer()).byteLength > 0);
+});
@@ -0,0 +1,117 @@
+// test/rateLimit.test.js
+// Kiểm tra rateLimit.js: cửa sổ của store bộ nhớ, header RateLimit-*/Retry-After và cho request đi qua khi store lỗi
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+require('./setup');
+
+const { logger } = require('../utils');
+logger.silent = true;
+const { errorHandler } = require('../errors');
+const { rateLimitMiddleware, setRateLimitStore, createMemoryStore, getRateLimitUsage } = require('../rateLimit');
+
+// Mỗi test dùng store mới để bộ đếm không dồn từ test trước
+beforeEach(() => {
+    setRateLimitStore(createMemoryStore());
+});
+
+// Hàm tạo request giả cho middleware
+function mockRequest(method, path, { ip = '203.0.113.1', apiKey = null } = {}) {
+    return { method, path, originalUrl: path, ip, apiKey, headers: {}, acceptsLanguages: () => false };
+}
+
+// Hàm tạo response giả ghi lại header, status và body
+function mockResponse() {
+    return {
+        headers: {},
+        statusCode: 200,
+        body: null,
+        headersSent: false,
+        set(name, value) {
+            if (typeof name === 'object') Object.assign(this.headers, name);
+            else this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+}
+
+// Hàm chạy middleware, chuyển lỗi (nếu có) qua errorHandler như trong server.js
+async function runMiddleware(req) {
+    const res = mockResponse();
+    let passedError;
+    await rateLimitMiddleware(req, res, (error) => {
+        passedError = error;
+    });
+    if (passedError) errorHandler(passedError, req, res, () => {});
+    return { res, error: passedError };
+}
+
+test('Store bộ nhớ đếm trong cửa sổ và đặt lại khi hết cửa sổ', async () => {
+    const store = createMemoryStore();
+    const first = await store.increment('k', 50);
+    const second = await store.increment('k', 50);
+    assert.strictEqual(first.count, 1);
+    assert.strictEqual(second.count, 2);
+    assert.strictEqual(second.resetAt, first.resetAt);
+    assert.strictEqual((await store.get('k')).count, 2);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.strictEqual(await store.get('k'), null);
+    const afterReset = await store.increment('k', 50);
+    assert.strictEqual(afterReset.count, 1);
+    assert.ok(afterReset.resetAt > first.resetAt);
+});
+
+test('Header RateLimit-* theo cửa sổ còn ít request nhất', async () => {
+    const { res, error } = await runMiddleware(mockRequest('POST', '/api/download'));
+    assert.strictEqual(error, undefined);
+    // Quy tắc download: burst 2 request/giây là cửa sổ chặt nhất
+    assert.strictEqual(res.headers['RateLimit-Limit'], '2');
+    assert.strictEqual(res.headers['RateLimit-Remaining'], '1');
+    // Reset làm tròn lên theo giây, tính từ trước khi tăng bộ đếm nên có thể là 1 hoặc 2
+    assert.match(res.headers['RateLimit-Reset'], /^[12]$/);
+    assert.strictEqual(res.headers['RateLimit-Policy'], '20;w=1, 100;w=60, 2;w=1, 20;w=60');
+    assert.strictEqual(await getRateLimitUsage('download', 'burst', 'ip:203.0.113.1'), 1);
+});
+
+test('Vượt giới hạn trả 429 kèm Retry-After; client khác và API key không bị ảnh hưởng', async () => {
+    await runMiddleware(mockRequest('POST', '/api/download'));
+    await runMiddleware(mockRequest('POST', '/api/download'));
+    const { res, error } = await runMiddleware(mockRequest('POST', '/api/download'));
+
+    assert.strictEqual(error.code, 'RATE_LIMITED');
+    assert.strictEqual(res.statusCode, 429);
+    assert.match(res.headers['Retry-After'], /^[12]$/);
+    assert.strictEqual(res.headers['RateLimit-Remaining'], '0');
+    assert.strictEqual(res.body.code, 'RATE_LIMITED');
+
+    assert.strictEqual((await runMiddleware(mockRequest('POST', '/api/download', { ip: '203.0.113.2' }))).error, undefined);
+    // Quy tắc download chỉ áp dụng cho request không có API key
+    const apiKey = { id: 'k1', quotas: { requestsPerMinute: 1000 } };
+    assert.strictEqual((await runMiddleware(mockRequest('POST', '/api/download', { apiKey }))).error, undefined);
+});
+
+test('Store lỗi thì cho request đi qua, không đặt header', async () => {
+    setRateLimitStore({
+        name: 'broken',
+        increment: async () => {
+            throw new Error('connection refused');
+        },
+        get: async () => {
+            throw new Error('connection refused');
+        }
+    });
+
+    const { res, error } = await runMiddleware(mockRequest('POST', '/api/download'));
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(res.statusCode, 200);
+    assert.deepStrictEqual(res.headers, {});
+    assert.strictEqual(await getRateLimitUsage('download', 'burst', 'ip:203.0.113.1'), 0);
+});
@@ -0,0 +1,179 @@
+// test/routes.test.js
+// Kiểm tra các route của server.js không cần mạng: mọi provider được thay bằng provider fixture (fixtures/)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+require('./setup');
+
+const { logger } = require('../utils');
+const { SUBTITLE_DIR } = require('../config');
+const { issueApiKey } = require('../apiKeys');
+const app = require('../server');
+
+const AVAILABLE_URL = 'https://www.youtube.com/watch?v=fixture0001';
+const REMOVED_URL = 'https://www.youtube.com/watch?v=fixture0002';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    logger.silent = true;
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    // Xóa phụ đề các test đã tạo (tên file lưu có videoId của fixture)
+    for (const file of fs.readdirSync(SUBTITLE_DIR).filter(name => name.includes('_fixture000'))) {
+        fs.rmSync(path.join(SUBTITLE_DIR, file), { force: true });
+    }
+});
+
+// Hàm gửi request JSON tới server đang chạy thử
+async function request(method, route, body, headers = {}) {
+    const response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Hàm chờ job kết thúc qua endpoint polling tiến trình
+async function waitForJob(downloadId, headers = {}) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const { body } = await request('GET', `/api/progress/${downloadId}`, null, headers);
+        if (['completed', 'failed', 'cancelled'].includes(body.status)) return body;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`Job ${downloadId} chưa kết thúc`);
+}
+
+test('GET /api/providers chỉ có provider fixture', async () => {
+    const { status, body } = await request('GET', '/api/providers', null, { 'X-Admin-Token': process.env.ADMIN_TOKEN });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.providers.map(provider => provider.name), ['fixture']);
+});
+
+test('GET /api/providers và /api/cache cần API key hoặc token quản trị', async () => {
+    for (const route of ['/api/providers', '/api/cache']) {
+        const { status, body } = await request('GET', route);
+        assert.strictEqual(status, 401, route);
+        assert.strictEqual(body.code, 'UNAUTHORIZED');
+    }
+    const { status } = await request('GET', '/api/cache', null, { 'X-Admin-Token': process.env.ADMIN_TOKEN });
+    assert.strictEqual(status, 200);
+});
+
+test('POST /api/metadata trả về tiêu đề và thumbnail từ fixture', async () => {
+    const { status, body } = await request('POST', '/api/metadata', { url: AVAILABLE_URL, platform: 'youtube' });
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.title, 'Fixture video: offline pipeline');
+    assert.strictEqual(body.thumbnail, '/favicon.ico');
+});
+
+test('POST /api/download-subtitle tải phụ đề VTT qua URL có chữ ký', async () => {
+    const { status, body } = await request('POST', '/api/download-subtitle', {
+        url: AVAILABLE_URL, platform: 'youtube', targetLanguage: 'en'
+    });
+    assert.strictEqual(status, 200);
+    assert.ok(body.downloadId);
+
+    const progress = await waitForJob(body.downloadId);
+    assert.strictEqual(progress.status, 'completed', progress.error);
+    const file = await fetch(`${baseUrl}${progress.downloadUrl}`);
+    assert.strictEqual(file.status, 200);
+    assert.match(await file.text(), /^WEBVTT[\s\S]*Hello from the fixture provider\./);
+});
+
+test('POST /api/download-subtitle chuyển phụ đề XML sang SRT', async () => {
+    const { body } = await request('POST', '/api/download-subtitle', {
+        url: AVAILABLE_URL, platform: 'youtube', targetLanguage: 'fr', formatPreference: 'srt'
+    });
+    const progress = await waitForJob(body.downloadId);
+    assert.strictEqual(progress.status, 'completed', progress.error);
+    const file = await fetch(`${baseUrl}${progress.downloadUrl}`);
+    assert.match(await file.text(), /^1\r?\n00:00:\d{2},\d{3} --> 00:00:\d{2},\d{3}/);
+});
+
+test('POST /api/download-subtitle báo video không khả dụng', async () => {
+    const { status, body } = await request('POST', '/api/download-subtitle', {
+        url: REMOVED_URL, platform: 'youtube', targetLanguage: 'en'
+    });
+    assert.strictEqual(status, 404);
+    assert.strictEqual(body.success, false);
+    assert.strictEqual(body.code, 'VIDEO_UNAVAILABLE');
+});
+
+test('Lỗi 4xx trả về detail cụ thể bên cạnh thông báo theo ngôn ngữ', async () => {
+    const { status, body } = await request('POST', '/api/download-subtitle', { url: AVAILABLE_URL });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.code, 'INVALID_REQUEST');
+    assert.strictEqual(body.detail, 'Thiếu thông tin cần thiết (url, platform)');
+    assert.notStrictEqual(body.error, body.detail);
+});
+
+test('POST /api/download và /api/playlist/download từ chối loại tải khác video/audio', async () => {
+    const requests = [
+        ['/api/download', { url: AVAILABLE_URL, platform: 'youtube', type: 'image' }],
+        ['/api/playlist/download', { url: 'https://www.youtube.com/playlist?list=PLfixture', type: 'image' }]
+    ];
+    for (const [route, body] of requests) {
+        const response = await request('POST', route, body);
+        assert.strictEqual(response.status, 400, route);
+        assert.strictEqual(response.body.code, 'INVALID_REQUEST');
+        assert.strictEqual(response.body.detail, 'Loại tải không hợp lệ (video, audio): image');
+    }
+});
+
+test('POST /api/download-all-subtitles trả về downloadId và dọn thư mục tạm', async () => {
+    const { status, body } = await request('POST', '/api/download-all-subtitles', { url: AVAILABLE_URL, formats: 'srt' });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.subtitles.map(file => file.language).sort(), ['en', 'es.auto', 'fr', 'vi.auto']);
+
+    const progress = await request('GET', `/api/progress/${body.downloadId}`);
+    assert.strictEqual(progress.body.status, 'completed');
+    assert.deepStrictEqual(Object.keys(progress.body.subtitles[0]).sort(), ['downloadUrl', 'fileName', 'format', 'isAuto', 'language']);
+    assert.ok(!fs.existsSync(path.join(__dirname, '..', 'temp', `subtitles_${body.downloadId}`)));
+});
+
+test('Tiến trình chỉ được xem bởi client đã yêu cầu', async () => {
+    // Hai client dùng hai API key (hạn mức riêng, không chung giới hạn theo IP với các test khác)
+    const owner = { 'X-API-Key': (await issueApiKey({ name: 'owner' })).key };
+    const otherClient = { 'X-API-Key': (await issueApiKey({ name: 'other-client' })).key };
+    const { body: started } = await request('POST', '/api/download-subtitle', {
+        url: AVAILABLE_URL, platform: 'youtube', targetLanguage: 'en'
+    }, owner);
+    await waitForJob(started.downloadId, owner);
+
+    const polled = await request('GET', `/api/progress/${started.downloadId}`, null, otherClient);
+    assert.strictEqual(polled.status, 401);
+    const single = await fetch(`${baseUrl}/api/download-progress/${started.downloadId}`, { headers: otherClient });
+    assert.strictEqual(single.status, 401);
+    await single.body.cancel();
+
+    // Phiên SSE của client khác không đăng ký được downloadId này
+    const controller = new AbortController();
+    const stream = await fetch(`${baseUrl}/api/progress-stream`, { headers: otherClient, signal: controller.signal });
+    const reader = stream.body.getReader();
+    const { value } = await reader.read();
+    const session = JSON.parse(new TextDecoder().decode(value).match(/data: (.*)/)[1]).session;
+    const subscribed = await request('POST', `/api/progress-stream/${session}/subscriptions`, { ids: [started.downloadId] }, otherClient);
+    assert.strictEqual(subscribed.status, 401);
+    const foreignSession = await request('POST', `/api/progress-stream/${session}/subscriptions`, { ids: [started.downloadId] }, owner);
+    assert.strictEqual(foreignSession.status, 401);
+    controller.abort();
+    await reader.cancel().catch(() => {});
+});
+
+test('POST /api/playlist liệt kê video của playlist fixture', async () => {
+    const { status, body } = await request('POST', '/api/playlist', {
+        url: 'https://www.youtube.com/playlist?list=PLfixture'
+    });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.entries.map(entry => entry.videoId), ['fixture0001', 'fixture0002']);
+    assert.strictEqual(body.entries[0].title, 'Fixture video: offline pipeline');
+});
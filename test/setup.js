@@ -0,0 +1,20 @@
+// test/setup.js
+// Cấu hình chung cho test, phải được require trước mọi module của ứng dụng (config.js đọc biến môi trường
+// khi được require): log, store job/thư viện/API key ghi vào thư mục tạm, provider dùng fixture (không cần mạng)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'y2tubex-test-'));
+process.env.LOG_DIR = dataDir;
+process.env.PROVIDER_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+process.env.JOB_STORE_PATH = path.join(dataDir, 'jobs.jsonl');
+process.env.LIBRARY_INDEX_PATH = path.join(dataDir, 'library.json');
+process.env.API_KEY_STORE_PATH = path.join(dataDir, 'apikeys.json');
+process.env.USED_NONCE_STORE_PATH = path.join(dataDir, 'used-nonces.json');
+process.env.DOWNLOAD_URL_SECRET = 'test-secret';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+module.exports = { dataDir };
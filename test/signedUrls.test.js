@@ -0,0 +1,66 @@
+// test/signedUrls.test.js
+// Kiểm tra URL dùng một lần: không dùng lại được, chỉ cùng client tải tiếp phần còn thiếu
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+require('./setup');
+
+const { logger } = require('../utils');
+logger.silent = true;
+const { SUBTITLE_DIR } = require('../config');
+const { createSignedUrl } = require('../signedUrls');
+const { issueApiKey } = require('../apiKeys');
+const app = require('../server');
+
+const FILE = 'single_use_fixture0001.vtt';
+const CONTENT = 'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\nSingle use.\n';
+
+let server;
+let baseUrl;
+
+before(async () => {
+    fs.mkdirSync(SUBTITLE_DIR, { recursive: true });
+    fs.writeFileSync(path.join(SUBTITLE_DIR, FILE), CONTENT);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(path.join(SUBTITLE_DIR, FILE), { force: true });
+});
+
+// Hàm tải URL (có thể kèm Range) và chờ server ghi nhận phần đã gửi
+async function fetchFile(url, headers = {}) {
+    const response = await fetch(`${baseUrl}${url}`, { headers });
+    const body = await response.text();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    return { status: response.status, body };
+}
+
+test('URL dùng một lần không dùng lại được sau khi đã tải hết', async () => {
+    const url = createSignedUrl({ location: 'subtitles', file: FILE, fileName: 'sub.vtt', singleUse: true });
+
+    assert.strictEqual((await fetchFile(url)).body, CONTENT);
+    assert.strictEqual((await fetchFile(url)).status, 410);
+    assert.strictEqual((await fetchFile(url, { Range: 'bytes=0-' })).status, 410);
+});
+
+test('URL dùng một lần chỉ được tải tiếp bởi cùng client, từ phần chưa gửi', async () => {
+    const url = createSignedUrl({ location: 'subtitles', file: FILE, fileName: 'sub.vtt', singleUse: true });
+    const otherClient = { 'X-API-Key': (await issueApiKey({ name: 'other-client' })).key };
+
+    const first = await fetchFile(url, { Range: 'bytes=0-9' });
+    assert.strictEqual(first.status, 206);
+    assert.strictEqual(first.body, CONTENT.slice(0, 10));
+
+    // Range bắt đầu trước phần đã gửi hoặc từ client khác bị từ chối
+    assert.strictEqual((await fetchFile(url, { Range: 'bytes=5-' })).status, 410);
+    assert.strictEqual((await fetchFile(url, { Range: 'bytes=10-', ...otherClient })).status, 410);
+
+    const resumed = await fetchFile(url, { Range: 'bytes=10-' });
+    assert.strictEqual(resumed.status, 206);
+    assert.strictEqual(first.body + resumed.body, CONTENT);
+});
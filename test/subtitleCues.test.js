@@ -0,0 +1,172 @@
+// test/subtitleCues.test.js
+// Kiểm tra subtitleCues.js: xuất cue sang mọi định dạng, đọc lại (round-trip) các định dạng subtitleParser.js hỗ trợ
+// và ghép phụ đề song ngữ
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./setup');
+
+const { logger } = require('../utils');
+logger.silent = true;
+const { parseSubtitle } = require('../subtitleParser');
+const {
+    SUBTITLE_FORMATS,
+    serializeCues,
+    convertSubtitleFormat,
+    parseSubtitleFormats,
+    mergeBilingualCues,
+    createBilingualSubtitle
+} = require('../subtitleCues');
+
+// Hàm tạo cue với các trường mặc định của subtitleParser.js
+function cue(start, end, text, extra = {}) {
+    return { id: null, start, end, text, settings: {}, voice: null, words: null, ...extra };
+}
+
+// Cue chồng thời gian, có '-->' và ký tự đặc biệt trong văn bản, và cue quá 1 giờ
+const CUES = [
+    cue(1000, 4000, 'First line\nSecond line'),
+    cue(2500, 3000, 'Overlap --> arrow & "quote"'),
+    cue(3723456, 3725000, 'After one hour')
+];
+
+// Hàm lấy các trường thời gian và văn bản của cue để so sánh
+function timings(cues) {
+    return cues.map(({ start, end, text }) => ({ start, end, text }));
+}
+
+test('Round-trip VTT, SRT, XML và json3 giữ thời gian và văn bản', () => {
+    for (const format of ['vtt', 'srt', 'xml', 'json3']) {
+        assert.deepStrictEqual(timings(parseSubtitle(serializeCues(CUES, format), format)), timings(CUES), format);
+    }
+});
+
+test('Round-trip VTT giữ id, cài đặt, người nói và mốc thời gian từng từ', () => {
+    const words = [
+        { text: 'Hola', start: 0, end: 400, line: 0 },
+        { text: 'desde', start: 400, end: 900, line: 0 },
+        { text: 'aquí', start: 900, end: 1500, line: 1 }
+    ];
+    const source = [cue(0, 1500, 'Hola desde\naquí', { id: 'c1', settings: { align: 'start' }, voice: 'Ana', words })];
+
+    const vtt = serializeCues(source, 'vtt', { wordTiming: true });
+    assert.strictEqual(vtt, 'WEBVTT\n\nc1\n00:00:00.000 --> 00:00:01.500 align:start\n' +
+        '<v Ana>Hola <00:00:00.400>desde\n<00:00:00.900>aquí\n');
+    assert.deepStrictEqual(parseSubtitle(vtt), source);
+
+    const json3 = serializeCues(source, 'json3', { wordTiming: true });
+    assert.deepStrictEqual(parseSubtitle(json3)[0].words.map(word => [word.text, word.start]), [['Hola', 0], ['desde', 400], ['aquí', 900]]);
+
+    // Không bật wordTiming thì không xuất mốc thời gian từng từ
+    assert.doesNotMatch(serializeCues(source, 'vtt'), /<00:00:00\.400>/);
+});
+
+test('VTT thoát "-->" và ký tự đặc biệt, bỏ định danh chứa "-->" và dòng trống trong cue', () => {
+    const vtt = serializeCues([cue(0, 1000, 'a --> <b>\n\nc', { id: 'bad --> id' })], 'vtt');
+    assert.strictEqual(vtt, 'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\na --&gt; &lt;b&gt;\nc\n');
+    // Văn bản giống thẻ được thoát nên đọc lại không bị bỏ như thẻ định dạng
+    assert.strictEqual(parseSubtitle(vtt)[0].text, 'a --> <b>\nc');
+});
+
+test('SRT đánh số lại cue và dùng dấu phẩy trong thời gian', () => {
+    assert.strictEqual(serializeCues(CUES.slice(0, 2), 'srt'),
+        '1\n00:00:01,000 --> 00:00:04,000\nFirst line\nSecond line\n\n' +
+        '2\n00:00:02,500 --> 00:00:03,000\nOverlap --> arrow & "quote"\n');
+});
+
+test('ASS và SSA: thời gian H:MM:SS.cc, xuống dòng \\N và bỏ ngoặc nhọn', () => {
+    const source = [cue(1005, 3723456, 'Hello {\\b1}\nworld', { voice: 'Doe, John' })];
+    const ass = serializeCues(source, 'ass', { title: 'Demo' });
+    assert.match(ass, /^\[Script Info\]\nTitle: Demo\nScriptType: v4\.00\+\n/);
+    assert.match(ass, /\nDialogue: 0,0:00:01\.01,1:02:03\.46,Default,Doe  John,0,0,0,,Hello \\b1\\Nworld\n$/);
+
+    const ssa = serializeCues(source, 'ssa');
+    assert.match(ssa, /\nScriptType: v4\.00\n/);
+    assert.match(ssa, /\nDialogue: Marked=0,0:00:01\.01,1:02:03\.46,Default,Doe  John,0000,0000,0000,,Hello \\b1\\Nworld\n$/);
+});
+
+test('TTML và DFXP: namespace, ngôn ngữ và văn bản được thoát', () => {
+    const ttml = serializeCues(CUES.slice(0, 2), 'ttml', { language: 'vi' });
+    assert.match(ttml, /<tt xmlns="http:\/\/www\.w3\.org\/ns\/ttml" xml:lang="vi">/);
+    assert.match(ttml, /<p begin="00:00:01\.000" end="00:00:04\.000">First line<br\/>Second line<\/p>/);
+    assert.match(ttml, /<p begin="00:00:02\.500" end="00:00:03\.000">Overlap --&gt; arrow &amp; &quot;quote&quot;<\/p>/);
+
+    assert.match(serializeCues(CUES, 'dfxp'), /<tt xmlns="http:\/\/www\.w3\.org\/2006\/10\/ttaf1" xml:lang="en">/);
+});
+
+test('SBV: giờ không có số 0 đứng trước, dòng trống trong cue bị bỏ', () => {
+    assert.strictEqual(serializeCues([CUES[0], CUES[2]], 'sbv'),
+        '0:00:01.000,0:00:04.000\nFirst line\nSecond line\n\n1:02:03.456,1:02:05.000\nAfter one hour\n');
+    // json3 có thể tạo cue có dòng trống ở giữa
+    const cues = parseSubtitle(JSON.stringify({ events: [{ tStartMs: 0, dDurationMs: 1000, segs: [{ utf8: 'a\n\nb' }] }] }));
+    assert.strictEqual(serializeCues(cues, 'sbv'), '0:00:00.000,0:00:01.000\na\nb\n');
+});
+
+test('LRC: dòng trống khi cue sau không nối tiếp, không thêm khi cue chồng nhau', () => {
+    const lrc = serializeCues([cue(0, 2000, 'One'), cue(1500, 2500, 'Two'), cue(2500, 3000, 'Three\nlines')], 'lrc', {
+        title: 'Song',
+        language: 'en'
+    });
+    assert.strictEqual(lrc, '[ti:Song]\n[la:en]\n[00:00.00]One\n[00:01.50]Two\n[00:02.50]Three lines\n[00:03.00]\n');
+});
+
+test('JSON chỉ có các trường có giá trị; TXT chỉ có văn bản', () => {
+    assert.deepStrictEqual(JSON.parse(serializeCues([cue(0, 1000, 'Hi', { voice: 'Ana' })], 'json')), [
+        { index: 0, start: 0, end: 1000, text: 'Hi', voice: 'Ana' }
+    ]);
+    assert.strictEqual(serializeCues(CUES.slice(0, 2), 'txt'), 'First line\nSecond line\n\nOverlap --> arrow & "quote"\n');
+});
+
+test('Danh sách cue rỗng không tạo file; định dạng không hỗ trợ bị từ chối', () => {
+    for (const format of SUBTITLE_FORMATS) {
+        assert.strictEqual(serializeCues([], format), null, format);
+    }
+    assert.strictEqual(convertSubtitleFormat('WEBVTT\n\n00:00.000 --> 00:01.000\nHi\n', 'doc'), null);
+    assert.throws(() => parseSubtitleFormats('srt,doc', ['srt']), { code: 'INVALID_REQUEST' });
+    assert.deepStrictEqual(parseSubtitleFormats(' SRT, vtt,srt ', ['txt']), ['srt', 'vtt']);
+    assert.deepStrictEqual(parseSubtitleFormats('', ['txt']), ['txt']);
+});
+
+test('convertSubtitleFormat chuyển VTT không có giờ sang SRT', () => {
+    assert.strictEqual(convertSubtitleFormat('WEBVTT\n\n01:02.003 --> 01:04.000\nHi\n', 'srt'), '1\n00:01:02,003 --> 00:01:04,000\nHi\n');
+});
+
+test('Ghép song ngữ: cue phụ gắn vào cue chính giao nhau lâu nhất khi ranh giới không khớp', () => {
+    const primary = [cue(0, 2000, 'Hello'), cue(2000, 4000, 'World'), cue(10000, 11000, 'Later')];
+    const secondary = [
+        cue(0, 900, 'Xin'),
+        cue(900, 2300, 'chào\nbạn'),
+        cue(2300, 4500, 'Thế giới'),
+        cue(11500, 12000, 'Sau'),
+        cue(20000, 21000, 'Lẻ')
+    ];
+
+    assert.deepStrictEqual(mergeBilingualCues(primary, secondary).map(({ start, end, text, secondaryText }) =>
+        ({ start, end, text, secondaryText })), [
+        { start: 0, end: 2000, text: 'Hello', secondaryText: 'Xin chào bạn' },
+        { start: 2000, end: 4000, text: 'World', secondaryText: 'Thế giới' },
+        // Không giao nhau nhưng cách cue chính không quá BILINGUAL_MAX_GAP
+        { start: 10000, end: 11000, text: 'Later', secondaryText: 'Sau' },
+        // Không khớp cue chính nào: giữ lại như cue chỉ có dòng phụ
+        { start: 20000, end: 21000, text: '', secondaryText: 'Lẻ' }
+    ]);
+});
+
+test('Ghép song ngữ: cue chính không có cue phụ và cue phụ trước mọi cue chính', () => {
+    const merged = mergeBilingualCues([cue(5000, 6000, 'Only')], [cue(0, 1000, 'Trước')]);
+    assert.deepStrictEqual(merged.map(({ start, text, secondaryText }) => [start, text, secondaryText]), [
+        [0, '', 'Trước'],
+        [5000, 'Only', '']
+    ]);
+});
+
+test('Phụ đề song ngữ: dòng phụ sau dòng chính, chỉ định dạng hỗ trợ hai dòng', () => {
+    const primary = [cue(0, 1000, 'Hello')];
+    const secondary = [cue(200, 1200, 'Xin chào'), cue(5000, 6000, 'Lẻ')];
+
+    assert.strictEqual(createBilingualSubtitle(primary, secondary, 'srt'),
+        '1\n00:00:00,000 --> 00:00:01,000\nHello\nXin chào\n\n2\n00:00:05,000 --> 00:00:06,000\nLẻ\n');
+    assert.match(createBilingualSubtitle(primary, secondary, 'ass'), /,,Hello\\N\{\\rSecondary\}Xin chào\n/);
+    assert.match(createBilingualSubtitle(primary, secondary, 'ass'), /,,\{\\rSecondary\}Lẻ\n$/);
+    assert.strictEqual(createBilingualSubtitle(primary, secondary, 'txt'), null);
+    assert.strictEqual(createBilingualSubtitle([], secondary, 'srt'), null);
+});
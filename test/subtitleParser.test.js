@@ -0,0 +1,152 @@
+// test/subtitleParser.test.js
+// Kiểm tra subtitleParser.js: đọc VTT, SRT, XML srv1/srv3 và json3 thành cue
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./setup');
+
+const { logger } = require('../utils');
+logger.silent = true;
+const { parseSubtitle, detectSubtitleFormat, parseCueTimestamp, decodeEntities } = require('../subtitleParser');
+
+// Hàm lấy các trường thời gian và văn bản của cue để so sánh
+function timings(cues) {
+    return cues.map(({ start, end, text }) => ({ start, end, text }));
+}
+
+test('parseCueTimestamp đọc thời điểm có hoặc không có giờ, dấu chấm hoặc phẩy', () => {
+    assert.strictEqual(parseCueTimestamp('01:02:03.456'), 3723456);
+    assert.strictEqual(parseCueTimestamp('02:03,4'), 123400);
+    assert.strictEqual(parseCueTimestamp('00:61.000'), null);
+    assert.strictEqual(parseCueTimestamp('abc'), null);
+});
+
+test('decodeEntities giải mã entity có tên và dạng số', () => {
+    assert.strictEqual(decodeEntities('Tom &amp; Jerry &#39;s &#x27;x&#X27; &unknown;'), "Tom & Jerry 's 'x' &unknown;");
+});
+
+test('detectSubtitleFormat nhận dạng json3, xml, vtt và srt', () => {
+    assert.strictEqual(detectSubtitleFormat('{"events":[]}'), 'json3');
+    assert.strictEqual(detectSubtitleFormat('<?xml version="1.0"?><transcript/>'), 'xml');
+    assert.strictEqual(detectSubtitleFormat('\uFEFFWEBVTT\n'), 'vtt');
+    assert.strictEqual(detectSubtitleFormat('1\r\n00:00:01,000 --> 00:00:02,000\r\nHi'), 'srt');
+});
+
+test('VTT: bỏ NOTE/STYLE, giữ id, cài đặt, người nói và mốc thời gian từng từ', () => {
+    const cues = parseSubtitle([
+        'WEBVTT',
+        'Kind: captions',
+        '',
+        'NOTE bình luận',
+        '',
+        'STYLE',
+        '::cue { color: red }',
+        '',
+        'intro',
+        '00:01.000 --> 00:02.500 align:start position:10%',
+        '<v Roger Bingham>Hello &amp; <i>welcome</i>',
+        '',
+        '00:00:03.000 --> 00:00:05.000',
+        'Hola<00:00:03.500><c> desde</c><00:00:04.000><c> aquí</c>'
+    ].join('\n'));
+
+    assert.strictEqual(cues.length, 2);
+    assert.deepStrictEqual(cues[0], {
+        id: 'intro',
+        start: 1000,
+        end: 2500,
+        text: 'Hello & welcome',
+        settings: { align: 'start', position: '10%' },
+        voice: 'Roger Bingham',
+        words: null
+    });
+    assert.deepStrictEqual(cues[1].words, [
+        { text: 'Hola', start: 3000, end: 3500, line: 0 },
+        { text: 'desde', start: 3500, end: 4000, line: 0 },
+        { text: 'aquí', start: 4000, end: 5000, line: 0 }
+    ]);
+});
+
+test('VTT: cue chồng thời gian, "-->" trong văn bản và cue rỗng', () => {
+    const cues = parseSubtitle([
+        'WEBVTT',
+        '',
+        '00:00:01.000 --> 00:00:04.000',
+        'First',
+        '',
+        '00:00:02.000 --> 00:00:03.000',
+        'Overlapping --> arrow',
+        '',
+        '00:00:05.000 --> 00:00:06.000',
+        '',
+        '00:00:07.000 --> 00:00:06.000',
+        'End before start'
+    ].join('\n'));
+
+    assert.deepStrictEqual(timings(cues), [
+        { start: 1000, end: 4000, text: 'First' },
+        { start: 2000, end: 3000, text: 'Overlapping --> arrow' },
+        { start: 7000, end: 7000, text: 'End before start' }
+    ]);
+});
+
+test('VTT: cue đầu tiên ngay sau WEBVTT, không có dòng trống', () => {
+    const cues = parseSubtitle('WEBVTT\n00:00:00.000 --> 00:00:01.000\nNo gap\n');
+    assert.deepStrictEqual(timings(cues), [{ start: 0, end: 1000, text: 'No gap' }]);
+});
+
+test('SRT: số thứ tự làm id, CRLF, nhiều dòng và cue không có văn bản', () => {
+    const cues = parseSubtitle([
+        '1',
+        '00:00:01,000 --> 00:00:02,000',
+        'Line one',
+        '<b>Line two</b>',
+        '',
+        '2',
+        '00:00:03,000 --> 00:00:04,000',
+        '',
+        '3',
+        '00:00:05,000 --> 00:00:06,000',
+        'a --> b'
+    ].join('\r\n'), 'srt');
+
+    assert.deepStrictEqual(cues.map(({ id, start, end, text }) => ({ id, start, end, text })), [
+        { id: '1', start: 1000, end: 2000, text: 'Line one\nLine two' },
+        { id: '3', start: 5000, end: 6000, text: 'a --> b' }
+    ]);
+});
+
+test('XML srv1 và srv3 của YouTube', () => {
+    const srv1 = parseSubtitle('<transcript><text start="1.5" dur="2">It&amp;#39;s</text><text start="0">First</text></transcript>');
+    assert.deepStrictEqual(timings(srv1), [
+        { start: 0, end: 5000, text: 'First' },
+        { start: 1500, end: 3500, text: "It's" }
+    ]);
+
+    const srv3 = parseSubtitle('<timedtext><body><p t="1000" d="2000"><s>Hello</s><s t="500"> world</s></p></body></timedtext>');
+    assert.deepStrictEqual(srv3[0].words, [
+        { text: 'Hello', start: 1000, end: 1500, line: 0 },
+        { text: 'world', start: 1500, end: 3000, line: 0 }
+    ]);
+});
+
+test('json3: event không có dDurationMs kết thúc khi event sau bắt đầu', () => {
+    const cues = parseSubtitle(JSON.stringify({
+        events: [
+            { tStartMs: 0, segs: [{ utf8: 'Hello' }, { utf8: ' there', tOffsetMs: 400 }] },
+            { tStartMs: 1000, dDurationMs: 500 },
+            { tStartMs: 2000, dDurationMs: 1000, segs: [{ utf8: '\n' }] },
+            { tStartMs: 3000, dDurationMs: 1000, segs: [{ utf8: 'Bye' }] }
+        ]
+    }));
+
+    assert.deepStrictEqual(timings(cues), [
+        { start: 0, end: 2000, text: 'Hello there' },
+        { start: 3000, end: 4000, text: 'Bye' }
+    ]);
+    assert.deepStrictEqual(cues[0].words.map(word => [word.text, word.start, word.end]), [['Hello', 0, 400], ['there', 400, 2000]]);
+});
+
+test('Nội dung rỗng hoặc lỗi cú pháp trả về danh sách rỗng', () => {
+    assert.deepStrictEqual(parseSubtitle(''), []);
+    assert.deepStrictEqual(parseSubtitle('{ not json'), []);
+});
@@ -0,0 +1,69 @@
+// test/subtitleRetime.test.js
+// Kiểm tra subtitleRetime.js: hàm chuyển thời gian (offset, hai mốc, đổi fps) và áp dụng cho cue
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./setup');
+
+const { logger } = require('../utils');
+logger.silent = true;
+const { createTimeMapping, retimeCues } = require('../subtitleRetime');
+
+// Hàm tạo cue với các trường mặc định của subtitleParser.js
+function cue(start, end, text, words = null) {
+    return { id: null, start, end, text, settings: {}, voice: null, words };
+}
+
+test('offset nhận số mili giây hoặc chuỗi thời gian, có thể âm', () => {
+    assert.strictEqual(createTimeMapping({ offset: 1500 })(1000), 2500);
+    assert.strictEqual(createTimeMapping({ offset: '-00:00:01.500' })(2000), 500);
+    assert.strictEqual(createTimeMapping({ offset: '1:02' })(0), 62000);
+    assert.strictEqual(createTimeMapping({ offset: '00:01:02' })(0), 62000);
+    assert.throws(() => createTimeMapping({ offset: '1 phút' }), { code: 'INVALID_REQUEST' });
+});
+
+test('anchors kéo giãn tuyến tính qua hai mốc', () => {
+    const mapTime = createTimeMapping({ anchors: [{ from: 1000, to: 2000 }, { from: '00:00:11.000', to: '00:00:22.000' }] });
+    assert.strictEqual(mapTime(1000), 2000);
+    assert.strictEqual(mapTime(11000), 22000);
+    assert.strictEqual(mapTime(6000), 12000);
+    // Ngoài khoảng hai mốc vẫn theo cùng đường thẳng
+    assert.strictEqual(mapTime(500), 1000);
+    assert.strictEqual(mapTime(12000), 24000);
+});
+
+test('anchors không tăng dần hoặc sai số lượng bị từ chối', () => {
+    const invalidAnchors = [
+        [{ from: 5000, to: 5000 }, { from: 1000, to: 9000 }],
+        [{ from: 1000, to: 5000 }, { from: 9000, to: 2000 }],
+        [{ from: 1000, to: 1000 }, { from: 1000, to: 2000 }],
+        [{ from: 1000, to: 1000 }],
+        [{ from: 1000, to: 1000 }, null]
+    ];
+    for (const anchors of invalidAnchors) {
+        assert.throws(() => createTimeMapping({ anchors }), { code: 'INVALID_REQUEST' }, JSON.stringify(anchors));
+    }
+});
+
+test('Đổi fps nhân thời gian với sourceFps / targetFps, trước anchors và offset', () => {
+    assert.strictEqual(createTimeMapping({ sourceFps: 25, targetFps: 23.976 })(23976), 25000);
+    assert.strictEqual(createTimeMapping({ sourceFps: '23.976', targetFps: '25' })(25000), 23976);
+    assert.strictEqual(createTimeMapping({ sourceFps: 50, targetFps: 25, offset: 100 })(1000), 2100);
+    assert.throws(() => createTimeMapping({ sourceFps: 25 }), { code: 'INVALID_REQUEST' });
+    assert.throws(() => createTimeMapping({ sourceFps: 25, targetFps: 0 }), { code: 'INVALID_REQUEST' });
+    assert.throws(() => createTimeMapping({}), { code: 'INVALID_REQUEST' });
+});
+
+test('retimeCues dịch cả mốc từng từ, cắt cue bắt đầu trước 0 và bỏ cue kết thúc trước 0', () => {
+    const words = [{ text: 'a', start: 3000, end: 3500, line: 0 }, { text: 'b', start: 3500, end: 4000, line: 0 }];
+    const retimed = retimeCues([
+        cue(0, 1000, 'gone'),
+        cue(1500, 2500, 'clipped'),
+        cue(3000, 4000, 'a b', words)
+    ], createTimeMapping({ offset: -2000 }));
+
+    assert.deepStrictEqual(retimed.map(({ start, end, text }) => [start, end, text]), [
+        [0, 500, 'clipped'],
+        [1000, 2000, 'a b']
+    ]);
+    assert.deepStrictEqual(retimed[1].words.map(word => [word.start, word.end]), [[1000, 1500], [1500, 2000]]);
+});
@@ -0,0 +1,68 @@
+// test/wordTiming.test.js
+// Kiểm tra mốc thời gian từng từ: tính thời điểm kết thúc khi đọc, chỉnh theo cue khi chuẩn hóa và xuất sang các định dạng
+const { test } = require('node:test');
+const assert = require('node:assert');
+require('./setup');
+
+const { logger } = require('../utils');
+logger.silent = true;
+const { parseSubtitle } = require('../subtitleParser');
+const { serializeCues } = require('../subtitleCues');
+const { normalizeAutoCaptionCues } = require('../autoCaptions');
+
+// Hàm lấy [text, start, end] của các từ để so sánh
+function wordTimings(cue) {
+    return cue.words.map(word => [word.text, word.start, word.end]);
+}
+
+test('Từ kết thúc khi từ sau bắt đầu, từ cuối kết thúc cùng cue', () => {
+    const [cue] = parseSubtitle('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\nHola<00:00:01.400><c> desde</c>\n<00:00:02.000><c>aquí</c>\n');
+    assert.deepStrictEqual(cue.words, [
+        { text: 'Hola', start: 1000, end: 1400, line: 0 },
+        { text: 'desde', start: 1400, end: 2000, line: 0 },
+        { text: 'aquí', start: 2000, end: 3000, line: 1 }
+    ]);
+});
+
+test('Mốc ngoài cue được đưa về trong cue, mốc lùi lại được đẩy lên bằng từ trước', () => {
+    const [cue] = parseSubtitle('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\na<00:00:00.500> b<00:00:02.500> c<00:00:02.000> d<00:00:05.000> e\n');
+    assert.deepStrictEqual(wordTimings(cue), [
+        ['a', 1000, 1000],
+        ['b', 1000, 2500],
+        ['c', 2500, 2500],
+        ['d', 2500, 3000],
+        ['e', 3000, 3000]
+    ]);
+
+    // tOffsetMs của json3 vượt quá thời lượng event
+    const [json3Cue] = parseSubtitle(JSON.stringify({
+        events: [{ tStartMs: 0, dDurationMs: 1000, segs: [{ utf8: 'one' }, { utf8: ' two', tOffsetMs: 1500 }] }]
+    }));
+    assert.deepStrictEqual(wordTimings(json3Cue), [['one', 0, 1000], ['two', 1000, 1000]]);
+});
+
+test('Chuẩn hóa phụ đề tự động kéo mốc của từ theo thời điểm kết thúc mới của cue', () => {
+    const [cue] = normalizeAutoCaptionCues(parseSubtitle(JSON.stringify({
+        events: [{ tStartMs: 0, dDurationMs: 10000, segs: [{ utf8: 'long' }, { utf8: ' caption', tOffsetMs: 8000 }] }]
+    })));
+    assert.strictEqual(cue.end, 7000);
+    assert.deepStrictEqual(wordTimings(cue), [['long', 0, 7000], ['caption', 7000, 7000]]);
+});
+
+test('Xuất mốc từng từ sang ASS \\k, LRC mở rộng, JSON và json3', () => {
+    const [cue] = parseSubtitle('WEBVTT\n\n00:00:01.000 --> 00:00:03.000\n<00:00:01.500>a<00:00:02.000> b\n');
+    const options = { wordTiming: true };
+
+    assert.match(serializeCues([cue], 'ass', options), /,,\{\\k50\}\{\\k50\}a \{\\k100\}b\n$/);
+    assert.strictEqual(serializeCues([cue], 'lrc', options), '[00:01.00]<00:01.50>a <00:02.00>b\n[00:03.00]\n');
+    assert.deepStrictEqual(JSON.parse(serializeCues([cue], 'json', options))[0].words, [
+        { text: 'a', start: 1500, end: 2000 },
+        { text: 'b', start: 2000, end: 3000 }
+    ]);
+    const json3 = serializeCues([cue], 'json3', options);
+    assert.deepStrictEqual(JSON.parse(json3).events[0].segs, [
+        { utf8: 'a', tOffsetMs: 500 },
+        { utf8: ' b', tOffsetMs: 1000 }
+    ]);
+    assert.deepStrictEqual(parseSubtitle(json3)[0].words, cue.words);
+});
@@ -3,19 +3,18 @@ const fs = require('fs').promises;
 const path = require('path');
 const winston = require('winston');
 const ffmpeg = require('fluent-ffmpeg');
-const ytdl = require('@distube/ytdl-core');
-const ytDlp = require('yt-dlp-exec');
+const { LOG_LEVEL, LOG_DIR } = require('./config');
 
 // Khởi tạo logger với winston
 const logger = winston.createLogger({
-    level: 'info',
+    level: LOG_LEVEL,
     format: winston.format.combine(
         winston.format.timestamp(),
         winston.format.json()
     ),
     transports: [
-        new winston.transports.File({ filename: 'error.log', level: 'error' }),
-        new winston.transports.File({ filename: 'combined.log' }),
+        new winston.transports.File({ filename: path.join(LOG_DIR, 'error.log'), level: 'error' }),
+        new winston.transports.File({ filename: path.join(LOG_DIR, 'combined.log') }),
         new winston.transports.Console()
     ]
 });
@@ -48,8 +47,8 @@ async function checkFFmpeg() {
     });
 }
 
-// Hàm kiểm tra tính toàn vẹn của file
-async function validateFile(filePath, type) {
+// Hàm kiểm tra tính toàn vẹn của file; audioCodec (tên codec theo ffprobe) nếu cần kiểm tra codec âm thanh
+async function validateFile(filePath, type, audioCodec = null) {
     try {
         return new Promise((resolve) => {
             ffmpeg.ffprobe(filePath, (err, metadata) => {
@@ -74,12 +73,17 @@ async function validateFile(filePath, type) {
                         return;
                     }
                 } else if (type === 'audio') {
-                    const hasAudio = metadata.streams.some(stream => stream.codec_type === 'audio');
-                    if (!hasAudio) {
+                    const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+                    if (!audioStream) {
                         logger.error(`File audio không hợp lệ (thiếu audio stream): ${filePath}`);
                         resolve(false);
                         return;
                     }
+                    if (audioCodec && audioStream.codec_name !== audioCodec) {
+                        logger.error(`File audio không đúng codec (${audioStream.codec_name}, cần ${audioCodec}): ${filePath}`);
+                        resolve(false);
+                        return;
+                    }
                 }
 
                 resolve(true);
@@ -91,33 +95,28 @@ async function validateFile(filePath, type) {
     }
 }
 
-// Hàm xóa file cũ nhất nếu vượt quá giới hạn
-async function cleanFolder(folderPath, maxFiles = 10) {
-    try {
-        const exists = await fs.access(folderPath).then(() => true).catch(() => false);
-        if (!exists) return;
-
-        const files = await fs.readdir(folderPath);
-        const fileStats = [];
-
-        for (const file of files) {
-            const filePath = path.join(folderPath, file);
-            const stats = await fs.stat(filePath);
-            if (stats.isFile()) {
-                fileStats.push({ file, mtimeMs: stats.mtimeMs });
+// Hàm đọc thông tin media (độ dài, độ phân giải, codec) bằng ffprobe; trả về null nếu không đọc được
+function probeMedia(filePath) {
+    return new Promise((resolve) => {
+        ffmpeg.ffprobe(filePath, (err, metadata) => {
+            if (err || !metadata || !metadata.streams) {
+                logger.warn(`Không đọc được thông tin media: ${filePath}${err ? `, error: ${err.message}` : ''}`);
+                resolve(null);
+                return;
             }
-        }
 
-        if (fileStats.length > maxFiles) {
-            fileStats.sort((a, b) => a.mtimeMs - b.mtimeMs);
-            const fileToDelete = path.join(folderPath, fileStats[0].file);
-            logger.info(`Chuẩn bị xóa file cũ nhất: ${fileToDelete}`);
-            await fs.unlink(fileToDelete);
-            logger.info(`Đã xóa file cũ nhất: ${fileToDelete}`);
-        }
-    } catch (error) {
-        logger.error(`Error cleaning folder ${folderPath}: ${error.message}`);
-    }
+            const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
+            const audioStream = metadata.streams.find(stream => stream.codec_type === 'audio');
+            resolve({
+                duration: parseFloat(metadata.format?.duration) || null,
+                width: videoStream?.width || null,
+                height: videoStream?.height || null,
+                resolution: videoStream?.height ? `${videoStream.height}p` : null,
+                videoCodec: videoStream?.codec_name || null,
+                audioCodec: audioStream?.codec_name || null
+            });
+        });
+    });
 }
 
 // Hàm xử lý tiêu đề thành tên file hợp lệ
@@ -133,49 +132,18 @@ function sanitizeFileName(title) {
         .trim();
 }
 
-// Hàm kiểm tra tính khả dụng của video YouTube
-async function checkVideoAvailability(videoId) {
-    try {
-        const response = await fetchWithRetry(`https://www.googleapis.com/youtube/v3/videos`, {
-            params: {
-                part: 'status',
-                id: videoId,
-                key: process.env.YOUTUBE_API_KEY
-            }
-        });
-        const video = response.data.items[0];
-        if (!video) {
-            return { isAvailable: false, reason: 'Video không tồn tại hoặc đã bị xóa.' };
-        }
-        if (video.status.uploadStatus !== 'processed') {
-            return { isAvailable: false, reason: 'Video chưa được xử lý hoàn tất.' };
-        }
-        return { isAvailable: true };
-    } catch (error) {
-        logger.error(`Error checking video availability: ${error.message}`);
-        return { isAvailable: false, reason: 'Không thể kiểm tra tính khả dụng của video.' };
+// Hàm chuyển thời điểm dạng giây hoặc hh:mm:ss(.ms) / mm:ss sang số giây; trả về null nếu không hợp lệ
+function parseTimestamp(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
     }
-}
-
-// Hàm lấy tiêu đề video từ YouTube API
-async function getVideoTitle(videoId) {
-    try {
-        const response = await fetchWithRetry(`https://www.googleapis.com/youtube/v3/videos`, {
-            params: {
-                part: 'snippet',
-                id: videoId,
-                key: process.env.YOUTUBE_API_KEY
-            }
-        });
-        const item = response.data.items[0];
-        if (item) {
-            return sanitizeFileName(item.snippet.title);
-        }
-        return `Video_YouTube_${videoId}`;
-    } catch (error) {
-        logger.error(`Error fetching video title: ${error.message}`);
-        return `Video_YouTube_${videoId}`;
+    if (typeof value !== 'string' || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value.trim())) {
+        return null;
     }
+
+    const parts = value.trim().split(':').map(Number);
+    if (parts.slice(1).some(part => part >= 60)) return null;
+    return parts.reduce((total, part) => total * 60 + part, 0);
 }
 
 // Hàm cắt đoạn văn bản nếu vượt quá giới hạn ký tự
@@ -184,62 +152,40 @@ function truncateSubtitleText(text) {
     return text.trim();
 }
 
+// Bộ đọc/xuất phụ đề, nạp khi dùng vì subtitleParser.js và subtitleCues.js cũng dùng logger và các hàm thời gian của file này
+function getSubtitleModules() {
+    return { ...require('./subtitleParser'), ...require('./subtitleCues') };
+}
+
+// Hàm chuyển mảng phụ đề ({ startMs, durationMs, subtitle } hoặc { start, end, text } tính bằng giây) thành cue
+function subtitlesToCues(subtitles) {
+    return (subtitles || [])
+        .map((sub) => {
+            const start = sub.startMs !== undefined ? sub.startMs : Math.round(sub.start * 1000);
+            const end = sub.startMs !== undefined ? sub.startMs + sub.durationMs : Math.round(sub.end * 1000);
+            return { id: null, start, end, text: truncateSubtitleText(sub.subtitle || sub.text), settings: {}, voice: null };
+        })
+        .filter(cue => cue.text && Number.isFinite(cue.start) && Number.isFinite(cue.end));
+}
+
 // Hàm chuyển đổi phụ đề sang VTT
 function arrayToVtt(subtitles) {
-    if (!subtitles || subtitles.length === 0) return null;
-    let vtt = '';
-    subtitles.forEach((sub) => {
-        const start = sub.startMs ? msToTime(sub.startMs) : msToTime(sub.start * 1000);
-        const end = sub.startMs ? msToTime(sub.startMs + sub.durationMs) : msToTime(sub.end * 1000);
-        const text = sub.subtitle || sub.text;
-        if (text && text.trim()) {
-            const truncatedText = truncateSubtitleText(text);
-            vtt += `${start} --> ${end}\n${truncatedText}\n\n`;
-        }
-    });
-    return vtt.trim() === '' ? null : vtt.trim();
+    return getSubtitleModules().serializeCues(subtitlesToCues(subtitles), 'vtt');
 }
 
 // Hàm chuyển đổi phụ đề sang SRT
 function arrayToSrt(subtitles) {
-    if (!subtitles || subtitles.length === 0) return null;
-    let srt = '';
-    subtitles.forEach((sub) => {
-        const start = sub.startMs ? msToTimeSrt(sub.startMs) : msToTimeSrt(sub.start * 1000);
-        const end = sub.startMs ? msToTimeSrt(sub.startMs + sub.durationMs) : msToTimeSrt(sub.end * 1000);
-        const text = sub.subtitle || sub.text;
-        if (text && text.trim()) {
-            const truncatedText = truncateSubtitleText(text);
-            srt += `${start} --> ${end}\n${truncatedText}\n\n`;
-        }
-    });
-    return srt.trim() === '' ? null : srt.trim();
+    return getSubtitleModules().serializeCues(subtitlesToCues(subtitles), 'srt');
 }
 
-// Hàm chuyển đổi phụ đề sang XML
+// Hàm chuyển đổi phụ đề sang XML (srv1 của YouTube)
 function arrayToXml(subtitles) {
-    if (!subtitles || subtitles.length === 0) return null;
-    let xml = '';
-    subtitles.forEach((sub) => {
-        const start = sub.startMs ? msToTime(sub.startMs) : msToTime(sub.start * 1000);
-        const end = sub.startMs ? msToTime(sub.startMs + sub.durationMs) : msToTime(sub.end * 1000);
-        const text = sub.subtitle || sub.text;
-        if (text && text.trim()) {
-            const truncatedText = truncateSubtitleText(text);
-            xml += `${start} --> ${end}\n${truncatedText}\n\n`;
-        }
-    });
-    return xml.trim() === '' ? null : xml.trim();
+    return getSubtitleModules().serializeCues(subtitlesToCues(subtitles), 'xml');
 }
 
 // Hàm chuyển đổi phụ đề sang TXT
 function arrayToTxt(subtitles) {
-    if (!subtitles || subtitles.length === 0) return null;
-    const text = subtitles
-        .filter(sub => (sub.subtitle || sub.text) && (sub.subtitle || sub.text).trim())
-        .map(sub => truncateSubtitleText(sub.subtitle || sub.text))
-        .join('\n\n');
-    return text.trim() === '' ? null : text.trim();
+    return getSubtitleModules().serializeCues(subtitlesToCues(subtitles), 'txt');
 }
 
 // Hàm chuyển đổi thời gian từ milliseconds sang định dạng VTT
@@ -267,277 +213,37 @@ function pad(num, size = 2) {
 
 // Hàm chuyển đổi VTT sang SRT
 function convertVttToSrt(vttText) {
-    if (!vttText || vttText.trim() === '') {
-        logger.error('Empty VTT content');
-        return null;
-    }
-
-    let srtText = '';
-    const lines = vttText.split('\n');
-    let i = 0;
-    let subtitleIndex = 1;
-    let subtitleCount = 0;
-
-    // Bỏ qua tiêu đề WEBVTT và các dòng trống đầu tiên
-    while (i < lines.length && (lines[i].startsWith('WEBVTT') || lines[i].trim() === '')) {
-        i++;
-    }
-
-    while (i < lines.length) {
-        try {
-            if (lines[i].match(/\d{2}:\d{2}:\d{2}\.\d{3} --> \d{2}:\d{2}:\d{2}\.\d{3}/)) {
-                const timeLine = lines[i].replace('.', ',');
-                i++;
-                let subtitleText = '';
-                while (i < lines.length && lines[i].trim() !== '') {
-                    subtitleText += (subtitleText ? '\n' : '') + lines[i].trim();
-                    i++;
-                }
-                if (subtitleText.trim()) {
-                    srtText += `${subtitleIndex}\n${timeLine}\n${subtitleText.trim()}\n\n`;
-                    subtitleIndex++;
-                    subtitleCount++;
-                }
-            }
-            i++;
-        } catch (error) {
-            logger.error(`Error converting VTT to SRT at line ${i}: ${error.message}`);
-            i++;
-        }
-    }
-
-    if (subtitleCount === 0) {
+    const cues = getSubtitleModules().parseSubtitle(vttText, 'vtt');
+    if (cues.length === 0) {
         logger.error('No valid subtitles after conversion to SRT');
         return null;
     }
 
-    logger.info(`Converted ${subtitleCount} subtitles to SRT format`);
-    return srtText;
+    logger.info(`Converted ${cues.length} subtitles to SRT format`);
+    return getSubtitleModules().serializeCues(cues, 'srt');
 }
 
 // Hàm trích xuất văn bản từ VTT thành TXT
 function extractTextFromVtt(vttText) {
-    if (!vttText || vttText.trim() === '') {
-        logger.error('Empty VTT content');
-        return null;
-    }
-
-    const lines = vttText.split('\n');
-    let text = '';
-    let i = 0;
-    let subtitleCount = 0;
-
-    // Bỏ qua tiêu đề WEBVTT và các dòng trống đầu tiên
-    while (i < lines.length && (lines[i].startsWith('WEBVTT') || lines[i].trim() === '')) {
-        i++;
-    }
-
-    while (i < lines.length) {
-        try {
-            if (lines[i].match(/\d{2}:\d{2}:\d{2}\.\d{3} --> \d{2}:\d{2}:\d{2}\.\d{3}/)) {
-                i++;
-                let subtitleText = '';
-                while (i < lines.length && lines[i].trim() !== '') {
-                    subtitleText += (subtitleText ? '\n' : '') + lines[i].trim();
-                    i++;
-                }
-                if (subtitleText.trim()) {
-                    text += (text ? '\n\n' : '') + subtitleText.trim();
-                    subtitleCount++;
-                }
-            }
-            i++;
-        } catch (error) {
-            logger.error(`Error extracting text from VTT at line ${i}: ${error.message}`);
-            i++;
-        }
-    }
-
-    if (subtitleCount === 0) {
+    const cues = getSubtitleModules().parseSubtitle(vttText, 'vtt');
+    if (cues.length === 0) {
         logger.error('No valid subtitles after extraction to TXT');
         return null;
     }
 
-    logger.info(`Extracted ${subtitleCount} subtitles to TXT format`);
-    return text;
+    logger.info(`Extracted ${cues.length} subtitles to TXT format`);
+    return getSubtitleModules().serializeCues(cues, 'txt').trim();
 }
 
-// Hàm parse XML phụ đề từ YouTube
+// Hàm parse XML phụ đề từ YouTube thành mảng { start, duration, text } (giây)
 function parseXmlSubtitles(xmlContent) {
-    try {
-        const subtitles = [];
-        const lines = xmlContent.split('\n');
-        let currentSubtitle = null;
-        let subtitleCount = 0;
-
-        for (const line of lines) {
-            const startMatch = line.match(/start="([^"]+)"/);
-            const durMatch = line.match(/dur="([^"]+)"/);
-            const textMatch = line.match(/<text[^>]*>(.*?)<\/text>/);
-
-            if (startMatch) {
-                if (currentSubtitle && currentSubtitle.text.trim()) {
-                    subtitles.push(currentSubtitle);
-                    subtitleCount++;
-                }
-                currentSubtitle = {
-                    start: parseFloat(startMatch[1]),
-                    duration: durMatch ? parseFloat(durMatch[1]) : 5,
-                    text: ''
-                };
-            }
-
-            if (textMatch && currentSubtitle) {
-                const text = textMatch[1].trim();
-                if (text) {
-                    // Thay thế các ký tự đặc biệt
-                    const decodedText = text
-                        .replace(/&amp;/g, '&')
-                        .replace(/&lt;/g, '<')
-                        .replace(/&gt;/g, '>')
-                        .replace(/&quot;/g, '"')
-                        .replace(/&#39;/g, "'")
-                        .replace(/&nbsp;/g, ' ');
-                    
-                    currentSubtitle.text += (currentSubtitle.text ? ' ' : '') + decodedText;
-                }
-            }
-        }
-
-        if (currentSubtitle && currentSubtitle.text.trim()) {
-            subtitles.push(currentSubtitle);
-            subtitleCount++;
-        }
-
-        logger.info(`Parsed ${subtitleCount} subtitles from XML`);
-        return subtitles;
-    } catch (error) {
-        logger.error(`Error parsing XML subtitles: ${error.message}`);
-        return null;
-    }
-}
-
-// Hàm lấy danh sách ngôn ngữ phụ đề khả dụng
-async function getAvailableSubtitleLanguages(url) {
-    try {
-        // Phương pháp 1: Sử dụng yt-dlp
-        try {
-            const result = await ytDlp(url, {
-                listSubs: true,
-                skipDownload: true,
-                noCheckCertificates: true,
-                noWarnings: true,
-                preferFreeFormats: true,
-                addHeader: [
-                    'referer:youtube.com',
-                    'user-agent:Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                ]
-            }, { stdio: 'pipe' });
-
-            const lines = result.split('\n');
-            const languages = { manual: [], auto: [] };
-
-            for (const line of lines) {
-                if (line.includes('Available subtitles for')) {
-                    const langLines = lines.slice(lines.indexOf(line) + 1);
-                    for (const langLine of langLines) {
-                        if (langLine.trim() === '' || langLine.includes('Available automatic captions')) break;
-                        const langCode = langLine.split(/\s+/)[0];
-                        if (langCode) languages.manual.push(langCode);
-                    }
-                }
-                if (line.includes('Available automatic captions for')) {
-                    const autoLangLines = lines.slice(lines.indexOf(line) + 1);
-                    for (const autoLangLine of autoLangLines) {
-                        if (autoLangLine.trim() === '') break;
-                        const langCode = autoLangLine.split(/\s+/)[0];
-                        if (langCode) languages.auto.push(langCode);
-                    }
-                }
-            }
-
-            if (languages.manual.length > 0 || languages.auto.length > 0) {
-                return languages;
-            }
-        } catch (ytdlpError) {
-            logger.error(`yt-dlp subtitle language fetch failed: ${ytdlpError.message}`);
-        }
-
-        // Phương pháp 2: Sử dụng @distube/ytdl-core
-        try {
-            const info = await ytdl.getInfo(url, { 
-                timeout: 30000,
-                requestOptions: {
-                    headers: {
-                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-                        'Accept': '*/*',
-                        'Accept-Language': 'en-US,en;q=0.9',
-                        'Range': 'bytes=0-'
-                    }
-                }
-            });
-            const captions = info.player_response.captions;
-            if (captions && captions.playerCaptionsTracklistRenderer) {
-                const captionTracks = captions.playerCaptionsTracklistRenderer.captionTracks || [];
-                const manualLanguages = captionTracks.map(track => track.languageCode);
-
-                const translationLanguages = captions.playerCaptionsTracklistRenderer.translationLanguages || [];
-                const autoLanguages = translationLanguages.map(lang => lang.languageCode);
-
-                return { manual: manualLanguages, auto: autoLanguages };
-            }
-        } catch (ytdlError) {
-            logger.error(`@distube/ytdl-core subtitle language fetch failed: ${ytdlError.message}`);
-        }
-
-        // Phương pháp 3: Sử dụng YouTube API
-        try {
-            const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
-            if (videoId) {
-                const response = await fetchWithRetry(`https://www.googleapis.com/youtube/v3/captions`, {
-                    params: {
-                        part: 'snippet',
-                        videoId: videoId,
-                        key: process.env.YOUTUBE_API_KEY
-                    }
-                });
-                const items = response.data.items || [];
-                const languages = { manual: [], auto: [] };
-                items.forEach(item => {
-                    const langCode = item.snippet.language;
-                    if (item.snippet.trackKind === 'ASR') {
-                        languages.auto.push(langCode);
-                    } else {
-                        languages.manual.push(langCode);
-                    }
-                });
-                if (languages.manual.length > 0 || languages.auto.length > 0) {
-                    return languages;
-                }
-            }
-        } catch (apiError) {
-            logger.error(`YouTube API subtitle language fetch failed: ${apiError.message}`);
-        }
-
-        // Phương pháp 4: Sử dụng node-youtube-subtitles
-        try {
-            const { getSubtitles } = require('node-youtube-subtitles');
-            const videoId = url.match(/[?&]v=([^&]+)/)?.[1] || url.match(/youtu\.be\/([^?&]+)/)?.[1];
-            if (videoId) {
-                const subtitles = await getSubtitles({ videoID: videoId });
-                if (subtitles && subtitles.length > 0) {
-                    return { manual: ['en'], auto: [] };
-                }
-            }
-        } catch (nodeError) {
-            logger.error(`node-youtube-subtitles subtitle language fetch failed: ${nodeError.message}`);
-        }
-
-        return { manual: [], auto: [] };
-    } catch (error) {
-        logger.error(`Error getting available subtitle languages: ${error.message}`);
-        return { manual: [], auto: [] };
-    }
+    const cues = getSubtitleModules().parseSubtitle(xmlContent, 'xml');
+    logger.info(`Parsed ${cues.length} subtitles from XML`);
+    return cues.map(cue => ({
+        start: cue.start / 1000,
+        duration: (cue.end - cue.start) / 1000,
+        text: cue.text
+    }));
 }
 
 // Hàm trả về ngôn ngữ mặc định cố định
@@ -568,17 +274,30 @@ function getYouTubeVideoId(url) {
     return null;
 }
 
+// Hàm lấy playlist ID (tham số list=) từ URL YouTube
+function getYouTubePlaylistId(url) {
+    if (!url) return null;
+    const match = url.match(/youtube\.com\/(?:playlist|watch)\?(?:.*&)?list=([^&\n#]+)/);
+    return match ? match[1] : null;
+}
+
+// Hàm kiểm tra URL có phải là kênh YouTube không
+function isYouTubeChannelUrl(url) {
+    if (!url) return false;
+    return /youtube\.com\/(?:channel\/|c\/|user\/|@)[^/?#]+/.test(url);
+}
+
 // Xuất khẩu các hàm
 module.exports = {
     logger,
     fetchWithRetry,
     checkFFmpeg,
     validateFile,
-    cleanFolder,
+    probeMedia,
     sanitizeFileName,
-    checkVideoAvailability,
-    getVideoTitle,
+    parseTimestamp,
     truncateSubtitleText,
+    subtitlesToCues,
     arrayToVtt,
     arrayToSrt,
     arrayToXml,
@@ -589,7 +308,8 @@ module.exports = {
     convertVttToSrt,
     extractTextFromVtt,
     parseXmlSubtitles,
-    getAvailableSubtitleLanguages,
     getDefaultLanguage,
-    getYouTubeVideoId
+    getYouTubeVideoId,
+    getYouTubePlaylistId,
+    isYouTubeChannelUrl
 };
\ No newline at end of file
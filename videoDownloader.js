@@ -1,40 +1,55 @@
 // videoDownloader.js
-const { RateLimiterMemory } = require('rate-limiter-flexible');
-const fs = require('fs');
 const fsPromises = require('fs').promises;
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const ytdl = require('@distube/ytdl-core');
-const ytDlp = require('yt-dlp-exec');
 const ffmpeg = require('fluent-ffmpeg');
 const {
     logger,
     fetchWithRetry,
     checkFFmpeg,
     validateFile,
-    cleanFolder,
+    probeMedia,
     sanitizeFileName,
-    checkVideoAvailability,
-    getVideoTitle,
+    parseTimestamp,
     getYouTubeVideoId
 } = require('./utils');
-
-// Rate Limiter: Giới hạn 50 request/phút cho endpoint tải video
-const rateLimiter = new RateLimiterMemory({
-    points: 50,
-    duration: 60,
-});
+const { JOB_STATUS, registerJobHandler, enqueueJob, updateJobPayload, getJob, cancelJob } = require('./jobQueue');
+const { ERROR_CODES, AppError, createAvailabilityError } = require('./errors');
+const { runWithProviders, checkVideoAvailability, getVideoTitle } = require('./providers');
+const { getCacheKey, lookupCacheEntry, storeCacheEntry } = require('./mediaCache');
+const { createSignedUrl } = require('./signedUrls');
+const { assertDownloadQuota, getJobApiKeyIds, recordKeyBytes } = require('./apiKeys');
+const { getClientId } = require('./rateLimit');
+const { runRetention } = require('./retention');
+const { PROGRESS_STAGES, createProgressTracker, parseFfmpegProgress } = require('./progress');
+const { createCancelledError, runFfmpeg, applyAudioOutput } = require('./providers/helpers');
+const {
+    AUDIO_FORMATS,
+    AUDIO_FORMAT_ALIASES,
+    DEFAULT_AUDIO_FORMAT,
+    DEFAULT_AUDIO_BITRATE,
+    AUDIO_BITRATE_RANGE,
+    VIDEO_QUALITY,
+    VIDEO_RESOLUTIONS,
+    VIDEO_CODECS
+} = require('./config');
 
 // Thêm các hàm tiện ích mới
 const DOWNLOAD_DIR = path.join(__dirname, 'downloads');
 const TEMP_DIR = path.join(__dirname, 'temp');
 
+// Các loại tải được hỗ trợ
+const DOWNLOAD_TYPES = ['video', 'audio'];
+
+// Job tải đang chạy theo khóa cache, để các yêu cầu giống nhau dùng chung một job
+const activeDownloads = new Map();
+
 // Thêm các hằng số và hàm tiện ích mới
 const FFMPEG_OPTIONS = {
     threads: Math.max(1, Math.floor(require('os').cpus().length / 2)), // Sử dụng 50% số CPU cores
     preset: 'medium', // Cân bằng giữa tốc độ và chất lượng
     crf: 23, // Chất lượng video (18-28 là tốt, càng thấp càng tốt)
-    audioBitrate: '128k', // Bitrate âm thanh
+    audioBitrate: `${DEFAULT_AUDIO_BITRATE}k`, // Bitrate âm thanh
     audioChannels: 2, // Số kênh âm thanh
     audioCodec: 'aac', // Codec âm thanh
     videoCodec: 'libx264', // Codec video
@@ -103,52 +118,6 @@ initializeDirectories().catch(error => {
     logger.error(`Failed to initialize directories: ${error.message}`);
 });
 
-// Hàm kiểm tra danh sách định dạng để chọn định dạng khả dụng
-async function getAvailableFormats(videoUrl) {
-    logger.info(`Fetching formats for URL: ${videoUrl}`);
-    try {
-        const info = await ytdl.getInfo(videoUrl, { timeout: 30000 });
-        const formats = info.formats;
-        return formats.map(format => ({
-            itag: format.itag,
-            quality: format.qualityLabel || format.audioBitrate,
-            container: format.container,
-            type: format.mimeType.includes('video') ? 'video' : 'audio'
-        }));
-    } catch (error) {
-        logger.error(`Error in getAvailableFormats with @distube/ytdl-core: ${error.message}`);
-        return [];
-    }
-}
-
-// Hàm chọn định dạng khả dụng dựa trên chất lượng và loại nội dung
-async function selectAvailableFormat(videoUrl, quality, type) {
-    const formats = await getAvailableFormats(videoUrl);
-    if (formats.length === 0) return null;
-
-    const qualityMap = {
-        high: ['1080p', '720p'],
-        medium: ['720p', '480p'],
-        low: ['360p', '240p']
-    };
-    const preferredQualities = qualityMap[quality] || qualityMap['high'];
-
-    for (let q of preferredQualities) {
-        const format = formats.find(f => f.quality === q && f.type.includes(type));
-        if (format) return format.itag;
-    }
-
-    if (type === 'video') {
-        const videoFormat = formats.find(f => f.type.includes('video'));
-        if (videoFormat) return videoFormat.itag;
-    }
-
-    const audioFormat = formats.find(f => f.type.includes('audio'));
-    if (audioFormat) return audioFormat.itag;
-
-    return formats[0]?.itag || null;
-}
-
 // Hàm tối ưu FFmpeg command
 function getOptimizedFFmpegCommand() {
     return ffmpeg()
@@ -188,383 +157,530 @@ async function processVideoWithMemoryOptimization(inputPath, outputPath, options
     });
 }
 
-// Hàm xử lý tải video hoặc âm thanh
-async function handleDownload(req, res, downloadProgressMap) {
-    const { url, platform, type, quality } = req.body;
+// Hàm xóa các file tạm của một job trong thư mục temp
+async function removeJobTempFiles(jobId) {
+    try {
+        const files = await fsPromises.readdir(TEMP_DIR);
+        for (const file of files.filter(f => f.startsWith(`${jobId}_`))) {
+            await fsPromises.unlink(path.join(TEMP_DIR, file)).catch(() => {});
+        }
+    } catch (error) {
+        logger.error(`Không thể xóa file tạm của job ${jobId}: ${error.message}`);
+    }
+}
 
-    // Kiểm tra dữ liệu đầu vào
-    if (!url || !platform || !type) {
-        logger.warn(`Missing required fields (url, platform, type) from IP: ${req.ip}`);
-        throw new Error('Thiếu thông tin cần thiết (url, platform, type)');
+// Hàm kiểm tra tham số tùy chọn không được truyền
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Hàm kiểm tra loại tải: chỉ nhận 'video' hoặc 'audio'
+function parseDownloadType(type) {
+    if (!DOWNLOAD_TYPES.includes(type)) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Loại tải không hợp lệ (${DOWNLOAD_TYPES.join(', ')}): ${type}`);
     }
+    return type;
+}
 
-    // Áp dụng giới hạn tốc độ
-    await rateLimiter.consume('download_endpoint', 1);
-    logger.info(`Download request: ${type} from ${platform}, URL: ${url}, IP: ${req.ip}`);
+// Hàm đọc đoạn cần cắt từ start/end (giây hoặc hh:mm:ss); trả về null nếu tải toàn bộ
+function parseClipRange(start, end) {
+    if (isMissing(start) && isMissing(end)) return null;
 
-    // Kiểm tra FFmpeg
-    const ffmpegAvailable = await checkFFmpeg();
-    if (!ffmpegAvailable) {
-        logger.error('FFmpeg is not installed or accessible');
-        throw new Error('FFmpeg không được cài đặt hoặc không thể truy cập');
+    const clipStart = isMissing(start) ? 0 : parseTimestamp(start);
+    const clipEnd = isMissing(end) ? null : parseTimestamp(end);
+    if (clipStart === null || (!isMissing(end) && clipEnd === null)) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Thời điểm cắt không hợp lệ (start: ${start}, end: ${end})`);
+    }
+    if (clipEnd !== null && clipEnd <= clipStart) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Thời điểm kết thúc phải lớn hơn thời điểm bắt đầu (start: ${start}, end: ${end})`);
     }
+    return { start: clipStart, end: clipEnd };
+}
 
-    // Tạo ID tải xuống và lưu vào tiến trình
-    const downloadId = uuidv4();
-    downloadProgressMap.set(downloadId, { progress: 0, error: null });
+// Hàm đọc định dạng âm thanh và bitrate (kbps, ví dụ 192 hoặc '192k') hoặc mức VBR (0 tốt nhất - 9)
+function parseAudioOptions(audioFormat, audioBitrate, audioQuality) {
+    const requestedFormat = isMissing(audioFormat) ? DEFAULT_AUDIO_FORMAT : String(audioFormat).toLowerCase();
+    const format = AUDIO_FORMAT_ALIASES[requestedFormat] || requestedFormat;
+    if (!AUDIO_FORMATS[format]) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Định dạng âm thanh không được hỗ trợ: ${audioFormat}`);
+    }
+    if (!isMissing(audioBitrate) && !isMissing(audioQuality)) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Chỉ chọn một trong audioBitrate hoặc audioQuality');
+    }
 
-    if (platform === 'youtube') {
-        // Kiểm tra tính hợp lệ của URL YouTube
-        const videoId = getYouTubeVideoId(url);
-        if (!videoId) {
-            logger.warn(`Invalid YouTube URL from IP: ${req.ip}: ${url}`);
-            throw new Error('URL YouTube không hợp lệ');
-        }
+    // Định dạng lossless (flac, wav) không dùng bitrate
+    if (AUDIO_FORMATS[format].lossless) {
+        return { format, bitrate: null, vbr: null };
+    }
 
-        // Kiểm tra tính khả dụng của video
-        const availability = await checkVideoAvailability(videoId);
-        if (!availability.isAvailable) {
-            logger.warn(`Video not available: ${videoId}, reason: ${availability.reason}`);
-            throw new Error(availability.reason);
+    if (!isMissing(audioQuality)) {
+        const vbr = Number(audioQuality);
+        if (!Number.isInteger(vbr) || vbr < 0 || vbr > 9) {
+            throw new AppError(ERROR_CODES.INVALID_REQUEST, `Mức VBR không hợp lệ (0-9): ${audioQuality}`);
         }
+        return { format, bitrate: null, vbr };
+    }
 
-        // Đảm bảo videoTitle luôn có giá trị hợp lệ
-        let videoTitle = await getVideoTitle(videoId);
-        if (!videoTitle || videoTitle.trim() === '') {
-            videoTitle = `Video_YouTube_${videoId}`; // Fallback nếu không lấy được tiêu đề
-        }
+    if (isMissing(audioBitrate)) {
+        return { format, bitrate: DEFAULT_AUDIO_BITRATE, vbr: null };
+    }
+    const bitrateMatch = String(audioBitrate).trim().match(/^(\d+)\s*k?(bps)?$/i);
+    const bitrate = bitrateMatch ? parseInt(bitrateMatch[1], 10) : NaN;
+    if (!(bitrate >= AUDIO_BITRATE_RANGE.min && bitrate <= AUDIO_BITRATE_RANGE.max)) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST,
+            `Bitrate âm thanh không hợp lệ (${AUDIO_BITRATE_RANGE.min}-${AUDIO_BITRATE_RANGE.max} kbps): ${audioBitrate}`);
+    }
+    return { format, bitrate, vbr: null };
+}
 
-        const fileExtension = type === 'video' ? 'mp4' : 'mp3';
-        const sanitizedTitle = sanitizeFileName(videoTitle);
-        const fileName = `${sanitizedTitle}${quality ? `_${quality}` : ''}.${fileExtension}`;
-        const filePath = path.join(DOWNLOAD_DIR, fileName);
-        const tempFilePath = path.join(TEMP_DIR, `${downloadId}_${fileName}`);
+// Hàm đọc dung lượng tối đa: số (MB) hoặc chuỗi có đơn vị K/M/G (ví dụ '500M', '1.5GB'); trả về số byte
+function parseFileSize(value) {
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([KMG])?i?B?$/i);
+    if (!match) return null;
+    const units = { K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 };
+    const bytes = Math.floor(parseFloat(match[1]) * units[(match[2] || 'M').toUpperCase()]);
+    return bytes > 0 ? bytes : null;
+}
 
-        // Tạo thư mục lưu trữ nếu chưa tồn tại
-        if (!await fsPromises.access(DOWNLOAD_DIR).then(() => true).catch(() => false)) {
-            await fsPromises.mkdir(DOWNLOAD_DIR, { recursive: true });
+// Hàm đọc yêu cầu video: quality (high/medium/low hoặc 2160p...144p), codec ưu tiên (h264/vp9/av1), dung lượng tối đa
+function parseVideoOptions(quality, videoCodec, maxFilesize) {
+    let height = VIDEO_QUALITY.high;
+    if (!isMissing(quality)) {
+        const requested = String(quality).toLowerCase();
+        height = VIDEO_QUALITY[requested] || parseInt((requested.match(/^(\d+)p?$/) || [])[1], 10);
+        if (!VIDEO_RESOLUTIONS.includes(height)) {
+            throw new AppError(ERROR_CODES.INVALID_REQUEST,
+                `Chất lượng video không hợp lệ (high/medium/low hoặc ${VIDEO_RESOLUTIONS.map(h => `${h}p`).join('/')}): ${quality}`);
         }
+    }
 
-        // Dọn dẹp thư mục downloads
-        await cleanFolder(DOWNLOAD_DIR);
+    const codec = isMissing(videoCodec) ? null : String(videoCodec).toLowerCase();
+    if (codec && !VIDEO_CODECS[codec]) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST,
+            `Codec video không được hỗ trợ (${Object.keys(VIDEO_CODECS).join('/')}): ${videoCodec}`);
+    }
 
-        // Kiểm tra nếu file đã tồn tại
-        if (await fsPromises.access(filePath).then(() => true).catch(() => false)) {
-            const stats = await fsPromises.stat(filePath);
-            if (stats.size === 0) {
-                logger.error(`Existing file is empty: ${filePath}`);
-                await fsPromises.unlink(filePath);
-            } else {
-                logger.info(`File đã tồn tại: ${filePath}`);
-                const isValid = await validateFile(filePath, type);
-                if (!isValid) {
-                    logger.error(`File tồn tại nhưng không hợp lệ: ${filePath}`);
-                    await fsPromises.unlink(filePath);
-                } else {
-                    downloadProgressMap.set(downloadId, { progress: 100, downloadUrl: `/downloads/${encodeURIComponent(fileName)}`, error: null });
-                    return res.status(200).json({ success: true, downloadUrl: `/downloads/${encodeURIComponent(fileName)}` });
+    const maxBytes = isMissing(maxFilesize) ? null : parseFileSize(maxFilesize);
+    if (!isMissing(maxFilesize) && !maxBytes) {
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, `Dung lượng tối đa không hợp lệ: ${maxFilesize}`);
+    }
+    return { height, codec, maxFilesize: maxBytes };
+}
+
+// Hàm tạo hậu tố tên file theo độ phân giải, codec và dung lượng tối đa của video
+function getVideoSuffix(video) {
+    const codecSuffix = video.codec ? `_${video.codec}` : '';
+    const sizeSuffix = video.maxFilesize ? `_max${Math.round(video.maxFilesize / (1024 * 1024))}M` : '';
+    return `_${video.height}p${codecSuffix}${sizeSuffix}`;
+}
+
+// Hàm tạo hậu tố tên file theo bitrate/VBR để các bản âm thanh khác chất lượng không trùng nhau
+function getAudioSuffix(audio) {
+    if (audio.vbr !== null) return `_v${audio.vbr}`;
+    return audio.bitrate !== null ? `_${audio.bitrate}k` : '';
+}
+
+// Hàm tạo hậu tố tên file cho đoạn cắt để không trùng với file tải toàn bộ
+function getClipSuffix(clip) {
+    return clip ? `_clip_${clip.start}-${clip.end === null ? 'end' : clip.end}` : '';
+}
+
+// Hàm cắt file tạm theo đoạn start/end bằng FFmpeg (dùng khi provider không tự cắt được)
+async function trimMedia(type, clip, audio, tempPrefix, tempOutputPath, reportProgress, signal) {
+    const trimmedPath = `${tempPrefix}clip_${path.basename(tempOutputPath)}`;
+    const command = ffmpeg(tempOutputPath).setStartTime(clip.start);
+    if (clip.end !== null) {
+        command.setDuration(clip.end - clip.start);
+    }
+    if (type === 'video') {
+        command.videoCodec(FFMPEG_OPTIONS.videoCodec).audioCodec(FFMPEG_OPTIONS.audioCodec);
+    } else {
+        applyAudioOutput(command, audio);
+    }
+
+    reportProgress({ stage: PROGRESS_STAGES.TRANSCODING });
+    const duration = clip.end === null ? null : clip.end - clip.start;
+    try {
+        await runFfmpeg(command, trimmedPath, signal,
+            (progress) => reportProgress({ stage: PROGRESS_STAGES.TRANSCODING, ...parseFfmpegProgress(progress, duration) }));
+    } catch (ffmpegError) {
+        if (signal.aborted) throw ffmpegError;
+        throw new AppError(ERROR_CODES.CONVERSION_FAILED, `FFmpeg trim failed: ${ffmpegError.message}`);
+    }
+    await fsPromises.rename(trimmedPath, tempOutputPath);
+}
+
+// Hàm tải nội dung vào file tạm qua các provider (yt-dlp, ytdl-core, ...) theo thứ tự ưu tiên
+// Trả về kết quả của provider ({ clipped: true } nếu provider đã tự cắt đoạn)
+async function downloadMediaToTemp({ url, type, clip, audio, video }, tempPrefix, tempOutputPath, reportProgress, signal) {
+    try {
+        const { provider, result } = await runWithProviders('download', url, {
+            type,
+            clip,
+            audio,
+            video,
+            tempPrefix,
+            outputPath: tempOutputPath,
+            reportProgress,
+            signal
+        });
+        logger.info(`Downloaded ${type} with provider ${provider}: ${url}`);
+        return result || {};
+    } catch (error) {
+        if (signal.aborted || error.code === ERROR_CODES.FILE_TOO_LARGE) throw error;
+        logger.error(`Download failed with all providers: ${error.message}`);
+        throw new AppError(ERROR_CODES.UPSTREAM_FAILED, 'Không thể tải video/âm thanh từ bất kỳ nguồn nào.');
+    }
+}
+
+// Hàm kiểm tra file tạm và đưa vào cache media trong thư mục downloads
+// Trả về thêm media: độ phân giải và codec thực tế của file đã tải
+async function finalizeDownload(type, fileName, tempOutputPath, reportProgress, signal, { cacheKey, videoId, title, clip, audio, video, singleUse } = {}) {
+    reportProgress({ stage: PROGRESS_STAGES.VALIDATING });
+
+    // Kiểm tra lại file trước khi trả về URL
+    if (!await fsPromises.access(tempOutputPath).then(() => true).catch(() => false)) {
+        logger.error(`Download failed, file not created: ${tempOutputPath}`);
+        throw new AppError(ERROR_CODES.FILE_INVALID, 'Tải xuống thất bại. File không được tạo.');
+    }
+
+    const stats = await fsPromises.stat(tempOutputPath);
+    if (stats.size === 0) {
+        logger.error(`File tải về rỗng: ${tempOutputPath}`);
+        throw new AppError(ERROR_CODES.FILE_INVALID, 'File tải về rỗng. Vui lòng thử lại.');
+    }
+    if (video && video.maxFilesize && stats.size > video.maxFilesize) {
+        logger.warn(`File tải về vượt dung lượng tối đa (${stats.size} > ${video.maxFilesize} bytes): ${tempOutputPath}`);
+        throw new AppError(ERROR_CODES.FILE_TOO_LARGE, `File tải về ${stats.size} bytes vượt quá ${video.maxFilesize} bytes`);
+    }
+
+    // Kiểm tra tính toàn vẹn của file
+    const isValid = await validateFile(tempOutputPath, type, audio && AUDIO_FORMATS[audio.format].codec);
+    if (!isValid) {
+        logger.error(`File không hợp lệ sau khi tải: ${tempOutputPath}`);
+        throw new AppError(ERROR_CODES.FILE_INVALID, 'File không hợp lệ. Vui lòng thử lại.');
+    }
+
+    if (signal.aborted) throw createCancelledError();
+
+    const media = await probeMedia(tempOutputPath);
+    if (video && video.codec && media && media.videoCodec !== VIDEO_CODECS[video.codec].probeCodec) {
+        logger.info(`Không có codec ${video.codec}, đã tải ${media.videoCodec}: ${fileName}`);
+    }
+
+    // Di chuyển file hoàn chỉnh từ temp vào cache (kèm metadata)
+    const { filePath } = await storeCacheEntry(cacheKey, tempOutputPath, {
+        videoId,
+        type,
+        title,
+        fileName,
+        options: { clip, audio, video },
+        media
+    });
+
+    // Dọn dẹp file tạm
+    await cleanupTempFiles();
+
+    logger.info(`File tải về thành công: ${filePath} (${fileName}), kích thước: ${stats.size} bytes`);
+    const downloadUrl = createSignedUrl({ location: 'downloads', cacheKey, fileName, singleUse });
+    return { downloadUrl, fileName, cacheKey, size: stats.size, media };
+}
+
+// Hàm xử lý job tải video hoặc âm thanh (chạy trong hàng đợi job)
+async function processDownloadJob(job, reportProgress, signal) {
+    const { type, clip = null, videoId, singleUse = false } = job.payload;
+    // Job tạo trước khi có lựa chọn định dạng âm thanh/độ phân giải hoặc cache media dùng giá trị mặc định
+    const audio = type === 'audio' ? (job.payload.audio || parseAudioOptions()) : null;
+    const video = type === 'video' ? (job.payload.video || parseVideoOptions(job.payload.quality)) : null;
+    const cacheKey = job.payload.cacheKey || getCacheKey({ videoId, type, clip, audio, video });
+    // Mọi file trung gian nằm trong temp với tiền tố là id của job
+    const tempPrefix = path.join(TEMP_DIR, `${job.id}_`);
+    // Tiến trình theo giai đoạn: phần trăm tổng, tốc độ và thời gian còn lại (progress.js)
+    const trackProgress = createProgressTracker(type, reportProgress);
+
+    try {
+        let { fileName } = job.payload;
+        if (!fileName) {
+            // Job tạo bởi enqueueYouTubeDownload: kiểm tra video, lấy tiêu đề và tra cứu cache ngay trong job
+            trackProgress({ stage: PROGRESS_STAGES.FETCHING_INFO });
+            const resolved = await resolveVideoFile(videoId, type, { clip, audio, video });
+            updateJobPayload(job.id, resolved);
+            fileName = resolved.fileName;
+
+            const cached = await getCachedDownload(type, cacheKey, fileName, audio, singleUse);
+            if (cached) {
+                for (const apiKeyId of getJobApiKeyIds(job.payload)) {
+                    recordKeyBytes(apiKeyId, cached.size);
                 }
+                return cached;
             }
         }
+        const tempOutputPath = `${tempPrefix}${fileName}`;
 
-        // Trả về ngay lập tức với downloadId để client theo dõi tiến trình
-        res.status(200).json({ message: 'Đang tải, vui lòng chờ...', downloadId });
-
-        // Tải file bất đồng bộ
-        (async () => {
-            try {
-                let downloadedBytes = 0;
-                let totalBytes = 0;
-
-                // Phương pháp 1: Sử dụng yt-dlp để tải
-                try {
-                    const outputPath = path.join(DOWNLOAD_DIR, `${sanitizedTitle}${quality ? `_${quality}` : ''}`);
-                    const options = type === 'video' ? {
-                        format: 'bestvideo+bestaudio/best',
-                        output: `${outputPath}.%(ext)s`,
-                        mergeOutputFormat: 'mp4',
-                        noCheckCertificates: true,
-                        noWarnings: true,
-                        preferFreeFormats: true,
-                        addHeader: [
-                            'referer:youtube.com',
-                            'user-agent:Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                        ]
-                    } : {
-                        format: 'bestaudio',
-                        extractAudio: true,
-                        audioFormat: 'mp3',
-                        output: `${outputPath}.%(ext)s`,
-                        noCheckCertificates: true,
-                        noWarnings: true,
-                        preferFreeFormats: true,
-                        addHeader: [
-                            'referer:youtube.com',
-                            'user-agent:Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                        ]
-                    };
-
-                    const child = ytDlp.exec(url, options, { stdio: ['pipe', 'pipe', 'pipe'] });
-                    child.stdout.on('data', (data) => {
-                        const progressMatch = data.toString().match(/(\d+\.\d+)%/);
-                        if (progressMatch) {
-                            const progress = parseFloat(progressMatch[1]);
-                            downloadProgressMap.set(downloadId, { progress, error: null });
-                        }
-                    });
-
-                    let errorOutput = '';
-                    child.stderr.on('data', (data) => {
-                        errorOutput += data.toString();
-                    });
-
-                    await new Promise((resolve, reject) => {
-                        child.on('close', (code) => {
-                            if (code !== 0) {
-                                reject(new Error(`yt-dlp failed with code ${code}: ${errorOutput}`));
-                            } else {
-                                resolve();
-                            }
-                        });
-                    });
-                } catch (error) {
-                    logger.error(`yt-dlp-exec download failed: ${error.message}`);
-                    // Phương pháp 2: Fallback về @distube/ytdl-core
-                    try {
-                        const selectedItag = await selectAvailableFormat(url, quality, type);
-                        if (!selectedItag) {
-                            throw new Error('Không tìm thấy định dạng khả dụng cho video/âm thanh.');
-                        }
-
-                        logger.info(`Falling back to @distube/ytdl-core to download ${type} from URL: ${url}`);
-
-                        if (type === 'video') {
-                            // Tải luồng video
-                            const videoStream = ytdl(url, { quality: selectedItag });
-                            const videoPath = path.join(DOWNLOAD_DIR, `${sanitizedTitle}_video.mp4`);
-                            const videoFileStream = fs.createWriteStream(videoPath);
-                            videoStream.pipe(videoFileStream);
-
-                            let videoDownloadedBytes = 0;
-                            videoStream.on('progress', (chunkLength, downloaded, total) => {
-                                videoDownloadedBytes = downloaded;
-                                const progress = Math.round((downloaded / total) * 100 * 0.5); // 50% cho video
-                                downloadProgressMap.set(downloadId, { progress, error: null });
-                            });
-
-                            await new Promise((resolve, reject) => {
-                                videoStream.on('end', resolve);
-                                videoStream.on('error', reject);
-                            });
-
-                            if (videoDownloadedBytes === 0) {
-                                throw new Error('No video data downloaded from stream.');
-                            }
-
-                            // Tải luồng âm thanh
-                            const audioStream = ytdl(url, { quality: 'highestaudio', filter: 'audioonly' });
-                            const audioPath = path.join(DOWNLOAD_DIR, `${sanitizedTitle}_audio.mp4`);
-                            const audioFileStream = fs.createWriteStream(audioPath);
-                            audioStream.pipe(audioFileStream);
-
-                            let audioDownloadedBytes = 0;
-                            audioStream.on('progress', (chunkLength, downloaded, total) => {
-                                audioDownloadedBytes = downloaded;
-                                const progress = 50 + Math.round((downloaded / total) * 100 * 0.5); // 50% cho audio
-                                downloadProgressMap.set(downloadId, { progress, error: null });
-                            });
-
-                            await new Promise((resolve, reject) => {
-                                audioStream.on('end', resolve);
-                                audioStream.on('error', reject);
-                            });
-
-                            if (audioDownloadedBytes === 0) {
-                                throw new Error('No audio data downloaded from stream.');
-                            }
-
-                            // Hợp nhất video và âm thanh bằng FFmpeg
-                            let ffmpegError = '';
-                            await new Promise((resolve, reject) => {
-                                ffmpeg()
-                                    .input(videoPath)
-                                    .input(audioPath)
-                                    .outputOptions('-c:v copy')
-                                    .outputOptions('-c:a aac')
-                                    .save(filePath)
-                                    .on('end', resolve)
-                                    .on('error', (err) => {
-                                        ffmpegError = err.message;
-                                        reject(err);
-                                    });
-                            });
-
-                            if (ffmpegError) {
-                                throw new Error(`FFmpeg merge failed: ${ffmpegError}`);
-                            }
-
-                            // Xóa file tạm
-                            await fsPromises.unlink(videoPath);
-                            await fsPromises.unlink(audioPath);
-                        } else {
-                            // Tải âm thanh
-                            const stream = ytdl(url, { quality: selectedItag, filter: 'audioonly' });
-                            const fileStream = fs.createWriteStream(filePath);
-                            stream.pipe(fileStream);
-
-                            stream.on('progress', (chunkLength, downloaded, total) => {
-                                downloadedBytes = downloaded;
-                                totalBytes = total;
-                                const progress = Math.round((downloaded / total) * 100);
-                                downloadProgressMap.set(downloadId, { progress, error: null });
-                            });
-
-                            await new Promise((resolve, reject) => {
-                                stream.on('end', resolve);
-                                stream.on('error', reject);
-                            });
-
-                            if (downloadedBytes === 0) {
-                                throw new Error('No audio data downloaded from stream.');
-                            }
-
-                            const tempPath = filePath.replace('.mp3', '_temp.mp4');
-                            await fsPromises.rename(filePath, tempPath);
-                            let ffmpegError = '';
-                            await new Promise((resolve, reject) => {
-                                ffmpeg(tempPath)
-                                    .noVideo()
-                                    .audioCodec('mp3')
-                                    .on('end', resolve)
-                                    .on('error', (err) => {
-                                        ffmpegError = err.message;
-                                        reject(err);
-                                    })
-                                    .save(filePath);
-                            });
-                            if (ffmpegError) {
-                                throw new Error(`FFmpeg conversion failed: ${ffmpegError}`);
-                            }
-                            await fsPromises.unlink(tempPath);
-                        }
-                    } catch (fallbackError) {
-                        logger.error(`@distube/ytdl-core download failed: ${fallbackError.message}`);
-                        downloadProgressMap.set(downloadId, { progress: 0, error: 'Không thể tải video/âm thanh từ bất kỳ nguồn nào.' });
-                        return;
-                    }
-                }
+        const downloadResult = await downloadMediaToTemp({ ...job.payload, audio, video }, tempPrefix, tempOutputPath, trackProgress, signal);
+        if (clip && !downloadResult.clipped) {
+            await trimMedia(type, clip, audio, tempPrefix, tempOutputPath, trackProgress, signal);
+        }
+        const result = await finalizeDownload(type, fileName, tempOutputPath, trackProgress, signal, {
+            cacheKey,
+            videoId,
+            title: job.payload.title || job.payload.sanitizedTitle,
+            clip,
+            audio,
+            video,
+            singleUse
+        });
+        // Dung lượng được tính cho mọi API key đang yêu cầu job (kể cả các request dùng chung job)
+        for (const apiKeyId of getJobApiKeyIds(job.payload)) {
+            recordKeyBytes(apiKeyId, result.size);
+        }
+        return result;
+    } finally {
+        await removeJobTempFiles(job.id);
+        if (activeDownloads.get(cacheKey) === job.id) {
+            activeDownloads.delete(cacheKey);
+        }
+    }
+}
 
-                // Kiểm tra lại file trước khi trả về URL
-                if (!await fsPromises.access(filePath).then(() => true).catch(() => false)) {
-                    logger.error(`Download failed, file not created: ${filePath}`);
-                    downloadProgressMap.set(downloadId, { progress: 0, error: 'Tải xuống thất bại. File không được tạo.' });
-                    return;
-                }
+registerJobHandler('download', processDownloadJob);
 
-                const stats = await fsPromises.stat(filePath);
-                if (stats.size === 0) {
-                    logger.error(`File tải về rỗng: ${filePath}`);
-                    await fsPromises.unlink(filePath);
-                    downloadProgressMap.set(downloadId, { progress: 0, error: 'File tải về rỗng. Vui lòng thử lại.' });
-                    return;
-                }
+// Hàm lấy người yêu cầu của request: client (API key hoặc IP, như rateLimit.js) và id của API key
+function getRequester(req) {
+    return { client: getClientId(req), apiKeyId: req.apiKey ? req.apiKey.id : null };
+}
 
-                // Kiểm tra tính toàn vẹn của file
-                const isValid = await validateFile(filePath, type);
-                if (!isValid) {
-                    logger.error(`File không hợp lệ sau khi tải: ${filePath}`);
-                    await fsPromises.unlink(filePath);
-                    downloadProgressMap.set(downloadId, { progress: 0, error: 'File không hợp lệ. Vui lòng thử lại.' });
-                    return;
-                }
+// Hàm hủy job tải theo yêu cầu của một client: chỉ người tạo job (requester đầu tiên) dừng được job,
+// người dùng chung job chỉ rời khỏi job (không còn bị tính hạn mức); trả về 'cancelled' hoặc 'detached'
+function cancelDownloadJob(job, requester) {
+    const requesters = job.payload?.requesters;
+    if (!requesters || requesters.length === 0 || requesters[0].client === requester.client) {
+        if (!cancelJob(job.id)) {
+            throw new AppError(ERROR_CODES.JOB_FINISHED, `Job ${job.id} đã kết thúc, không thể hủy`);
+        }
+        return 'cancelled';
+    }
+    if (!requesters.some(item => item.client === requester.client)) {
+        throw new AppError(ERROR_CODES.UNAUTHORIZED, `${requester.client} không phải người yêu cầu job ${job.id}`);
+    }
+    if (![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(job.status)) {
+        throw new AppError(ERROR_CODES.JOB_FINISHED, `Job ${job.id} đã kết thúc, không thể hủy`);
+    }
+    updateJobPayload(job.id, { requesters: requesters.filter(item => item.client !== requester.client) });
+    logger.info(`${requester.client} rời khỏi job dùng chung ${job.id}`);
+    return 'detached';
+}
 
-                logger.info(`File tải về thành công: ${filePath}, kích thước: ${stats.size} bytes`);
-                downloadProgressMap.set(downloadId, { progress: 100, downloadUrl: `/downloads/${encodeURIComponent(fileName)}`, error: null });
-
-                // Kiểm tra sự tồn tại của file trước khi di chuyển
-                try {
-                    const tempFileExists = await fsPromises.access(tempFilePath)
-                        .then(() => true)
-                        .catch(() => false);
-
-                    if (!tempFileExists) {
-                        logger.error(`File tạm không tồn tại: ${tempFilePath}`);
-                        throw new Error('File tạm không tồn tại');
-                    }
-
-                    // Sau khi tải xong, di chuyển file từ temp sang downloads
-                    await fsPromises.rename(tempFilePath, filePath);
-                    await fsPromises.chmod(filePath, 0o644);
-
-                    // Dọn dẹp file tạm
-                    await cleanupTempFiles();
-
-                    // Xử lý video/audio với tối ưu bộ nhớ
-                    if (type === 'video') {
-                        await processVideoWithMemoryOptimization(
-                            filePath,
-                            filePath,
-                            { audioOnly: false }
-                        );
-                    } else if (type === 'audio') {
-                        await processVideoWithMemoryOptimization(
-                            filePath,
-                            filePath,
-                            { audioOnly: true }
-                        );
-                    }
-                } catch (error) {
-                    logger.error(`Lỗi khi xử lý file: ${error.message}`);
-                    downloadProgressMap.set(downloadId, { progress: 0, error: 'Lỗi khi xử lý file. Vui lòng thử lại.' });
-                    // Xóa file tạm nếu tồn tại
-                    try {
-                        await fsPromises.unlink(tempFilePath).catch(() => {});
-                    } catch (e) {
-                        logger.error(`Không thể xóa file tạm: ${e.message}`);
-                    }
-                }
-            } catch (error) {
-                logger.error(`Download error: ${error.message}`);
-                downloadProgressMap.set(downloadId, { progress: 0, error: error.message });
-                throw error;
-            }
-        })();
+// Hàm chuẩn hóa tùy chọn tải một video YouTube và tính khóa cache (không gọi provider)
+function getDownloadTarget({ url, type, quality, clip = null, audio = null, video = null }) {
+    parseDownloadType(type);
+    // Kiểm tra tính hợp lệ của URL YouTube
+    const videoId = getYouTubeVideoId(url);
+    if (!videoId) {
+        logger.warn(`Invalid YouTube URL: ${url}`);
+        throw new AppError(ERROR_CODES.INVALID_URL, 'URL YouTube không hợp lệ');
+    }
+
+    if (type === 'video') {
+        video = video || parseVideoOptions(quality);
     } else {
+        audio = audio || parseAudioOptions();
+    }
+    return { videoId, clip, audio, video, cacheKey: getCacheKey({ videoId, type, clip, audio, video }) };
+}
+
+// Hàm kiểm tra tính khả dụng của video và đặt tên file hiển thị theo tiêu đề
+// Trả về { title, sanitizedTitle, fileName }
+async function resolveVideoFile(videoId, type, { clip, audio, video }) {
+    // Kiểm tra tính khả dụng của video
+    const availability = await checkVideoAvailability(videoId);
+    if (!availability.isAvailable) {
+        logger.warn(`Video not available: ${videoId}, reason: ${availability.reason}`);
+        throw createAvailabilityError(availability);
+    }
+
+    // Đảm bảo videoTitle luôn có giá trị hợp lệ
+    let videoTitle = await getVideoTitle(videoId);
+    if (!videoTitle || videoTitle.trim() === '') {
+        videoTitle = `Video_YouTube_${videoId}`; // Fallback nếu không lấy được tiêu đề
+    }
+
+    const sanitizedTitle = sanitizeFileName(videoTitle);
+    const fileName = type === 'video'
+        ? `${sanitizedTitle}${getVideoSuffix(video)}${getClipSuffix(clip)}.mp4`
+        : `${sanitizedTitle}${getAudioSuffix(audio)}${getClipSuffix(clip)}.${AUDIO_FORMATS[audio.format].extension}`;
+    return { title: videoTitle, sanitizedTitle, fileName };
+}
+
+// Hàm tra cứu file đã có trong cache (sau khi áp dụng chính sách lưu giữ)
+// Trả về { downloadUrl, fileName, cacheKey, size, media } hoặc null
+async function getCachedDownload(type, cacheKey, fileName, audio, singleUse) {
+    // Tạo thư mục lưu trữ nếu chưa tồn tại
+    if (!await fsPromises.access(DOWNLOAD_DIR).then(() => true).catch(() => false)) {
+        await fsPromises.mkdir(DOWNLOAD_DIR, { recursive: true });
+    }
+
+    // Áp dụng chính sách lưu giữ trước khi tải thêm file
+    await runRetention('download').catch(() => {});
+
+    const cached = await lookupCacheEntry(cacheKey, { type, audioCodec: audio && AUDIO_FORMATS[audio.format].codec });
+    if (!cached) return null;
+
+    const media = cached.media || await probeMedia(cached.filePath);
+    const downloadUrl = createSignedUrl({ location: 'downloads', cacheKey, fileName, singleUse });
+    return { downloadUrl, fileName, cacheKey, size: cached.size, media };
+}
+
+// Hàm tìm job đang tải cùng nội dung và ghi thêm người yêu cầu vào job đó; trả về job hoặc null
+function joinActiveDownload(cacheKey, requester) {
+    const activeJob = activeDownloads.has(cacheKey) && getJob(activeDownloads.get(cacheKey));
+    if (!activeJob || ![JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(activeJob.status)) return null;
+
+    // Người dùng chung job được ghi vào payload: job tính vào số job đồng thời và dung lượng của key đó
+    const requesters = activeJob.payload.requesters || [];
+    if (requester && !requesters.some(item => item.client === requester.client)) {
+        updateJobPayload(activeJob.id, { requesters: [...requesters, requester] });
+    }
+    logger.info(`Dùng chung job ${activeJob.id} đang tải ${cacheKey}`);
+    return activeJob;
+}
+
+// Hàm tạo job tải; job không cần URL dùng một lần được ghi vào activeDownloads để dùng chung
+function createDownloadJob(payload, requester, extraPayload) {
+    const job = enqueueJob('download', {
+        ...payload,
+        ...(requester ? { requesters: [requester] } : {}),
+        ...(requester?.apiKeyId ? { apiKeyId: requester.apiKeyId } : {}),
+        ...extraPayload
+    });
+    if (!payload.singleUse) {
+        activeDownloads.set(payload.cacheKey, job.id);
+    }
+    return job;
+}
+
+// Hàm đưa một video YouTube vào hàng đợi tải (hoặc trả về file đã có trong cache)
+// File được tra cứu theo khóa (videoId, loại, tùy chọn); tên file chỉ là tên hiển thị khi tải về
+// singleUse: URL tải trả về chỉ dùng được một lần; requester (getRequester): người yêu cầu, dùng cho hạn mức và quyền hủy
+async function queueYouTubeDownload({ url, type, quality, clip = null, audio = null, video = null, singleUse = false }, { requester = null, ...extraPayload } = {}) {
+    const target = getDownloadTarget({ url, type, quality, clip, audio, video });
+    const { videoId, cacheKey } = target;
+    ({ audio, video } = target);
+    const { title, sanitizedTitle, fileName } = await resolveVideoFile(videoId, type, target);
+
+    // Kiểm tra nếu file đã có trong cache
+    const cached = await getCachedDownload(type, cacheKey, fileName, audio, singleUse);
+    if (cached) {
+        if (requester?.apiKeyId) {
+            recordKeyBytes(requester.apiKeyId, cached.size);
+        }
+        return { videoId, fileName, cacheKey, downloadUrl: cached.downloadUrl, media: cached.media };
+    }
+
+    // Dùng chung job đang tải cùng nội dung (trừ khi cần URL dùng một lần riêng)
+    const activeJob = !singleUse && joinActiveDownload(cacheKey, requester);
+    if (activeJob) {
+        return { videoId, fileName, cacheKey, downloadId: activeJob.id };
+    }
+
+    const job = createDownloadJob({
+        url, type, quality, clip, audio, video, videoId, title, sanitizedTitle, fileName, cacheKey, singleUse
+    }, requester, extraPayload);
+    return { videoId, fileName, cacheKey, downloadId: job.id };
+}
+
+// Hàm đưa một video YouTube vào hàng đợi ngay, không gọi provider: kiểm tra tính khả dụng, lấy tiêu đề
+// và tra cứu cache được làm trong job (dùng cho playlist, không phải chờ từng video trước khi trả lời)
+function enqueueYouTubeDownload({ url, type, quality, clip = null, audio = null, video = null }, { requester = null, ...extraPayload } = {}) {
+    const target = getDownloadTarget({ url, type, quality, clip, audio, video });
+    const { videoId, cacheKey } = target;
+
+    const job = joinActiveDownload(cacheKey, requester) || createDownloadJob({
+        url, type, quality, clip, audio: target.audio, video: target.video, videoId, cacheKey, singleUse: false
+    }, requester, extraPayload);
+    return { videoId, cacheKey, downloadId: job.id };
+}
+
+// Hàm xử lý tải video hoặc âm thanh
+async function handleDownload(req, res) {
+    const {
+        url, platform, type, quality, start, end,
+        audioFormat, audioBitrate, audioQuality, videoCodec, maxFilesize, singleUse
+    } = req.body;
+
+    // Kiểm tra dữ liệu đầu vào
+    if (!url || !platform || !type) {
+        logger.warn(`Missing required fields (url, platform, type) from IP: ${req.ip}`);
+        throw new AppError(ERROR_CODES.INVALID_REQUEST, 'Thiếu thông tin cần thiết (url, platform, type)');
+    }
+    parseDownloadType(type);
+    const clip = parseClipRange(start, end);
+    const audio = type === 'audio' ? parseAudioOptions(audioFormat, audioBitrate, audioQuality) : null;
+    const video = type === 'video' && platform === 'youtube' ? parseVideoOptions(quality, videoCodec, maxFilesize) : null;
+
+    // API key: kiểm tra hạn mức dung lượng/ngày (số job đồng thời áp dụng khi job chạy, giới hạn tốc độ nằm ở rateLimit.js)
+    if (req.apiKey) {
+        assertDownloadQuota(req.apiKey);
+    }
+    logger.info(`Download request: ${type} from ${platform}, URL: ${url}, IP: ${req.ip}`);
+
+    // Kiểm tra FFmpeg
+    const ffmpegAvailable = await checkFFmpeg();
+    if (!ffmpegAvailable) {
+        logger.error('FFmpeg is not installed or accessible');
+        throw new AppError(ERROR_CODES.FFMPEG_MISSING, 'FFmpeg không được cài đặt hoặc không thể truy cập');
+    }
+
+    if (platform === 'youtube') {
+        const result = await queueYouTubeDownload({
+            url, type, quality, clip, audio, video, singleUse: singleUse === true || singleUse === 'true'
+        }, { requester: getRequester(req) });
+        if (result.downloadUrl) {
+            return res.status(200).json({ success: true, downloadUrl: result.downloadUrl, media: result.media });
+        }
+
+        // Trả về ngay downloadId để client theo dõi tiến trình của job
+        res.status(200).json({ message: 'Đang tải, vui lòng chờ...', downloadId: result.downloadId });
+    } else {
+        if (clip) {
+            throw new AppError(ERROR_CODES.INVALID_REQUEST, `Cắt đoạn chỉ hỗ trợ video YouTube (platform: ${platform})`);
+        }
+
         // Xử lý các nền tảng khác ngoài YouTube (sử dụng RapidAPI)
-        try {
-            const response = await fetchWithRetry('https://all-media-downloader1.p.rapidapi.com/media', {
-                method: 'POST',
-                headers: {
-                    'x-rapidapi-key': process.env.RAPIDAPI_KEY,
-                    'x-rapidapi-host': 'all-media-downloader1.p.rapidapi.com',
-                    'Content-Type': 'application/json'
-                },
-                data: { url, quality }
-            });
-
-            const data = response.data;
-            if (data.error) {
-                logger.warn(`RapidAPI returned error: ${data.error}`);
-                return res.status(400).json({ error: data.error });
-            }
+        const response = await fetchWithRetry('https://all-media-downloader1.p.rapidapi.com/media', {
+            method: 'POST',
+            headers: {
+                'x-rapidapi-key': process.env.RAPIDAPI_KEY,
+                'x-rapidapi-host': 'all-media-downloader1.p.rapidapi.com',
+                'Content-Type': 'application/json'
+            },
+            data: { url, quality }
+        }).catch(rapidError => {
+            throw new AppError(ERROR_CODES.UPSTREAM_FAILED, `RapidAPI Download Error: ${rapidError.message}`);
+        });
 
-            if (type === 'video' && data.video) {
-                return res.status(200).json({ downloadUrl: data.video });
-            } else if (type === 'audio' && data.audio) {
-                return res.status(200).json({ downloadUrl: data.audio });
-            } else {
-                logger.warn(`RapidAPI did not return expected content for type ${type}`);
-                return res.status(400).json({ error: 'Không tìm thấy nội dung để tải. API không trả về link tải.' });
-            }
-        } catch (rapidError) {
-            logger.error(`RapidAPI Download Error: ${rapidError.message}`);
-            return res.status(500).json({
-                error: rapidError.message || 'Lỗi từ RapidAPI. Vui lòng kiểm tra API key hoặc thử lại sau.'
-            });
+        const data = response.data;
+        if (data.error) {
+            throw new AppError(ERROR_CODES.UPSTREAM_FAILED, `RapidAPI returned error: ${data.error}`);
+        }
+
+        if (type === 'video' && data.video) {
+            return res.status(200).json({ downloadUrl: data.video });
+        } else if (type === 'audio' && data.audio) {
+            return res.status(200).json({ downloadUrl: data.audio });
+        } else {
+            throw new AppError(ERROR_CODES.UPSTREAM_FAILED, `RapidAPI did not return expected content for type ${type}`);
         }
     }
 }
 
 module.exports = {
-    handleDownload
+    handleDownload,
+    queueYouTubeDownload,
+    enqueueYouTubeDownload,
+    getRequester,
+    cancelDownloadJob,
+    parseDownloadType,
+    parseAudioOptions,
+    parseVideoOptions
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+// zipArchive.js
+const archiver = require('archiver');
+const { logger } = require('./utils');
+const { pinFile } = require('./retention');
+const { getMimeType, getContentDisposition } = require('./fileServer');
+
+// Hàm kiểm tra file media (video/âm thanh đã được nén sẵn): lưu nguyên (store) thay vì nén lại
+function isMediaFile(fileName) {
+    return /^(video|audio)\//.test(getMimeType(fileName));
+}
+
+// Hàm stream một file ZIP (kèm manifest.json) trực tiếp tới response
+// entries: [{ filePath, name, manifest }] - manifest là thông tin mô tả của từng file
+// Phụ đề và manifest được nén (zlib mức 9), file media được lưu nguyên để không tốn CPU vô ích
+function streamZipArchive(req, res, archiveName, entries) {
+    return new Promise((resolve, reject) => {
+        const archive = archiver('zip', { zlib: { level: 9 } });
+        let finished = false;
+        // Giữ các file không bị chính sách lưu giữ xóa trong lúc đóng gói
+        const releases = entries.map(entry => pinFile(entry.filePath));
+        const releaseFiles = () => releases.forEach(release => release());
+        res.on('close', releaseFiles);
+
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': getContentDisposition(archiveName),
+            'Cache-Control': 'no-cache'
+        });
+
+        archive.on('warning', (error) => {
+            logger.warn(`ZIP warning for ${archiveName}: ${error.message}`);
+        });
+
+        archive.on('error', (error) => {
+            logger.error(`Lỗi tạo file ZIP ${archiveName}: ${error.message}`);
+            if (!res.headersSent) {
+                // Để middleware xử lý lỗi trả về JSON thay vì file ZIP
+                res.removeHeader('Content-Type');
+                res.removeHeader('Content-Disposition');
+            } else {
+                res.destroy(error);
+            }
+            releaseFiles();
+            reject(error);
+        });
+
+        res.on('finish', () => {
+            finished = true;
+            resolve();
+        });
+
+        // Xử lý khi client ngắt kết nối
+        req.on('close', () => {
+            if (!finished) {
+                logger.info(`Client ngắt kết nối khi tải ZIP ${archiveName}`);
+                archive.abort();
+                resolve();
+            }
+        });
+
+        archive.pipe(res);
+
+        for (const entry of entries) {
+            archive.file(entry.filePath, { name: entry.name, store: isMediaFile(entry.name) });
+        }
+
+        const manifest = {
+            createdAt: new Date().toISOString(),
+            entries: entries.map(entry => ({ file: entry.name, ...entry.manifest }))
+        };
+        archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+
+        archive.finalize();
+    });
+}
+
+module.exports = {
+    streamZipArchive
+};